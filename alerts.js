@@ -0,0 +1,100 @@
+// 鱼盆状态变化提醒（仅在ETF由均线上方转为下方或反之时提醒，替代每日整池推送）
+// 每只ETF的最新YES/NO状态持久化保存，跨次运行比较；同日重复运行基于前一交易日状态重算，不会重复提醒
+import { CONFIG } from "./config.js";
+import { calculateMA, calculateVolumeMA } from "./indicator.js";
+import { getPool } from "./poolManager.js";
+import { historyStore, loadHistoryStore, saveHistoryStore, refreshLatestBars, getTradeDate } from "./historyStore.js";
+import { findLastStatusChange } from "./report.js";
+import { loadState, saveState, STORAGE_KEYS } from "./storage.js";
+import { loadSourceHealth, saveSourceHealth } from "./sourceHealth.js";
+
+const ALERT_STATES_SCHEMA_VERSION = 1; // 状态提醒记录的schema版本
+
+/**
+ * 检查ETF池内的均线状态变化（实盘入口：刷新日线、比较持久化状态、保存）
+ * @returns {Promise<Array>} 状态变化提醒列表
+ */
+export async function checkStatusAlerts() {
+  const pool = await getPool();
+  await loadHistoryStore();
+  await loadSourceHealth();
+  await refreshLatestBars(pool);
+  await saveHistoryStore();
+  await saveSourceHealth();
+
+  const states = await loadState(STORAGE_KEYS.ALERT_STATES, {}, { version: ALERT_STATES_SCHEMA_VERSION });
+  const alerts = detectStatusChanges(pool, historyStore, states, getTradeDate());
+  await saveState(STORAGE_KEYS.ALERT_STATES, states, ALERT_STATES_SCHEMA_VERSION);
+
+  console.log(`【checkStatusAlerts】检查${pool.length}只ETF，状态变化${alerts.length}只`);
+  return alerts;
+}
+
+/**
+ * 比较每只ETF当前状态与上次记录，返回发生转变的ETF（会更新states）
+ * 首次跟踪的ETF按历史日线推算当前状态及持续天数，只建档不提醒
+ * @param {Array} pool - ETF池
+ * @param {Object} history - 日线存储（historyStore.js）
+ * @param {Object} states - 状态记录 code -> { status, since, days, lastDate, changedOn, previous }
+ * @param {string} date - 交易日期
+ * @param {number} period - 均线周期（默认CONFIG.FISH_BOWL.MA_PERIOD）
+ * @returns {Array} [{ code, name, type, date, from, to, close, ma, deviation, volumeRatio, priorDays, priorSince }]
+ */
+export function detectStatusChanges(pool, history, states, date, period = CONFIG.FISH_BOWL.MA_PERIOD) {
+  const alerts = [];
+
+  for (const etf of pool) {
+    const bars = history.getBars(etf.code);
+    const closes = bars.map(b => b.close);
+    const ma = calculateMA(closes, period);
+    if (!ma) {
+      console.warn(`【detectStatusChanges】${etf.name}(${etf.code})日线不足${period}天，跳过`);
+      continue;
+    }
+    const close = closes[0];
+    const status = close >= ma ? "YES" : "NO";
+
+    let entry = states[etf.code];
+    const alreadyAlerted = entry?.changedOn === date;
+    if (entry && entry.lastDate === date && entry.previous) {
+      entry = entry.previous; // 同日重复运行：以前一交易日的状态为基准重新判断
+    }
+
+    if (!entry) {
+      const run = findLastStatusChange(bars, period, status);
+      states[etf.code] = { status, since: run.date, days: run.days, lastDate: date, changedOn: null, previous: null };
+      console.log(`【detectStatusChanges】${etf.name}(${etf.code})首次跟踪，当前${status}已持续${run.days}天`);
+      continue;
+    }
+
+    const previous = { status: entry.status, since: entry.since, days: entry.days, lastDate: entry.lastDate };
+    if (entry.status === status) {
+      // 按上次检查后新增的日线计数，漏跑或节假日不会多计/少计
+      const elapsed = bars.filter(b => b.date > entry.lastDate && b.date <= date).length;
+      states[etf.code] = { ...previous, days: entry.days + elapsed, lastDate: date, changedOn: null, previous };
+      continue;
+    }
+
+    states[etf.code] = { status, since: date, days: 1, lastDate: date, changedOn: date, previous };
+    if (alreadyAlerted) continue; // 今日已提醒过同一转变
+
+    const volumes = bars.map(b => b.volume);
+    const volumeMA5 = calculateVolumeMA(volumes.slice(1));
+    alerts.push({
+      code: etf.code,
+      name: etf.name,
+      type: etf.type,
+      date,
+      from: entry.status,
+      to: status,
+      close,
+      ma,
+      deviation: (close - ma) / ma * 100,
+      volumeRatio: volumeMA5 ? volumes[0] / volumeMA5 : null,
+      priorDays: entry.days,
+      priorSince: entry.since
+    });
+  }
+
+  return alerts;
+}
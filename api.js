@@ -0,0 +1,136 @@
+// 版本化JSON接口（/api/v1/*），供看板与脚本调用
+// 成功返回 { data, pagination? }，失败统一返回 { error: { status, code, message } }；跨域头取自RESPONSE_HEADERS
+import { CONFIG, RESPONSE_HEADERS } from "./config.js";
+import { DEFAULT_PROFILE } from "./profiles.js";
+
+export const API_PREFIX = "/api/v1";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// 路由：路径（去掉API_PREFIX）-> 处理函数 (url, deps) => 响应体
+// 接口只读：股票池取已缓存的结果（getCachedPool），不会触发全市场筛选
+const ROUTES = {
+  "/pool": async (url, deps) => ({ data: await deps.getCachedPool() }),
+
+  "/holdings": async (url, deps) => {
+    const profile = readProfile(url);
+    const holdings = await deps.getHoldingsSnapshot();
+    return { data: holdings.filter(h => !profile || h.profile === profile) };
+  },
+
+  "/signals": async (url, deps) => {
+    const date = readDate(url, "date");
+    const profile = readProfile(url) || DEFAULT_PROFILE;
+    const pool = await deps.getCachedPool();
+    return { data: await deps.getSignalSnapshot(pool, date, profile) };
+  },
+
+  "/trades": async (url, deps) => {
+    const from = readDate(url, "from");
+    const to = readDate(url, "to");
+    const code = url.searchParams.get("code");
+    const profile = readProfile(url);
+    const page = readPositiveInt(url, "page", 1);
+    const pageSize = Math.min(readPositiveInt(url, "pageSize", DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+
+    // 完整流水按月分页存储（testUtils.js），仅读取from~to覆盖的月份；接口按最新在前返回
+    const trades = (await deps.printTradeHistory(profile, { from, to }))
+      .filter(t => !code || t.code === code)
+      .reverse();
+    return {
+      data: trades.slice((page - 1) * pageSize, page * pageSize),
+      pagination: { page, pageSize, total: trades.length, totalPages: Math.ceil(trades.length / pageSize) }
+    };
+  },
+
+  "/sources/health": async (url, deps) => ({ data: await deps.getSourceHealth() })
+};
+
+/**
+ * 接口路由名（去掉版本前缀，供鉴权与审计使用）
+ * @param {URL} url - 请求地址
+ * @returns {string|null} 路由（如/pool），非API请求返回null
+ */
+export function getApiRoute(url) {
+  if (url.pathname !== API_PREFIX && !url.pathname.startsWith(`${API_PREFIX}/`)) return null;
+  return url.pathname.slice(API_PREFIX.length).replace(/\/+$/, "") || "/";
+}
+
+/**
+ * 处理JSON接口请求
+ * @param {Request} request - HTTP请求
+ * @param {Object} deps - main.js导入的依赖对象
+ * @returns {Promise<Response>} JSON响应
+ */
+export async function handleApiRequest(request, deps) {
+  const url = new URL(request.url);
+  const route = getApiRoute(url);
+  const handler = ROUTES[route];
+
+  if (!handler) {
+    return apiError(404, "NOT_FOUND", `接口不存在：${url.pathname}（可用：${Object.keys(ROUTES).map(r => API_PREFIX + r).join("、")}）`);
+  }
+  if (request.method !== "GET") {
+    return apiError(405, "METHOD_NOT_ALLOWED", `${url.pathname}仅支持GET`);
+  }
+
+  try {
+    return jsonResponse(200, await handler(url, deps));
+  } catch (e) {
+    if (e.status) return apiError(e.status, e.code, e.message);
+    console.error(`【handleApiRequest】${url.pathname}处理失败：${e.message}`);
+    return apiError(500, "INTERNAL_ERROR", e.message);
+  }
+}
+
+/**
+ * 构造统一格式的错误响应
+ * @param {number} status - HTTP状态码
+ * @param {string} code - 错误码（如INVALID_PARAMETER、UNAUTHORIZED）
+ * @param {string} message - 错误说明
+ * @returns {Response} JSON响应
+ */
+export function apiError(status, code, message) {
+  return jsonResponse(status, { error: { status, code, message } });
+}
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...RESPONSE_HEADERS, "Content-Type": "application/json; charset=utf-8" }
+  });
+}
+
+function readDate(url, name) {
+  const value = url.searchParams.get(name);
+  if (value === null || value === "") return null;
+  if (!DATE_PATTERN.test(value)) {
+    throw invalidParameter(`参数${name}应为YYYY-MM-DD格式（收到：${value}）`);
+  }
+  return value;
+}
+
+function readPositiveInt(url, name, defaultValue) {
+  const value = url.searchParams.get(name);
+  if (value === null || value === "") return defaultValue;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw invalidParameter(`参数${name}应为正整数（收到：${value}）`);
+  }
+  return number;
+}
+
+function readProfile(url) {
+  const value = url.searchParams.get("profile");
+  if (value === null || value === "") return null;
+  if (!CONFIG.STRATEGY_PROFILES[value]) {
+    throw invalidParameter(`参数profile应为${Object.keys(CONFIG.STRATEGY_PROFILES).join("/")}之一（收到：${value}）`);
+  }
+  return value;
+}
+
+function invalidParameter(message) {
+  return Object.assign(new Error(message), { status: 400, code: "INVALID_PARAMETER" });
+}
@@ -0,0 +1,209 @@
+// HTTP接口鉴权（Bearer令牌或带时间戳的HMAC签名，密钥保存在Worker secret中）
+// 每个操作按只读/管理员划分权限，通过身份校验的访问（含权限不足被拒绝的）写入审计日志，记录谁在何时触发了哪个操作；
+// 未通过身份校验的请求只输出告警日志，避免匿名请求消耗KV写入额度或把真实记录挤出审计日志
+import { CONFIG } from "./config.js";
+import { loadState, saveState, STORAGE_KEYS } from "./storage.js";
+import { getApiRoute } from "./api.js";
+
+const AUDIT_LOG_SCHEMA_VERSION = 1; // 审计日志的schema版本
+
+// 角色等级（管理员包含只读权限）
+export const ROLES = { read: 1, admin: 2 };
+
+// 允许通过?token=鉴权的操作（手机浏览器直接打开的只读页面无法附加请求头）
+const QUERY_TOKEN_OPERATIONS = new Set(["dashboard"]);
+
+// 操作 -> 所需角色（未列出的操作一律要求管理员；JSON接口均为只读查询，默认只读）
+export const PERMISSIONS = {
+  "status": "read",              // 定时任务状态页
+  "report": "read",              // 偏离度排名查询
+  "dashboard": "read",           // HTML看板
+  "api:/pool": "read",           // JSON接口（api.js）
+  "api:/holdings": "read",
+  "api:/signals": "read",
+  "api:/trades": "read",
+  "api:/sources/health": "read",
+  "test:printHistory": "read",   // 交易流水
+  "test:ledger": "read",         // 模拟账本
+  "test:audit": "admin",         // 审计日志
+  "test:message": "admin",       // 发送测试消息
+  "test:strategy": "admin",      // 执行策略（会写入持仓与账本）
+  "test:pushPool": "admin",
+  "test:runStrategy": "admin",
+  "test:alerts": "admin",
+  "test:pushReport": "admin",
+  "test:resetHoldings": "admin"
+};
+
+/**
+ * 解析请求对应的操作名（用于权限判断与审计）
+ * @param {URL} url - 请求地址
+ * @returns {string} 操作名（如test:runStrategy、job:refreshPool、api:/pool、report、status）
+ */
+export function resolveOperation(url) {
+  const apiRoute = getApiRoute(url);
+  if (apiRoute) return `api:${apiRoute}`;
+  const testType = url.searchParams.get("test");
+  if (testType) return `test:${testType}`;
+  const jobName = url.searchParams.get("job");
+  if (jobName) return `job:${jobName}`;
+  if (url.pathname === "/report") return "report";
+  if (url.pathname === "/dashboard") return "dashboard";
+  return "status";
+}
+
+/**
+ * 鉴权并检查操作权限，已识别身份的请求写入审计日志
+ * 支持两种方式（密钥配置见CONFIG.AUTH.SECRET_NAME）：
+ * 1. Authorization: Bearer <token>
+ * 2. X-Fishbowl-Key: <名称>，X-Fishbowl-Timestamp: <毫秒时间戳>，
+ *    X-Fishbowl-Signature: hex(HMAC-SHA256(token, `${timestamp}\n${method}\n${path+query}`))
+ * 3. ?token=<token>（仅限QUERY_TOKEN_OPERATIONS中的只读页面）
+ * @param {Request} request - HTTP请求
+ * @param {Object} env - Worker环境绑定
+ * @returns {Promise<Object>} { allowed, status, code, principal, role, operation, reason }
+ *   code为UNAUTHORIZED/FORBIDDEN/AUTH_NOT_CONFIGURED（供JSON接口的错误对象使用）
+ */
+export async function authorize(request, env = {}) {
+  const url = new URL(request.url);
+  const operation = resolveOperation(url);
+  const requiredRole = PERMISSIONS[operation] || (operation.startsWith("api:") ? "read" : "admin");
+  const result = { allowed: false, status: 401, principal: null, role: null, operation, reason: "" };
+
+  try {
+    const keys = parseApiKeys(env);
+    const identity = await authenticate(request, url, keys, QUERY_TOKEN_OPERATIONS.has(operation));
+    if (!identity) {
+      result.reason = "缺少或无效的鉴权信息";
+    } else {
+      result.principal = identity.name;
+      result.role = identity.role;
+      if (ROLES[identity.role] >= ROLES[requiredRole]) {
+        result.allowed = true;
+        result.status = 200;
+      } else {
+        result.status = 403;
+        result.reason = `${identity.name}（${identity.role}）无权执行${operation}（需${requiredRole}）`;
+      }
+    }
+  } catch (e) {
+    result.status = e.status || 401;
+    result.reason = e.message;
+  }
+  result.code = { 200: null, 403: "FORBIDDEN", 503: "AUTH_NOT_CONFIGURED" }[result.status] ?? "UNAUTHORIZED";
+
+  const ip = request.headers.get("CF-Connecting-IP") || null;
+  if (result.principal) {
+    await appendAuditLog({
+      time: Date.now(),
+      principal: result.principal,
+      operation,
+      method: request.method,
+      ip,
+      allowed: result.allowed,
+      reason: result.reason
+    });
+  }
+  if (!result.allowed) {
+    console.warn(`【authorize】拒绝访问${operation}（${ip || "未知IP"}）：${result.reason}`);
+  }
+  return result;
+}
+
+/**
+ * 读取审计日志（最新在前）
+ * @returns {Promise<Array>} [{ time, principal, operation, method, ip, allowed, reason }]
+ */
+export async function getAuditLog() {
+  return loadState(STORAGE_KEYS.AUDIT_LOG, [], { version: AUDIT_LOG_SCHEMA_VERSION });
+}
+
+async function appendAuditLog(entry) {
+  const log = await getAuditLog();
+  log.unshift(entry);
+  if (log.length > CONFIG.AUTH.AUDIT_MAX_ENTRIES) log.length = CONFIG.AUTH.AUDIT_MAX_ENTRIES;
+  await saveState(STORAGE_KEYS.AUDIT_LOG, log, AUDIT_LOG_SCHEMA_VERSION);
+}
+
+/**
+ * 解析密钥配置（Worker secret，JSON格式：{ "名称": { "token": "...", "role": "read|admin" } }）
+ * 未配置时拒绝所有请求（fail closed）
+ * @param {Object} env - Worker环境绑定
+ * @returns {Array} [{ name, token, role }]
+ */
+function parseApiKeys(env) {
+  const raw = env[CONFIG.AUTH.SECRET_NAME];
+  if (!raw) {
+    throw Object.assign(new Error(`未配置${CONFIG.AUTH.SECRET_NAME}，接口已禁用（wrangler secret put ${CONFIG.AUTH.SECRET_NAME}）`), { status: 503 });
+  }
+
+  let parsed;
+  try {
+    parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch (e) {
+    throw Object.assign(new Error(`${CONFIG.AUTH.SECRET_NAME}格式错误：${e.message}`), { status: 503 });
+  }
+  return Object.entries(parsed)
+    .filter(([name, key]) => {
+      const valid = key?.token && ROLES[key.role];
+      if (!valid) console.warn(`【parseApiKeys】密钥${name}缺少token或角色无效（read/admin），已忽略`);
+      return valid;
+    })
+    .map(([name, key]) => ({ name, token: key.token, role: key.role }));
+}
+
+/**
+ * 校验请求身份
+ * @param {Request} request - HTTP请求
+ * @param {URL} url - 请求地址
+ * @param {Array} keys - parseApiKeys返回的密钥列表
+ * @param {boolean} allowQueryToken - 是否接受查询参数中的token
+ * @returns {Promise<Object|null>} 匹配的密钥 { name, role }，无鉴权信息或不匹配时返回null
+ */
+async function authenticate(request, url, keys, allowQueryToken = false) {
+  const authorization = request.headers.get("Authorization") || "";
+  if (authorization.startsWith("Bearer ")) {
+    const token = authorization.slice(7).trim();
+    return keys.find(key => timingSafeEqual(key.token, token)) || null;
+  }
+
+  const queryToken = url.searchParams.get("token");
+  if (allowQueryToken && queryToken) {
+    return keys.find(key => timingSafeEqual(key.token, queryToken)) || null;
+  }
+
+  const name = request.headers.get("X-Fishbowl-Key");
+  const timestamp = request.headers.get("X-Fishbowl-Timestamp");
+  const signature = request.headers.get("X-Fishbowl-Signature");
+  if (!name || !timestamp || !signature) return null;
+
+  const key = keys.find(k => k.name === name);
+  if (!key) return null;
+  if (!(Math.abs(Date.now() - Number(timestamp)) <= CONFIG.AUTH.MAX_CLOCK_SKEW)) {
+    throw new Error("签名时间戳超出允许范围（请检查时钟或重新签名）");
+  }
+  const expected = await signRequest(key.token, timestamp, request.method, url.pathname + url.search);
+  return timingSafeEqual(expected, signature.toLowerCase()) ? key : null;
+}
+
+/**
+ * 计算请求签名（调用方按同样规则生成X-Fishbowl-Signature）
+ * @param {string} token - 密钥
+ * @param {string|number} timestamp - 毫秒时间戳
+ * @param {string} method - HTTP方法
+ * @param {string} path - 路径及查询串（如/?test=ledger）
+ * @returns {Promise<string>} 十六进制HMAC-SHA256签名
+ */
+export async function signRequest(token, timestamp, method, path) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", encoder.encode(token), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(`${timestamp}\n${method.toUpperCase()}\n${path}`));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function timingSafeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
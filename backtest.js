@@ -0,0 +1,307 @@
+// 鱼盆模型历史回测引擎（离线运行，读取本地CSV/JSON日线文件）
+// 按交易日顺序将每只ETF的日线喂给strategy.js中的同一套信号与持仓逻辑，输出收益曲线与绩效指标
+import { readdir, readFile } from "fs/promises";
+import { join, extname, basename } from "path";
+import { pathToFileURL } from "url";
+import { CONFIG } from "./config.js";
+import { loadConfig } from "./configLoader.js";
+import { createHoldings, runStrategyOnPool } from "./strategy.js";
+import { createHistoryStore } from "./historyStore.js";
+import { createLedgers, applyFill, markToMarket } from "./ledger.js";
+import { createSignalStates } from "./signalState.js";
+import { DEFAULT_PROFILE, resolveProfile } from "./profiles.js";
+import { classifyETF } from "./etfTaxonomy.js";
+
+const TRADING_DAYS_PER_YEAR = 252; // 年化换算使用的年交易日数
+
+/**
+ * 从目录加载回测日线数据
+ * 目录结构：
+ *   universe.json     - 可选，回测股票池 [{code, name, type?, score?}]，数组顺序即候选优先级（score用于调仓时比较强弱，省略时按顺序折算）
+ *   <代码>.csv        - 表头需包含 date,close，可选 open,high,low,volume,turnover
+ *   <代码>.json       - 日线数组，或 {code, name, type?, bars: [...]}
+ * 省略type时按etfTaxonomy.js分类（映射表或名称推断）
+ * @param {string} dir - 数据目录
+ * @returns {Promise<Object>} { universe: Array, bars: { [code]: Array } }
+ */
+export async function loadBarsFromDir(dir) {
+  const files = await readdir(dir);
+  const bars = {};
+  const meta = {};
+  let universe = null;
+
+  for (const file of files) {
+    const ext = extname(file).toLowerCase();
+    const fullPath = join(dir, file);
+
+    if (file === "universe.json") {
+      universe = JSON.parse(await readFile(fullPath, "utf8"));
+      continue;
+    }
+
+    if (ext === ".csv") {
+      const code = basename(file, ext);
+      bars[code] = parseCsvBars(await readFile(fullPath, "utf8"));
+    } else if (ext === ".json") {
+      const parsed = JSON.parse(await readFile(fullPath, "utf8"));
+      const code = parsed.code || basename(file, ext);
+      bars[code] = normalizeBars(Array.isArray(parsed) ? parsed : parsed.bars || []);
+      if (!Array.isArray(parsed)) {
+        meta[code] = { code, name: parsed.name, type: parsed.type };
+      }
+    }
+  }
+
+  // 未提供universe.json时，使用JSON文件自带的名称与类型
+  if (!universe) {
+    universe = Object.values(meta);
+  }
+  universe = universe.map(item => item.type ? item : { ...item, type: classifyETF(item.code, item.name).type });
+
+  const missing = universe.filter(item => !bars[item.code]);
+  if (missing.length > 0) {
+    console.warn(`【loadBarsFromDir】以下ETF缺少日线文件，已忽略：${missing.map(item => item.code).join(",")}`);
+  }
+
+  console.log(`【loadBarsFromDir】加载完成：${Object.keys(bars).length}个日线文件，回测池${universe.length - missing.length}只`);
+  return {
+    universe: universe.filter(item => bars[item.code]),
+    bars
+  };
+}
+
+/**
+ * 解析CSV日线（首行为表头，日期格式YYYY-MM-DD）
+ * @param {string} text - CSV文本
+ * @returns {Array} 按日期升序排列的日线
+ */
+export function parseCsvBars(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) return [];
+
+  const headers = lines[0].split(",").map(h => h.trim().toLowerCase());
+  const rows = lines.slice(1).map(line => {
+    const cols = line.split(",");
+    const row = {};
+    headers.forEach((h, i) => { row[h] = cols[i]?.trim(); });
+    return row;
+  });
+  return normalizeBars(rows);
+}
+
+/**
+ * 统一日线字段并按日期升序排序（过滤无效收盘价）
+ * @param {Array} rows - 原始日线
+ * @returns {Array} 标准化日线
+ */
+function normalizeBars(rows) {
+  return rows
+    .map(row => ({
+      date: String(row.date || row.day).slice(0, 10),
+      open: parseFloat(row.open),
+      high: parseFloat(row.high),
+      low: parseFloat(row.low),
+      close: parseFloat(row.close),
+      volume: parseFloat(row.volume) || 0,
+      turnover: parseFloat(row.turnover ?? row.amount) || 0
+    }))
+    .filter(bar => bar.date && bar.close > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 执行回测
+ * @param {Object} options - 回测参数
+ * @param {Array} options.universe - 回测股票池 [{code, name, type}]（顺序即候选优先级）
+ * @param {Object} options.bars - 各ETF日线 { [code]: Array }（日期升序）
+ * @param {string} [options.from] - 起始日期（含，YYYY-MM-DD）
+ * @param {string} [options.to] - 结束日期（含，YYYY-MM-DD）
+ * @param {string} [options.profile] - 策略配置档（CONFIG.STRATEGY_PROFILES，默认DEFAULT_PROFILE）
+ * @returns {Object} 回测结果（收益曲线、成交列表、绩效指标）
+ */
+export function runBacktest({ universe, bars, from, to, profile: profileName = DEFAULT_PROFILE }) {
+  const profile = resolveProfile(profileName);
+  const barIndex = {};
+  for (const [code, list] of Object.entries(bars)) {
+    barIndex[code] = new Map(list.map(bar => [bar.date, bar]));
+  }
+
+  // 所有ETF日期的并集即回测交易日序列
+  const dates = [...new Set(universe.flatMap(item => bars[item.code].map(bar => bar.date)))]
+    .filter(date => (!from || date >= from) && (!to || date <= to))
+    .sort();
+  if (dates.length === 0) {
+    throw new Error("回测区间内无日线数据");
+  }
+
+  const holdings = createHoldings();
+  const history = createHistoryStore();
+  const ledgers = createLedgers();
+  const signalStates = createSignalStates();
+
+  const trades = [];
+  const equityCurve = [];
+  const lastClose = {};
+  const auxiliaryCodes = [CONFIG.REGIME.BENCHMARK, ...profile.DEFENSIVE.ETFS.map(etf => etf.code)];
+
+  const recordTrade = (trade, ledger) => {
+    trades.push(applyFill(ledger, trade));
+  };
+  let regimeWarmupDays = 0; // 基准日线不足LONG_MA根、趋势项按中性处理的交易日数
+
+  for (const date of dates) {
+    const pool = [];
+    for (const item of universe) {
+      const bar = barIndex[item.code].get(date);
+      if (!bar) continue; // 当日停牌或未上市
+      lastClose[item.code] = bar.close;
+      pool.push({
+        code: item.code,
+        name: item.name || item.code,
+        type: item.type,
+        score: item.score,
+        price: bar.close,
+        volume: bar.volume,
+        turnover: bar.turnover,
+        bar
+      });
+    }
+
+    // 基准ETF与防守ETF不在回测池中时单独记录日线（需在数据目录中提供日线文件），供市场状态判断与防守仓位使用
+    for (const code of auxiliaryCodes) {
+      const bar = barIndex[code]?.get(date);
+      if (!bar) continue;
+      history.record(code, bar);
+      lastClose[code] = bar.close;
+    }
+
+    runStrategyOnPool(pool, { profile, holdings, ledgers, signalStates, history, date, recordTrade });
+    if (CONFIG.REGIME.ENABLED && history.getBars(CONFIG.REGIME.BENCHMARK).length < CONFIG.REGIME.LONG_MA) regimeWarmupDays++;
+
+    let cash = 0;
+    let positionValue = 0;
+    for (const ledger of Object.values(ledgers)) {
+      const valuation = markToMarket(ledger, code => lastClose[code]);
+      cash += valuation.cash;
+      positionValue += valuation.marketValue;
+    }
+    equityCurve.push({ date, cash, positionValue, equity: cash + positionValue });
+  }
+  if (regimeWarmupDays > 0) {
+    console.warn(`【runBacktest】${regimeWarmupDays}个交易日基准${CONFIG.REGIME.BENCHMARK}日线不足${CONFIG.REGIME.LONG_MA}根，市场状态的趋势项按中性处理`);
+  }
+
+  return {
+    profile: profile.label,
+    from: dates[0],
+    to: dates[dates.length - 1],
+    equityCurve,
+    trades,
+    metrics: calculateMetrics(equityCurve, trades, CONFIG.CAPITAL.INITIAL)
+  };
+}
+
+/**
+ * 计算绩效指标
+ * @param {Array} equityCurve - 收益曲线
+ * @param {Array} trades - 成交列表
+ * @param {number} initialCapital - 初始资金
+ * @returns {Object} 总收益、年化收益、最大回撤、胜率、换手率、交易成本
+ */
+export function calculateMetrics(equityCurve, trades, initialCapital) {
+  const finalEquity = equityCurve[equityCurve.length - 1].equity;
+  const totalReturn = finalEquity / initialCapital - 1;
+  const years = equityCurve.length / TRADING_DAYS_PER_YEAR;
+  const annualizedReturn = years > 0 && finalEquity > 0
+    ? Math.pow(finalEquity / initialCapital, 1 / years) - 1
+    : 0;
+
+  // 最大回撤：收益曲线相对历史峰值的最大跌幅
+  let peak = initialCapital;
+  let maxDrawdown = 0;
+  for (const point of equityCurve) {
+    peak = Math.max(peak, point.equity);
+    maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+  }
+
+  // 胜率：以每次完整平仓（建仓至清仓，含期间分批止盈的已实现盈亏）是否盈利计算；防守仓位的停泊与释放不计入
+  const closedPnL = [];
+  const openPnL = {};
+  for (const t of trades) {
+    if (t.operation !== "卖出" || t.sleeve === "defensive") continue;
+    const key = `${t.profile}:${t.type}:${t.code}`;
+    openPnL[key] = (openPnL[key] || 0) + (t.realizedPnL || 0);
+    if (t.partial) continue;
+    closedPnL.push(openPnL[key]);
+    delete openPnL[key];
+  }
+  const winRate = closedPnL.length > 0
+    ? closedPnL.filter(pnl => pnl > 0).length / closedPnL.length
+    : 0;
+
+  // 交易成本：累计费用与滑点
+  const totalFees = trades.reduce((sum, t) => sum + (t.fees || 0), 0);
+  const totalSlippage = trades.reduce((sum, t) => sum + (t.slippage || 0), 0);
+
+  // 换手率：累计成交额 / 平均权益
+  const tradedAmount = trades.reduce((sum, t) => sum + t.amount, 0);
+  const averageEquity = equityCurve.reduce((sum, p) => sum + p.equity, 0) / equityCurve.length;
+  const turnover = averageEquity > 0 ? tradedAmount / averageEquity : 0;
+
+  return {
+    initialCapital,
+    finalEquity,
+    totalReturn,
+    annualizedReturn,
+    maxDrawdown,
+    winRate,
+    tradeCount: trades.length,
+    closedTradeCount: closedPnL.length,
+    turnover,
+    totalFees,
+    totalSlippage,
+    totalCosts: totalFees + totalSlippage
+  };
+}
+
+/**
+ * 格式化回测报告（命令行输出）
+ * @param {Object} result - runBacktest返回结果
+ * @returns {string} 报告文本
+ */
+export function formatBacktestReport(result) {
+  const m = result.metrics;
+  const pct = v => `${(v * 100).toFixed(2)}%`;
+  const lines = [
+    `【鱼盆模型回测报告】${result.profile} ${result.from} ~ ${result.to}（${result.equityCurve.length}个交易日）`,
+    `初始资金：${m.initialCapital.toFixed(2)}元 → 期末权益：${m.finalEquity.toFixed(2)}元`,
+    `总收益率：${pct(m.totalReturn)}，年化收益率：${pct(m.annualizedReturn)}`,
+    `最大回撤：${pct(m.maxDrawdown)}`,
+    `胜率：${pct(m.winRate)}（平仓${m.closedTradeCount}次，成交${m.tradeCount}笔）`,
+    `换手率：${m.turnover.toFixed(2)}倍`,
+    `交易成本：${m.totalCosts.toFixed(2)}元（费用${m.totalFees.toFixed(2)}元，滑点${m.totalSlippage.toFixed(2)}元）`,
+    "成交明细："
+  ];
+  for (const t of result.trades) {
+    const pnl = t.realizedPnL !== undefined ? `，盈亏${t.realizedPnL.toFixed(2)}（${t.exitRule || "卖出"}）` : "";
+    lines.push(`  ${t.date} ${t.type}${t.sleeve === "defensive" ? "·防守" : ""} ${t.operation} ${t.code} ${t.shares}份 @${(t.fillPrice ?? t.price).toFixed(3)}，金额${t.amount.toFixed(2)}，费用${(t.fees || 0).toFixed(2)}${pnl}`);
+  }
+  return lines.join("\n");
+}
+
+// 命令行入口：node backtest.js <数据目录> [起始日期] [结束日期] [配置档]
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  const [dir, from, to, profile] = process.argv.slice(2);
+  if (!dir) {
+    console.error("用法：node backtest.js <数据目录> [起始日期YYYY-MM-DD] [结束日期YYYY-MM-DD] [配置档，如fast]");
+    process.exit(1);
+  }
+  try {
+    loadConfig(process.env, { requireSecrets: false }); // 回测不推送消息，无需webhook
+    const { universe, bars } = await loadBarsFromDir(dir);
+    console.log(formatBacktestReport(runBacktest({ universe, bars, from: from || undefined, to: to || undefined, profile })));
+  } catch (e) {
+    console.error(`回测失败：${e.message}`);
+    process.exit(1);
+  }
+}
@@ -1,9 +1,9 @@
 // 导出鱼盆模型核心配置，严格匹配PDF中"鱼盆模型"参数
 // 新增Python桥接相关配置，保持与poolManager.js的兼容性
 export const CONFIG = {
-  // 企业微信机器人Webhook地址（用户提供的地址）
-  // 用于接收策略推送消息，需确保密钥正确（格式：https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=xxx）
-  WEBHOOK_URL: "https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=2f594b04-eb03-42b6-ad41-ff148bd57183",
+  // 企业微信机器人Webhook地址（密钥不写入代码，通过wrangler secret put WECOM_WEBHOOK_URL设置，由configLoader.js加载）
+  // 用于接收策略推送消息，格式：https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=xxx
+  WEBHOOK_URL: "",
   
   // 鱼盆模型核心参数（PDF中定义为20日均线策略）
   // 参考PDF第1章"核心指标体系"，所有参数均来自实战验证值
@@ -21,22 +21,110 @@ export const CONFIG = {
     RETRACE_LEVELS: [5, 10], // 回调均线（5日、10日均线处加仓，PDF1-78节"支撑位选择"）
     MAX_POSITION: 0.7, // 最大仓位70%（保留安全边际，PDF1-80节"风险控制上限"）
     SWITCH_THRESHOLD: 0.02, // 调仓阈值：跌破20日均线2%（止损触发条件，PDF1-54节"退出机制"）
+    SIZING_MODE: "ratio", // 仓位计算方式：ratio=按INITIAL_RATIO/ADD_STEPS固定比例，atr=按单笔风险÷ATR止损距离（波动大的ETF份额更少）
+    RISK_PER_TRADE: 0.01, // atr模式：首仓触及止损时亏损资金桶权益的1%（加仓按ADD_STEPS/INITIAL_RATIO等比缩小）
+    ATR_PERIOD: 14, // atr模式：ATR周期
+    ATR_STOP_MULTIPLIER: 2, // atr模式：止损距离=ATR×2
+    TRAILING_STOP: 0.1, // 移动止损：收盘价自持仓以来最高收盘价回撤10%时清仓（0为关闭）
+    TAKE_PROFIT: 0.2, // 分批止盈：较持仓成本每上涨20%卖出最近一层加仓（第2档40%，依此类推；0为关闭）
+    MAX_HOLD_DAYS: 30, // 时间止损：连续30个交易日未创新高时清仓（0为关闭）
+    MAX_HOLDINGS: 2, // 每个资金桶最多同时持有2只ETF（MAX_POSITION及各档比例由持仓均分）
+    ROTATION_SCORE_GAP: 10, // 仓位已满时，新候选评分需高出最弱持仓10分才调仓换入（避免评分小幅波动导致频繁换手）
+  },
+  
+  // 市场状态过滤（见regime.js）：按基准ETF均线位置与股票池宽度判断进攻/中性/防守，限制弱市中的新开仓与加仓
+  REGIME: {
+    ENABLED: true,
+    BENCHMARK: "510300", // 基准：沪深300ETF（跟踪沪深300指数；可改为中证800相关ETF，不在股票池中时通过K线接口获取日线）
+    SHORT_MA: 20, // 基准短期均线
+    LONG_MA: 60, // 基准长期均线（不超过HISTORY.MAX_BARS）
+    BREADTH_MA: 20, // 市场宽度：股票池中收盘价高于20日均线的比例
+    BREADTH_RISK_ON: 0.6, // 宽度≥60%视为强势
+    BREADTH_RISK_OFF: 0.4, // 宽度≤40%视为弱势
+    // 趋势、宽度两项合计（-2~2）的判定阈值：合计≥RISK_ON_SCORE为进攻，≤RISK_OFF_SCORE为防守，其余为中性
+    // 默认防守优先：任一项转弱且另一项未走强即进入防守；改为-2则需两项同时转弱（与进攻对称）
+    RISK_ON_SCORE: 2,
+    RISK_OFF_SCORE: -1,
+    SCALES: { "risk-on": 1, neutral: 0.5, "risk-off": 0 }, // 各状态下新开仓与加仓的仓位系数（0为暂停买入，卖出不受影响）
+    APPLY_TO: ["激进型"] // 受过滤的资金桶
+  },
+  
+  // 防守仓位（见defensive.js）：资金桶空仓时将闲置现金停泊在防守ETF，出现权益买入信号时先卖出防守ETF再建仓
+  DEFENSIVE: {
+    ENABLED: false,
+    ETFS: [
+      { code: "511880", name: "银华日利ETF", kind: "货币" },
+      { code: "511010", name: "国债ETF", kind: "债券" },
+      { code: "518880", name: "黄金ETF", kind: "黄金" }
+    ],
+    TREND_MA: 20, // 仅停泊在收盘价不低于20日均线的品种，跌破时卖出并换入其他品种
+    TREND_PERIOD: 20, // 按20日涨跌幅排序，选择最强的一只
+    PARK_RATIO: 0.95 // 停泊金额占资金桶可用现金的比例（保留少量现金支付费用）
+  },
+  
+  // 策略配置档（同时运行多套参数对比效果，各配置档的持仓、账本、信号状态与交易流水相互独立）
+  // 每个配置档在上方FISH_BOWL/POSITION/DEFENSIVE基础上覆盖部分参数（见profiles.js）；TAG用于推送消息，ENABLED为false时不参与每日执行
+  // 首个配置档standard沿用基础参数，升级前的持仓与账本迁移至该配置档
+  STRATEGY_PROFILES: {
+    standard: {
+      LABEL: "标准鱼盆（MA20）",
+      TAG: "MA20",
+      ENABLED: true
+    },
+    fast: {
+      LABEL: "快速鱼盆（MA10）",
+      TAG: "MA10",
+      ENABLED: false, // 默认关闭：启用后每日多一套推送与独立模拟账本，需通过CONFIG_OVERRIDES显式开启
+      FISH_BOWL: { MA_PERIOD: 10, VOLUME_THRESHOLD: 1.5 }, // 10日均线，放量要求提高到1.5倍以过滤短周期噪音
+      POSITION: { RETRACE_LEVELS: [3, 5] } // 回调均线需短于MA_PERIOD
+    }
+  },
+  
+  // 日线历史配置（按ETF代码独立存储，供均线与量能信号使用）
+  HISTORY: {
+    MAX_BARS: 250, // 每只ETF保留最近250个交易日（约1年，覆盖20日均线及后续长周期指标）
+    BACKFILL_DAYS: 120 // 股票池更新时回填的历史交易日数（不少于60日，保证部署首日即有均线信号）
   },
   
   // 股票池配置（PDF中"核心-卫星"策略）
   // 参考PDF第2章"标的选择体系"，平衡稳定性与进攻性
   POOL: {
-    SIZE: 10, // 10只ETF（5宽基+5行业，分散配置，PDF1-48节"组合构建原则"）
-    UPDATE_TIME: { weekday: 5, hour: 16 }, // 周五16点更新（避开交易时段，PDF1-3节"数据更新机制"）
+    SIZE: 10, // 10只ETF（宽基、行业各半，分散配置，PDF1-48节"组合构建原则"；环境变量DEFAULT_ETF_POOL_SIZE可覆盖）
+    UPDATE_TIME: { hour: 16 }, // 每周最后一个交易日16点更新（通常为周五，遇节假日提前；避开交易时段，PDF1-3节"数据更新机制"）
     MAX_AGE: 7 * 24 * 3600 * 1000, // 缓存最大有效期（7天，PDF1-3节性能优化要求）
-    MIN_COUNT: 10 // 最小ETF数量（宽基5+行业5，确保策略有效性，PDF3-1节配置要求）
+    MIN_COUNT: 10, // 最小ETF数量（宽基5+行业5，确保策略有效性，PDF3-1节配置要求）
+    SOURCE_CACHE_TTL: 300, // 数据源页面边缘缓存时间（秒，环境变量DATA_REFRESH_INTERVAL可覆盖）
+    // 纳入股票池的ETF类别（见etfTaxonomy.js：broad宽基、sector行业、thematic主题、smart-beta策略、bond债券、
+    // money-market货币、commodity商品、cross-border跨境）；宽基/策略/债券/货币进入稳健型，其余进入激进型
+    INCLUDE_CATEGORIES: ["broad", "smart-beta", "sector", "thematic"],
+    EXCLUDE_CATEGORIES: [], // 从INCLUDE_CATEGORIES中排除的类别（便于通过CONFIG_OVERRIDES临时剔除，如["thematic"]）
+    // 成员去重：同一跟踪指数只保留成交额最高的一只；与已纳入成员的日收益率相关系数超过上限的跳过（1表示不检查）
+    MAX_CORRELATION: 0.9,
+    CORRELATION_DAYS: 60, // 相关系数的计算窗口（最近N个交易日收益率，需小于HISTORY.BACKFILL_DAYS）
+    // 因子评分（poolScoring.js）：各因子按上限折算为0~1后乘以权重，权重合计100
+    SCORING: {
+      CANDIDATES_PER_TYPE: 8,  // 每类按成交额预选进入因子评分的数量（已存储足够日线的直接复用，其余需拉取K线）
+      // 单次更新为候选ETF拉取K线的上限（Workers单次调用的子请求数有限，含重试与回填），超出的候选仅按流动性评分
+      MAX_FETCHES: 12,
+      LOOKBACK_DAYS: 60,       // 夏普比率、年化波动率、最大回撤的计算窗口（交易日）
+      MOMENTUM_WINDOWS: [5, 20, 60], // 动量取各窗口涨跌幅的均值
+      LIQUIDITY_DAYS: 20,      // 流动性取最近N日平均成交额
+      WEIGHTS: { SHARPE: 30, MOMENTUM: 25, VOLATILITY: 10, DRAWDOWN: 10, LIQUIDITY: 25 },
+      // 满分/零分点：夏普≥3、动量≥15%、成交额≥1亿（万元）得满分；年化波动≥40%、最大回撤≥20%得0分
+      CAPS: { SHARPE: 3, MOMENTUM: 15, VOLATILITY: 40, DRAWDOWN: 20, LIQUIDITY: 10000 }
+    }
   },
   
-  // 策略执行时间（北京时间，PDF实战案例时间）
-  // 参考PDF第4章"执行时机选择"，匹配市场流动性高峰
-  STRATEGY_TIMES: {
-    PUSH_POOL: 11,   // 11点推送股票池（早间数据稳定后，PDF1-12节"信息发布窗口"）
-    CHECK_STRATEGY: 14 // 14点执行策略（午后趋势明朗，PDF1-233节"半导体ETF案例时间选择"）
+  // 定时任务（cron表达式为UTC时间，需与wrangler.toml的[triggers] crons保持一致，北京时间=UTC+8）
+  // 参考PDF第4章"执行时机选择"，匹配市场流动性高峰；同一cron下的任务按顺序执行
+  SCHEDULE: {
+    CRONS: {
+      "0 3 * * 1-5": ["checkAlerts"],            // 北京时间11点检查均线状态变化（早间数据稳定后，PDF1-12节"信息发布窗口"）
+      "0 6 * * 1-5": ["runStrategy"],            // 北京时间14点执行策略（午后趋势明朗，PDF1-233节"半导体ETF案例时间选择"）
+      "30 7 * * 1-5": ["dailyReport"],           // 北京时间15:30收盘后推送偏离度排名
+      "0 8 * * 1-5": ["refreshPool", "pushPool"] // 北京时间16点，仅在每周最后一个交易日更新并推送股票池（PDF1-3节"数据更新机制"）
+    },
+    RUNNING_TIMEOUT: 15 * 60 * 1000 // 任务标记为执行中的最长时间（超时视为中断，允许补跑）
   },
   
   // 资金配置（PDF中资金管理规则）
@@ -46,6 +134,18 @@ export const CONFIG = {
     ALLOCATION: { 稳健型: 0.6, 激进型: 0.4 } // 宽基60%，行业40%（风险平衡，PDF1-48节"资产配置比例"）
   },
   
+  // 交易成本模型（见costModel.js，计算份额/金额时计入，成交后记入账本）
+  // 小资金账户最低佣金影响显著，按券商实际费率调整
+  COSTS: {
+    COMMISSION_RATE: 0.00025, // 佣金费率（万2.5，买卖双向收取）
+    MIN_COMMISSION: 5,        // 单笔最低佣金5元（多数券商标准）
+    TRANSFER_FEE_RATE: 0,     // 过户费率（ETF通常免收；如券商收取可设为0.00001）
+    STAMP_DUTY_RATE: 0,       // 印花税率（ETF免征，仅卖出方向收取）
+    SLIPPAGE_BPS: 5,          // 滑点（基点，买入加价/卖出减价）
+    SLIPPAGE_TICKS: 0,        // 额外滑点（最小变动价位个数，与基点滑点叠加）
+    TICK_SIZE: 0.001          // ETF最小变动价位（元）
+  },
+  
   // 4个开源数据源（PDF推荐的市场数据来源类型）
   // 参考PDF附录A"数据接口说明"，确保数据可靠性与冗余备份
   DATA_SOURCES: [
@@ -55,23 +155,38 @@ export const CONFIG = {
     { name: "tushare", url: "https://tushare.pro/document/2?doc_id=25" } // 图莎尔，专业财经数据
   ],
   
+  // 历史K线数据源（按顺序尝试，返回JSON格式日线）
+  KLINE_SOURCES: [
+    { name: "eastmoney", url: "https://push2his.eastmoney.com/api/qt/stock/kline/get" }, // 东方财富K线接口
+    { name: "sina", url: "https://money.finance.sina.com.cn/quotes_service/api/json_v2.php/CN_MarketData.getKLineData" } // 新浪财经K线接口
+  ],
+  
   // Python桥接配置（新增，PDF5-4节跨语言调用方案）
   // 用于Node.js与Python脚本的交互参数控制
   PYTHON_BRIDGE: {
     SCRIPT_PATH: "akshare_etf_fetcher.py", // Python脚本路径（与poolManager.js同目录）
-    TIMEOUT: 20000, // 脚本执行超时时间（20秒，与数据源超时保持一致）
+    TIMEOUT: 20000, // 脚本执行超时时间（20秒，环境变量PYTHON_EXEC_TIMEOUT可覆盖）
     RETRY_COUNT: 2, // 脚本执行失败重试次数（2次，避免偶发错误）
     ENCODING: "utf8" // 脚本输出编码（确保中文正常解析）
   },
   
-  // 缓存配置（新增，用于持久化存储ETF池数据）
-  // 参考PDF5-2节容灾机制，确保系统在数据源故障时可用
-  CACHE: {
-    NAME: "fishbowl-etf-cache-v1", // 缓存名称（包含版本号，便于更新）
-    EXPIRY: 24 * 3600 * 1000, // 缓存过期时间（24小时，平衡实时性与性能）
-    KEY: "/etf-pool-cache" // 缓存键名（固定标识，便于读取）
+  // 接口鉴权配置（密钥通过wrangler secret put API_KEYS保存，不写入代码或wrangler.toml）
+  // 格式：{ "名称": { "token": "随机字符串", "role": "read|admin" } }，名称会记入审计日志
+  AUTH: {
+    SECRET_NAME: "API_KEYS",
+    MAX_CLOCK_SKEW: 5 * 60 * 1000, // HMAC签名时间戳允许的最大偏差（5分钟，防止重放）
+    AUDIT_MAX_ENTRIES: 500 // 审计日志保留条数
   },
   
+  // 持久化存储配置（Cloudflare KV / 本地文件，见storage.js）
+  // KV命名空间需在wrangler.toml中以FISHBOWL_KV绑定；本地运行可设置STORAGE_FILE环境变量指定JSON文件
+  STORAGE: {
+    KV_BINDING: "FISHBOWL_KV" // KV绑定名称（与wrangler.toml保持一致）
+  },
+  
+  // 日志级别（debug/info/warn/error，环境变量LOG_LEVEL可覆盖，低于该级别的console输出被屏蔽）
+  LOG_LEVEL: "info",
+  
   // 时区偏移（北京时间=UTC+8）
   // 用于将UTC时间转换为北京时间，确保时间判断准确（PDF1-10节"时区处理说明"）
   TIMEZONE_OFFSET: 8 * 60 * 60 * 1000 // 单位：毫秒（8小时×60分×60秒×1000毫秒）
@@ -82,5 +197,7 @@ export const CONFIG = {
 export const RESPONSE_HEADERS = {
   "Content-Type": "text/plain; charset=utf-8", // 强制UTF-8编码，解决中文显示问题
   "Cache-Control": "no-store", // 禁止缓存，确保测试时获取最新结果（PDF1-156节"缓存控制策略"）
-  "Access-Control-Allow-Origin": "*" // 允许跨域访问（适配前端调用场景，PDF6-2节跨域配置）
+  "Access-Control-Allow-Origin": "*", // 允许跨域访问（适配前端调用场景，PDF6-2节跨域配置）
+  "Access-Control-Allow-Methods": "GET, OPTIONS", // JSON接口均为只读查询
+  "Access-Control-Allow-Headers": "Authorization, Content-Type, X-Fishbowl-Key, X-Fishbowl-Timestamp, X-Fishbowl-Signature" // 鉴权所需请求头（见auth.js）
 };
@@ -0,0 +1,362 @@
+// 配置加载与校验（CONFIG默认值 + Worker环境变量/secret覆盖，启动时校验类型、取值范围及参数间约束）
+// 校验不通过时汇总全部问题后一次性抛出，避免带着错误参数运行策略或推送
+import { CONFIG } from "./config.js";
+import { DEFAULT_PROFILE, resolveProfile } from "./profiles.js";
+import { ETF_CATEGORIES, CATEGORY_TYPES } from "./etfTaxonomy.js";
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+// 原始日志方法（LOG_LEVEL调整后可恢复）
+const originalConsole = {
+  debug: console.debug,
+  log: console.log,
+  info: console.info,
+  warn: console.warn
+};
+
+// 环境变量 -> CONFIG路径（wrangler.toml [vars] 与 wrangler secret）
+const ENV_MAPPINGS = [
+  { env: "WECOM_WEBHOOK_URL", path: "WEBHOOK_URL", type: "string" },            // secret：企业微信机器人地址
+  { env: "PYTHON_BRIDGE_SCRIPT", path: "PYTHON_BRIDGE.SCRIPT_PATH", type: "string" },
+  { env: "PYTHON_EXEC_TIMEOUT", path: "PYTHON_BRIDGE.TIMEOUT", type: "number" },
+  { env: "DEFAULT_ETF_POOL_SIZE", path: "POOL.SIZE", type: "number" },
+  { env: "DATA_REFRESH_INTERVAL", path: "POOL.SOURCE_CACHE_TTL", type: "number" },
+  { env: "LOG_LEVEL", path: "LOG_LEVEL", type: "string" }
+];
+
+// 策略参数规则（基础FISH_BOWL/POSITION及每个策略配置档分别校验）：路径、类型（number/integer/string/array）、取值范围
+const STRATEGY_RULES = [
+  { path: "FISH_BOWL.MA_PERIOD", type: "integer", min: 2, max: 120 },
+  { path: "FISH_BOWL.CONFIRM_DAYS", type: "integer", min: 1, max: 10 },
+  { path: "FISH_BOWL.VOLUME_THRESHOLD", type: "number", min: 0, max: 10 },
+  { path: "POSITION.INITIAL_RATIO", type: "number", min: 0.01, max: 1 },
+  { path: "POSITION.ADD_STEPS", type: "array", item: { type: "number", min: 0.01, max: 1 } },
+  { path: "POSITION.RETRACE_LEVELS", type: "array", item: { type: "integer", min: 2, max: 120 } },
+  { path: "POSITION.MAX_POSITION", type: "number", min: 0.01, max: 1 },
+  { path: "POSITION.SWITCH_THRESHOLD", type: "number", min: 0, max: 0.5 },
+  { path: "POSITION.SIZING_MODE", type: "string", oneOf: ["ratio", "atr"] },
+  { path: "POSITION.RISK_PER_TRADE", type: "number", min: 0.001, max: 0.05 },
+  { path: "POSITION.ATR_PERIOD", type: "integer", min: 2, max: 60 },
+  { path: "POSITION.ATR_STOP_MULTIPLIER", type: "number", min: 0.5, max: 10 },
+  { path: "POSITION.TRAILING_STOP", type: "number", min: 0, max: 0.5 },
+  { path: "POSITION.TAKE_PROFIT", type: "number", min: 0, max: 2 },
+  { path: "POSITION.MAX_HOLD_DAYS", type: "integer", min: 0, max: 250 },
+  { path: "POSITION.MAX_HOLDINGS", type: "integer", min: 1, max: 10 },
+  { path: "POSITION.ROTATION_SCORE_GAP", type: "number", min: 0, max: 100 }
+];
+
+// 其余单项规则
+const FIELD_RULES = [
+  { path: "HISTORY.MAX_BARS", type: "integer", min: 30, max: 2000 },
+  { path: "HISTORY.BACKFILL_DAYS", type: "integer", min: 20, max: 2000 },
+  { path: "POOL.SIZE", type: "integer", min: 2, max: 100 },
+  { path: "POOL.MIN_COUNT", type: "integer", min: 1, max: 100 },
+  { path: "POOL.MAX_AGE", type: "number", min: 3600 * 1000 },
+  { path: "POOL.UPDATE_TIME.hour", type: "integer", min: 0, max: 23 },
+  { path: "POOL.SOURCE_CACHE_TTL", type: "integer", min: 0, max: 86400 },
+  { path: "POOL.INCLUDE_CATEGORIES", type: "array", item: { type: "string", oneOf: Object.keys(ETF_CATEGORIES) } },
+  { path: "POOL.MAX_CORRELATION", type: "number", min: 0, max: 1 },
+  { path: "POOL.CORRELATION_DAYS", type: "integer", min: 10, max: 500 },
+  { path: "POOL.SCORING.CANDIDATES_PER_TYPE", type: "integer", min: 1, max: 50 },
+  { path: "POOL.SCORING.MAX_FETCHES", type: "integer", min: 0, max: 40 },
+  { path: "POOL.SCORING.LOOKBACK_DAYS", type: "integer", min: 10, max: 500 },
+  { path: "POOL.SCORING.MOMENTUM_WINDOWS", type: "array", item: { type: "integer", min: 1, max: 500 } },
+  { path: "POOL.SCORING.LIQUIDITY_DAYS", type: "integer", min: 1, max: 500 },
+  { path: "POOL.SCORING.WEIGHTS.SHARPE", type: "number", min: 0, max: 100 },
+  { path: "POOL.SCORING.WEIGHTS.MOMENTUM", type: "number", min: 0, max: 100 },
+  { path: "POOL.SCORING.WEIGHTS.VOLATILITY", type: "number", min: 0, max: 100 },
+  { path: "POOL.SCORING.WEIGHTS.DRAWDOWN", type: "number", min: 0, max: 100 },
+  { path: "POOL.SCORING.WEIGHTS.LIQUIDITY", type: "number", min: 0, max: 100 },
+  { path: "POOL.SCORING.CAPS.SHARPE", type: "number", min: 0.1, max: 20 },
+  { path: "POOL.SCORING.CAPS.MOMENTUM", type: "number", min: 0.1, max: 500 },
+  { path: "POOL.SCORING.CAPS.VOLATILITY", type: "number", min: 0.1, max: 500 },
+  { path: "POOL.SCORING.CAPS.DRAWDOWN", type: "number", min: 0.1, max: 100 },
+  { path: "POOL.SCORING.CAPS.LIQUIDITY", type: "number", min: 1 },
+  { path: "SCHEDULE.RUNNING_TIMEOUT", type: "number", min: 60 * 1000 },
+  { path: "CAPITAL.INITIAL", type: "number", min: 1000 },
+  { path: "COSTS.COMMISSION_RATE", type: "number", min: 0, max: 0.01 },
+  { path: "COSTS.MIN_COMMISSION", type: "number", min: 0, max: 100 },
+  { path: "COSTS.TRANSFER_FEE_RATE", type: "number", min: 0, max: 0.01 },
+  { path: "COSTS.STAMP_DUTY_RATE", type: "number", min: 0, max: 0.01 },
+  { path: "COSTS.SLIPPAGE_BPS", type: "number", min: 0, max: 500 },
+  { path: "COSTS.SLIPPAGE_TICKS", type: "integer", min: 0, max: 100 },
+  { path: "COSTS.TICK_SIZE", type: "number", min: 0.0001, max: 1 },
+  { path: "PYTHON_BRIDGE.SCRIPT_PATH", type: "string" },
+  { path: "PYTHON_BRIDGE.TIMEOUT", type: "integer", min: 1000, max: 120000 },
+  { path: "AUTH.MAX_CLOCK_SKEW", type: "number", min: 1000 },
+  { path: "AUTH.AUDIT_MAX_ENTRIES", type: "integer", min: 1, max: 10000 },
+  { path: "LOG_LEVEL", type: "string", oneOf: LOG_LEVELS },
+  { path: "REGIME.BENCHMARK", type: "string" },
+  { path: "REGIME.SHORT_MA", type: "integer", min: 2, max: 250 },
+  { path: "REGIME.LONG_MA", type: "integer", min: 2, max: 250 },
+  { path: "REGIME.BREADTH_MA", type: "integer", min: 2, max: 250 },
+  { path: "REGIME.BREADTH_RISK_ON", type: "number", min: 0, max: 1 },
+  { path: "REGIME.BREADTH_RISK_OFF", type: "number", min: 0, max: 1 },
+  { path: "REGIME.RISK_ON_SCORE", type: "integer", min: -2, max: 2 },
+  { path: "REGIME.RISK_OFF_SCORE", type: "integer", min: -2, max: 2 },
+  { path: "REGIME.SCALES.risk-on", type: "number", min: 0, max: 1 },
+  { path: "REGIME.SCALES.neutral", type: "number", min: 0, max: 1 },
+  { path: "REGIME.SCALES.risk-off", type: "number", min: 0, max: 1 },
+  { path: "REGIME.APPLY_TO", type: "array", item: { type: "string", oneOf: ["稳健型", "激进型"] } },
+  { path: "DEFENSIVE.TREND_MA", type: "integer", min: 2, max: 250 },
+  { path: "DEFENSIVE.TREND_PERIOD", type: "integer", min: 1, max: 250 },
+  { path: "DEFENSIVE.PARK_RATIO", type: "number", min: 0.1, max: 1 }
+];
+
+/**
+ * 合并环境变量并校验配置（Worker入口处调用，校验失败抛出包含全部问题的错误）
+ * 覆盖来源：ENV_MAPPINGS中的单项变量，以及CONFIG_OVERRIDES（JSON，按CONFIG结构深度合并，如{"POSITION":{"MAX_POSITION":0.8}}）
+ * @param {Object} env - Worker环境绑定（本地运行可传process.env）
+ * @param {Object} options - { requireSecrets: 是否要求推送所需的secret（回测等离线场景传false） }
+ * @returns {Object} 生效的CONFIG
+ */
+export function loadConfig(env = {}, { requireSecrets = true } = {}) {
+  const issues = [];
+
+  if (env.CONFIG_OVERRIDES) {
+    try {
+      const overrides = typeof env.CONFIG_OVERRIDES === "string" ? JSON.parse(env.CONFIG_OVERRIDES) : env.CONFIG_OVERRIDES;
+      deepMerge(CONFIG, overrides);
+    } catch (e) {
+      issues.push(`CONFIG_OVERRIDES不是有效的JSON：${e.message}`);
+    }
+  }
+
+  for (const { env: name, path, type } of ENV_MAPPINGS) {
+    const raw = env[name];
+    if (raw === undefined || raw === "") continue;
+    const value = type === "number" ? Number(raw) : String(raw);
+    if (type === "number" && isNaN(value)) {
+      issues.push(`环境变量${name}应为数字（收到：${raw}）`);
+      continue;
+    }
+    setPath(CONFIG, path, value);
+  }
+
+  issues.push(...validateConfig(CONFIG, { requireSecrets }));
+  if (issues.length > 0) {
+    throw Object.assign(new Error(`配置校验失败（共${issues.length}项）：\n- ${issues.join("\n- ")}`), { code: "CONFIG_INVALID" });
+  }
+
+  applyLogLevel(CONFIG.LOG_LEVEL);
+  return CONFIG;
+}
+
+/**
+ * 校验配置（不修改配置）
+ * @param {Object} config - 待校验的配置
+ * @param {Object} options - { requireSecrets }
+ * @returns {Array<string>} 问题列表（为空表示通过）
+ */
+export function validateConfig(config, { requireSecrets = true } = {}) {
+  const issues = [];
+
+  for (const rule of FIELD_RULES) {
+    checkValue(getPath(config, rule.path), rule, rule.path, issues);
+  }
+
+  // 基础策略参数，以及覆盖了FISH_BOWL/POSITION的策略配置档（合并后的参数）
+  checkStrategyParams(config, "", config.HISTORY, issues);
+  const profiles = config.STRATEGY_PROFILES || {};
+  if (!profiles[DEFAULT_PROFILE]) {
+    issues.push(`STRATEGY_PROFILES缺少默认配置档${DEFAULT_PROFILE}（旧版持仓与账本迁移至该配置档）`);
+  }
+  if (!Object.values(profiles).some(profile => profile.ENABLED !== false)) {
+    issues.push("STRATEGY_PROFILES中没有已启用的配置档，策略不会执行");
+  }
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (profile.FISH_BOWL || profile.POSITION) {
+      checkStrategyParams(resolveProfile(name, config), `STRATEGY_PROFILES.${name}.`, config.HISTORY, issues);
+    }
+  }
+
+  if (requireSecrets && !/^https:\/\/qyapi\.weixin\.qq\.com\/cgi-bin\/webhook\/send\?key=[\w-]+$/.test(config.WEBHOOK_URL || "")) {
+    issues.push("WEBHOOK_URL未配置或格式错误（wrangler secret put WECOM_WEBHOOK_URL，格式：https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=xxx）");
+  }
+
+  // 参数间约束
+  const { HISTORY, POOL, CAPITAL, SCHEDULE, REGIME, DEFENSIVE } = config;
+  if (HISTORY && HISTORY.BACKFILL_DAYS > HISTORY.MAX_BARS) {
+    issues.push(`HISTORY.BACKFILL_DAYS（${HISTORY.BACKFILL_DAYS}）超过保留上限MAX_BARS（${HISTORY.MAX_BARS}）`);
+  }
+
+  if (REGIME) {
+    if (REGIME.SHORT_MA >= REGIME.LONG_MA) {
+      issues.push(`REGIME.SHORT_MA（${REGIME.SHORT_MA}）应短于LONG_MA（${REGIME.LONG_MA}）`);
+    }
+    if (HISTORY && Math.max(REGIME.LONG_MA, REGIME.BREADTH_MA) > HISTORY.MAX_BARS) {
+      issues.push(`REGIME均线周期超过HISTORY.MAX_BARS（${HISTORY.MAX_BARS}），无法计算`);
+    }
+    if (REGIME.BREADTH_RISK_OFF >= REGIME.BREADTH_RISK_ON) {
+      issues.push(`REGIME.BREADTH_RISK_OFF（${REGIME.BREADTH_RISK_OFF}）应低于BREADTH_RISK_ON（${REGIME.BREADTH_RISK_ON}）`);
+    }
+    if (REGIME.RISK_OFF_SCORE >= REGIME.RISK_ON_SCORE) {
+      issues.push(`REGIME.RISK_OFF_SCORE（${REGIME.RISK_OFF_SCORE}）应低于RISK_ON_SCORE（${REGIME.RISK_ON_SCORE}）`);
+    }
+  }
+
+  if (DEFENSIVE) {
+    const etfs = Array.isArray(DEFENSIVE.ETFS) ? DEFENSIVE.ETFS : [];
+    if (DEFENSIVE.ENABLED && etfs.length === 0) {
+      issues.push("DEFENSIVE.ETFS为空，无法启用防守仓位");
+    }
+    etfs.forEach((etf, i) => {
+      if (!/^\d{6}$/.test(etf?.code || "") || !etf.name) {
+        issues.push(`DEFENSIVE.ETFS[${i}]应包含6位代码code与名称name`);
+      }
+    });
+  }
+
+  if (POOL && POOL.SIZE < POOL.MIN_COUNT) {
+    issues.push(`POOL.SIZE（${POOL.SIZE}）小于POOL.MIN_COUNT（${POOL.MIN_COUNT}）`);
+  }
+
+  if (POOL && HISTORY && POOL.CORRELATION_DAYS >= HISTORY.BACKFILL_DAYS) {
+    issues.push(`POOL.CORRELATION_DAYS（${POOL.CORRELATION_DAYS}）应小于HISTORY.BACKFILL_DAYS（${HISTORY.BACKFILL_DAYS}），否则回填日线不足以计算相关系数`);
+  }
+
+  const scoring = POOL?.SCORING;
+  if (scoring?.WEIGHTS) {
+    const weightSum = Object.values(scoring.WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+    if (Math.abs(weightSum - 100) > 1e-6) {
+      issues.push(`POOL.SCORING.WEIGHTS合计应为100（当前：${weightSum}）`);
+    }
+  }
+  if (scoring && HISTORY && Array.isArray(scoring.MOMENTUM_WINDOWS)) {
+    if (scoring.MOMENTUM_WINDOWS.length === 0) {
+      issues.push("POOL.SCORING.MOMENTUM_WINDOWS不能为空");
+    }
+    const longest = Math.max(scoring.LOOKBACK_DAYS, scoring.LIQUIDITY_DAYS, ...scoring.MOMENTUM_WINDOWS);
+    if (longest >= HISTORY.BACKFILL_DAYS) {
+      issues.push(`POOL.SCORING的最长计算窗口（${longest}日）应小于HISTORY.BACKFILL_DAYS（${HISTORY.BACKFILL_DAYS}），否则回填日线不足以计算因子`);
+    }
+  }
+
+  if (POOL && Array.isArray(POOL.INCLUDE_CATEGORIES)) {
+    if (!Array.isArray(POOL.EXCLUDE_CATEGORIES)) {
+      issues.push("POOL.EXCLUDE_CATEGORIES应为数组（不排除时为[]）");
+    } else {
+      POOL.EXCLUDE_CATEGORIES
+        .filter(category => !ETF_CATEGORIES[category])
+        .forEach(category => issues.push(`POOL.EXCLUDE_CATEGORIES中的${category}不是有效类别（${Object.keys(ETF_CATEGORIES).join("/")}）`));
+      const allowed = POOL.INCLUDE_CATEGORIES.filter(category => !POOL.EXCLUDE_CATEGORIES.includes(category));
+      for (const type of ["宽基", "行业"]) {
+        if (!allowed.some(category => CATEGORY_TYPES[category] === type)) {
+          issues.push(`POOL纳入的类别中没有归入"${type}"的类别，${type === "宽基" ? "稳健型" : "激进型"}资金桶将没有候选ETF`);
+        }
+      }
+    }
+  }
+
+  const allocation = CAPITAL?.ALLOCATION || {};
+  for (const type of ["稳健型", "激进型"]) {
+    if (!(allocation[type] > 0 && allocation[type] <= 1)) {
+      issues.push(`CAPITAL.ALLOCATION.${type}应为(0, 1]之间的比例（收到：${allocation[type]}）`);
+    }
+  }
+  const allocated = Object.values(allocation).reduce((sum, ratio) => sum + ratio, 0);
+  if (Math.abs(allocated - 1) > 1e-6) {
+    issues.push(`CAPITAL.ALLOCATION合计应为1（当前${allocated.toFixed(4)}）`);
+  }
+
+  for (const cron of Object.keys(SCHEDULE?.CRONS || {})) {
+    if (cron.trim().split(/\s+/).length !== 5) {
+      issues.push(`SCHEDULE.CRONS中的"${cron}"不是5段cron表达式`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * 校验一组策略参数（FISH_BOWL/POSITION）的取值范围与相互约束
+ * @param {Object} params - 含FISH_BOWL/POSITION的参数（CONFIG或resolveProfile的结果）
+ * @param {string} prefix - 问题描述中的路径前缀（如STRATEGY_PROFILES.fast.）
+ * @param {Object} history - CONFIG.HISTORY（检查日线保留数量是否足够）
+ * @param {Array<string>} issues - 问题列表（追加）
+ */
+function checkStrategyParams(params, prefix, history, issues) {
+  for (const rule of STRATEGY_RULES) {
+    checkValue(getPath(params, rule.path), rule, prefix + rule.path, issues);
+  }
+
+  const { POSITION, FISH_BOWL } = params;
+  if (Array.isArray(POSITION?.ADD_STEPS) && Array.isArray(POSITION?.RETRACE_LEVELS)) {
+    if (POSITION.ADD_STEPS.length !== POSITION.RETRACE_LEVELS.length) {
+      issues.push(`${prefix}POSITION.ADD_STEPS（${POSITION.ADD_STEPS.length}步）与RETRACE_LEVELS（${POSITION.RETRACE_LEVELS.length}条均线）数量不一致，每次加仓需对应一条回调均线`);
+    }
+    const fullPosition = POSITION.INITIAL_RATIO + POSITION.ADD_STEPS.reduce((sum, step) => sum + step, 0);
+    if (POSITION.MAX_POSITION < fullPosition - 1e-9) {
+      issues.push(`${prefix}POSITION.MAX_POSITION（${POSITION.MAX_POSITION}）小于首仓与全部加仓之和（${fullPosition.toFixed(4)}），加仓无法执行完毕`);
+    }
+    const longRetrace = POSITION.RETRACE_LEVELS.filter(level => level >= FISH_BOWL?.MA_PERIOD);
+    if (longRetrace.length > 0) {
+      issues.push(`${prefix}POSITION.RETRACE_LEVELS中的${longRetrace.join("/")}日均线不短于FISH_BOWL.MA_PERIOD（${FISH_BOWL?.MA_PERIOD}），无法作为回调支撑`);
+    }
+  }
+
+  // isBuySignal需要额外3天数据判断均线趋势
+  if (history && FISH_BOWL && history.MAX_BARS < FISH_BOWL.MA_PERIOD + 3) {
+    issues.push(`HISTORY.MAX_BARS（${history.MAX_BARS}）不足以计算${prefix}FISH_BOWL.MA_PERIOD（${FISH_BOWL.MA_PERIOD}日）均线趋势（至少${FISH_BOWL.MA_PERIOD + 3}）`);
+  }
+}
+
+function checkValue(value, rule, label, issues) {
+  if (rule.type === "array") {
+    if (!Array.isArray(value) || value.length === 0) {
+      issues.push(`${label}应为非空数组`);
+      return;
+    }
+    value.forEach((item, i) => checkValue(item, rule.item, `${label}[${i}]`, issues));
+    return;
+  }
+  if (rule.type === "string") {
+    if (typeof value !== "string" || value === "") {
+      issues.push(`${label}应为非空字符串`);
+    } else if (rule.oneOf && !rule.oneOf.includes(value)) {
+      issues.push(`${label}应为${rule.oneOf.join("/")}之一（收到：${value}）`);
+    }
+    return;
+  }
+  if (typeof value !== "number" || isNaN(value) || (rule.type === "integer" && !Number.isInteger(value))) {
+    issues.push(`${label}应为${rule.type === "integer" ? "整数" : "数字"}（收到：${JSON.stringify(value)}）`);
+    return;
+  }
+  if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+    issues.push(`${label}超出范围[${rule.min ?? "-∞"}, ${rule.max ?? "+∞"}]（收到：${value}）`);
+  }
+}
+
+/**
+ * 按LOG_LEVEL屏蔽低级别日志（debug < info(console.log) < warn < error）
+ * @param {string} level - 日志级别
+ */
+function applyLogLevel(level) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  const noop = () => {};
+  console.debug = threshold <= 0 ? originalConsole.debug : noop;
+  console.log = threshold <= 1 ? originalConsole.log : noop;
+  console.info = threshold <= 1 ? originalConsole.info : noop;
+  console.warn = threshold <= 2 ? originalConsole.warn : noop;
+}
+
+function getPath(object, path) {
+  return path.split(".").reduce((value, key) => value?.[key], object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => node[key] || (node[key] = {}), object);
+  target[last] = value;
+}
+
+function deepMerge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === "object" && !Array.isArray(value) && target[key] && typeof target[key] === "object" && !Array.isArray(target[key])) {
+      deepMerge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+}
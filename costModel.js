@@ -0,0 +1,80 @@
+// 交易成本模型（佣金、最低佣金、过户费、印花税、滑点），参数见CONFIG.COSTS
+// 策略计算份额与金额时统一经此估算成交价与费用，结果写入建议与账本
+import { CONFIG } from "./config.js";
+
+/**
+ * 计算含滑点的成交价（买入向上、卖出向下，按最小变动价位取整）
+ * @param {string} operation - 操作（买入/加仓/卖出）
+ * @param {number} price - 行情价格
+ * @returns {number} 成交价
+ */
+export function applySlippage(operation, price) {
+  const { SLIPPAGE_BPS, SLIPPAGE_TICKS, TICK_SIZE } = CONFIG.COSTS;
+  const direction = operation === "卖出" ? -1 : 1;
+  const raw = price * (1 + direction * SLIPPAGE_BPS / 10000) + direction * SLIPPAGE_TICKS * TICK_SIZE;
+  // 买入向上取整、卖出向下取整到最小变动价位（先按1e-9修正浮点误差）
+  const ticks = raw / TICK_SIZE;
+  const rounded = direction > 0 ? Math.ceil(ticks - 1e-9) : Math.floor(ticks + 1e-9);
+  return Number((rounded * TICK_SIZE).toFixed(6));
+}
+
+/**
+ * 计算成交费用
+ * @param {string} operation - 操作（买入/加仓/卖出）
+ * @param {number} grossAmount - 成交金额（成交价×份额）
+ * @returns {Object} { commission, transferFee, stampDuty, total }
+ */
+export function calculateFees(operation, grossAmount) {
+  const { COMMISSION_RATE, MIN_COMMISSION, TRANSFER_FEE_RATE, STAMP_DUTY_RATE } = CONFIG.COSTS;
+  if (grossAmount <= 0) {
+    return { commission: 0, transferFee: 0, stampDuty: 0, total: 0 };
+  }
+  const commission = Math.max(grossAmount * COMMISSION_RATE, MIN_COMMISSION);
+  const transferFee = grossAmount * TRANSFER_FEE_RATE;
+  const stampDuty = operation === "卖出" ? grossAmount * STAMP_DUTY_RATE : 0; // 印花税仅卖出方向收取
+  return {
+    commission: round2(commission),
+    transferFee: round2(transferFee),
+    stampDuty: round2(stampDuty),
+    total: round2(commission + transferFee + stampDuty)
+  };
+}
+
+/**
+ * 估算一笔交易的成交结果
+ * @param {string} operation - 操作（买入/加仓/卖出）
+ * @param {number} price - 行情价格
+ * @param {number} shares - 份额
+ * @returns {Object} { fillPrice, grossAmount, fees, slippageCost, netAmount }
+ *   netAmount：买入为现金支出（成交金额+费用），卖出为现金回笼（成交金额-费用）
+ */
+export function estimateTrade(operation, price, shares) {
+  const fillPrice = applySlippage(operation, price);
+  const grossAmount = round2(fillPrice * shares);
+  const fees = calculateFees(operation, grossAmount);
+  const slippageCost = round2(Math.abs(fillPrice - price) * shares);
+  const netAmount = operation === "卖出"
+    ? round2(grossAmount - fees.total)
+    : round2(grossAmount + fees.total);
+  return { fillPrice, grossAmount, fees, slippageCost, netAmount };
+}
+
+/**
+ * 计算预算内可买入的最大份额（含滑点与费用，100份一手）
+ * @param {number} budget - 可用金额
+ * @param {number} price - 行情价格
+ * @returns {number} 份额（不足一手返回0）
+ */
+export function maxAffordableShares(budget, price) {
+  const fillPrice = applySlippage("买入", price);
+  let shares = Math.floor(budget / fillPrice / 100) * 100;
+  // 最低佣金等固定费用可能使整手金额超出预算，逐手递减直至满足
+  while (shares > 0 && estimateTrade("买入", price, shares).netAmount > budget) {
+    shares -= 100;
+  }
+  return shares;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
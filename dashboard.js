@@ -0,0 +1,172 @@
+// 服务端渲染的HTML看板（ETF池评分、各资金桶持仓与盈亏、MA20偏离度、最近交易、数据源状态）
+// 不引用任何外部CDN资源，样式与SVG走势图全部内联，内网或手机端交易时段均可直接打开
+import { CONFIG } from "./config.js";
+import { getCachedPool } from "./poolManager.js";
+import { historyStore } from "./historyStore.js";
+import { buildDeviationReport } from "./report.js";
+import { getHoldingsSnapshot } from "./strategy.js";
+import { printTradeHistory } from "./testUtils.js";
+import { getSourceHealth } from "./sourceHealth.js";
+import { ETF_CATEGORIES } from "./etfTaxonomy.js";
+import { formatBreakdown } from "./poolScoring.js";
+
+const SPARKLINE_BARS = 30;   // 走势图使用的最近日线数量
+const RECENT_TRADES = 20;    // 展示的最近交易条数
+const REFRESH_SECONDS = 300; // 页面自动刷新间隔（秒）
+
+/**
+ * 汇总看板数据并渲染为HTML（股票池取已缓存的结果，打开看板不会触发全市场筛选）
+ * @returns {Promise<string>} 完整HTML页面
+ */
+export async function generateDashboard() {
+  const pool = await getCachedPool();
+  const holdings = await getHoldingsSnapshot(); // 同时加载实盘日线与交易流水
+  const report = buildDeviationReport(pool, historyStore);
+  const trades = (await printTradeHistory()).slice(-RECENT_TRADES).reverse();
+  const sources = await getSourceHealth();
+  const closes = Object.fromEntries(pool.map(etf => [
+    etf.code,
+    historyStore.getBars(etf.code).slice(0, SPARKLINE_BARS).map(b => b.close).reverse()
+  ]));
+  return renderDashboard({ generatedAt: Date.now(), pool, holdings, report, trades, sources, closes });
+}
+
+/**
+ * 渲染看板HTML（纯函数，便于离线预览）
+ * @param {Object} data - { generatedAt, pool, holdings, report, trades, sources, closes: { code: 收盘价（最早在前） } }
+ * @returns {string} 完整HTML页面
+ */
+export function renderDashboard({ generatedAt, pool, holdings, report, trades, sources, closes }) {
+  const deviations = Object.fromEntries(report.rows.map(row => [row.code, row]));
+
+  const poolRows = pool.map(etf => {
+    const row = deviations[etf.code];
+    return `<tr><td>${escapeHtml(etf.code)}</td><td>${escapeHtml(etf.name)}</td><td>${escapeHtml(ETF_CATEGORIES[etf.category] || etf.type)}</td>` +
+      `<td class="num" title="${escapeHtml(formatBreakdown(etf.scoreBreakdown))}">${formatNumber(etf.score, 0)}</td>` +
+      `<td class="num">${row ? formatNumber(row.close, 3) : "—"}</td>` +
+      `<td class="num ${signClass(row?.deviation)}">${row ? formatPercent(row.deviation) : "—"}</td>` +
+      `<td>${row ? `<span class="${row.status === "YES" ? "up" : "down"}">${row.status}</span>` : "—"}</td>` +
+      `<td>${sparkline(closes[etf.code] || [])}</td></tr>`;
+  }).join("");
+
+  // 每只持仓（含防守仓位）一行，资金桶与账本单元格跨行合并
+  const holdingRows = holdings.map(h => {
+    const ledger = h.ledger || {};
+    const pnl = (ledger.realizedPnL || 0) + (ledger.unrealizedPnL || 0);
+    const defensive = h.defensive || [];
+    const positionCells = [
+      ...h.positions.map(p => `<td>${escapeHtml(p.code)} ${escapeHtml(p.name)}</td><td class="num">${p.buySteps}</td><td class="num">${p.totalShares}</td>`),
+      ...defensive.map(p => `<td>${escapeHtml(p.code)} ${escapeHtml(p.name)}（防守）</td><td class="num">—</td><td class="num">${p.shares}</td>`)
+    ];
+    if (positionCells.length === 0) positionCells.push(`<td>空仓</td><td class="num">0</td><td class="num">0</td>`);
+    const span = positionCells.length;
+    return positionCells.map((cells, i) => i > 0 ? `<tr>${cells}</tr>` :
+      `<tr><td rowspan="${span}">${escapeHtml(h.profile)}</td><td rowspan="${span}">${escapeHtml(h.type)}</td>${cells}` +
+      `<td class="num" rowspan="${span}">${formatNumber(ledger.cash, 2)}</td><td class="num" rowspan="${span}">${formatNumber(ledger.equity, 2)}</td>` +
+      `<td class="num ${signClass(ledger.unrealizedPnL)}" rowspan="${span}">${formatNumber(ledger.unrealizedPnL, 2)}</td>` +
+      `<td class="num ${signClass(pnl)}" rowspan="${span}">${formatNumber(pnl, 2)}</td></tr>`
+    ).join("");
+  }).join("");
+
+  const tradeRows = trades.map(t =>
+    `<tr><td>${escapeHtml(t.date || t.time)}</td><td>${escapeHtml(t.profile)}</td><td>${escapeHtml(t.type)}</td><td>${escapeHtml(t.operation)}</td>` +
+    `<td>${escapeHtml(t.code)}</td><td class="num">${t.shares ?? "—"}</td>` +
+    `<td class="num">${formatNumber(t.fillPrice ?? t.price, 3)}</td><td class="num">${formatNumber(t.amount, 2)}</td>` +
+    `<td class="num ${signClass(t.realizedPnL)}">${t.realizedPnL === undefined ? "—" : formatNumber(t.realizedPnL, 2)}</td></tr>`
+  ).join("");
+
+  const sourceRows = sources.map(s =>
+    `<tr><td>${escapeHtml(s.kind)}</td><td>${escapeHtml(s.name)}</td>` +
+    `<td><span class="badge ${s.status}">${s.status}</span></td>` +
+    `<td class="num">${s.successCount}/${s.successCount + s.failureCount}</td>` +
+    `<td>${s.lastSuccess ? formatTime(s.lastSuccess) : "—"}</td>` +
+    `<td>${escapeHtml(s.lastError || "")}</td></tr>`
+  ).join("");
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="refresh" content="${REFRESH_SECONDS}">
+<title>鱼盆模型看板</title>
+<style>
+body{font-family:-apple-system,"PingFang SC","Microsoft YaHei",sans-serif;margin:0;padding:12px;background:#f5f6f8;color:#222;font-size:14px}
+h1{font-size:18px;margin:0 0 4px}h2{font-size:15px;margin:0 0 8px}
+.meta{color:#888;font-size:12px;margin-bottom:12px}
+section{background:#fff;border-radius:8px;padding:12px;margin-bottom:12px;overflow-x:auto}
+table{border-collapse:collapse;width:100%;white-space:nowrap}
+th,td{padding:6px 8px;border-bottom:1px solid #eee;text-align:left}
+th{color:#666;font-weight:normal;font-size:12px}
+.num{text-align:right;font-variant-numeric:tabular-nums}
+.up{color:#d93026}.down{color:#1e8e3e}
+.badge{padding:1px 6px;border-radius:4px;font-size:12px;color:#fff;background:#999}
+.badge.healthy{background:#1e8e3e}.badge.degraded{background:#f29900}.badge.down{background:#d93026}
+.empty{color:#999;text-align:center}
+</style>
+</head>
+<body>
+<h1>鱼盆模型看板</h1>
+<div class="meta">生成时间：${formatTime(generatedAt)}（北京时间）｜偏离度基于MA${report.period}，最新日线${escapeHtml(report.date || "—")}｜每${REFRESH_SECONDS / 60}分钟自动刷新</div>
+<section><h2>ETF池（评分与MA${report.period}偏离度）</h2><table>
+<tr><th>代码</th><th>名称</th><th>类型</th><th class="num">评分</th><th class="num">现价</th><th class="num">偏离率</th><th>状态</th><th>近${SPARKLINE_BARS}日</th></tr>
+${poolRows || emptyRow(8, "ETF池为空")}</table></section>
+<section><h2>持仓与盈亏</h2><table>
+<tr><th>配置档</th><th>资金桶</th><th>持仓</th><th class="num">加仓步数</th><th class="num">份额</th><th class="num">现金</th><th class="num">总资产</th><th class="num">浮动盈亏</th><th class="num">累计盈亏</th></tr>
+${holdingRows || emptyRow(9, "暂无持仓数据")}</table></section>
+<section><h2>最近交易</h2><table>
+<tr><th>日期</th><th>配置档</th><th>资金桶</th><th>操作</th><th>代码</th><th class="num">份额</th><th class="num">成交价</th><th class="num">金额</th><th class="num">盈亏</th></tr>
+${tradeRows || emptyRow(9, "暂无交易记录")}</table></section>
+<section><h2>数据源状态</h2><table>
+<tr><th>类别</th><th>数据源</th><th>状态</th><th class="num">成功/总数</th><th>最近成功</th><th>最近错误</th></tr>
+${sourceRows || emptyRow(6, "暂无请求记录")}</table></section>
+</body>
+</html>`;
+}
+
+/**
+ * 生成内联SVG走势图（A股习惯：上涨红、下跌绿）
+ * @param {Array<number>} values - 收盘价（最早在前）
+ * @param {number} width - 宽度（像素）
+ * @param {number} height - 高度（像素）
+ * @returns {string} SVG标记
+ */
+function sparkline(values, width = 100, height = 28) {
+  const points = values.filter(v => v > 0);
+  if (points.length < 2) return "—";
+  const min = Math.min(...points);
+  const max = Math.max(...points);
+  const range = max - min || 1;
+  const coords = points.map((v, i) =>
+    `${(i / (points.length - 1) * width).toFixed(1)},${(height - 2 - (v - min) / range * (height - 4)).toFixed(1)}`
+  ).join(" ");
+  const color = points[points.length - 1] >= points[0] ? "#d93026" : "#1e8e3e";
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">` +
+    `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${coords}"/></svg>`;
+}
+
+function emptyRow(columns, text) {
+  return `<tr><td colspan="${columns}" class="empty">${text}</td></tr>`;
+}
+
+function signClass(value) {
+  if (typeof value !== "number" || value === 0) return "";
+  return value > 0 ? "up" : "down";
+}
+
+function formatNumber(value, digits) {
+  const number = typeof value === "string" ? parseFloat(value) : value;
+  return typeof number === "number" && !isNaN(number) ? number.toFixed(digits) : "—";
+}
+
+function formatPercent(value) {
+  return `${value >= 0 ? "+" : ""}${value.toFixed(2)}%`;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp + CONFIG.TIMEZONE_OFFSET).toISOString().slice(0, 16).replace("T", " ");
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[ch]);
+}
@@ -1,6 +1,8 @@
 // 导入配置和HTML解析库（PDF中数据获取逻辑）
 import { CONFIG } from "./config.js";
 import { load } from "cheerio";
+import { recordSourceResult } from "./sourceHealth.js";
+import { classifyETF } from "./etfTaxonomy.js";
 
 /**
  * 主函数：从数据源获取ETF数据，失败自动切换（PDF多数据源备份思想）
@@ -32,7 +34,11 @@ export async function fetchETFData() {
       if (data.length >= CONFIG.POOL.SIZE && 
           data.every(item => item.code && item.price && !isNaN(item.price))) {
         console.log(`成功从【${source.name}】获取${data.length}条有效数据`);
-        return data;
+        // 按代码与名称分类（资金桶类型、类别、跟踪指数，见etfTaxonomy.js）
+        return data.map(item => {
+          const { type, category, index } = classifyETF(item.code, item.name);
+          return { ...item, type, category, index };
+        });
       } else {
         throw new Error(`数据无效（数量不足或字段缺失）`);
       }
@@ -46,6 +52,121 @@ export async function fetchETFData() {
   throw new Error("所有数据源均获取失败，无法生成股票池");
 }
 
+/**
+ * 获取单只ETF的历史日线（K线），多源自动切换（东方财富 > 新浪财经）
+ * 用于股票池更新后回填历史，保证部署/重置后首日即可计算20日均线
+ * @param {string} code - ETF代码（6位）
+ * @param {number} days - 获取的交易日数量（默认CONFIG.HISTORY.BACKFILL_DAYS）
+ * @returns {Array} 日线数组（最新在前）
+ */
+export async function fetchETFHistory(code, days = CONFIG.HISTORY.BACKFILL_DAYS) {
+  for (const source of CONFIG.KLINE_SOURCES) {
+    try {
+      const url = buildKlineUrl(source, code, days);
+      const res = await fetchWithRetry(url);
+      if (!res.ok) throw new Error(`HTTP状态码：${res.status}`);
+
+      const text = await res.text();
+      const bars = source.name === "eastmoney"
+        ? parseEastmoneyKline(text)
+        : parseSinaKline(text);
+
+      if (bars.length === 0) {
+        throw new Error("K线数据为空");
+      }
+      recordSourceResult("kline", source.name, true);
+      console.log(`【fetchETFHistory】${code}从【${source.name}】获取${bars.length}根日线`);
+      return bars.slice(0, days);
+    } catch (e) {
+      recordSourceResult("kline", source.name, false, `${code}：${e.message}`);
+      console.error(`【fetchETFHistory】${code}从【${source.name}】获取失败：${e.message}，尝试下一个数据源`);
+    }
+  }
+
+  throw new Error(`${code}所有K线数据源均获取失败`);
+}
+
+/**
+ * 拼接K线接口地址
+ * @param {Object} source - K线数据源配置
+ * @param {string} code - ETF代码
+ * @param {number} days - 交易日数量
+ * @returns {string} 请求地址
+ */
+function buildKlineUrl(source, code, days) {
+  const market = getMarket(code);
+  if (source.name === "eastmoney") {
+    // secid：1=上交所，0=深交所；fields2依次为日期、开、收、高、低、成交量（手）、成交额（元）
+    const secid = `${market === "sh" ? 1 : 0}.${code}`;
+    return `${source.url}?secid=${secid}&fields1=f1,f2,f3&fields2=f51,f52,f53,f54,f55,f56,f57&klt=101&fqt=1&end=20500101&lmt=${days}`;
+  }
+  // 新浪：scale=240为日线
+  return `${source.url}?symbol=${market}${code}&scale=240&ma=no&datalen=${days}`;
+}
+
+/**
+ * 判断ETF所属交易所（与akshare_etf_fetcher.py规则一致：5/6开头为上交所，其余为深交所）
+ * @param {string} code - ETF代码
+ * @returns {string} "sh"或"sz"
+ */
+export function getMarket(code) {
+  return /^[56]/.test(code) ? "sh" : "sz";
+}
+
+/**
+ * 解析东方财富K线接口返回（data.klines为"日期,开,收,高,低,成交量(手),成交额(元)"字符串数组）
+ * @param {string|Object} raw - 接口返回的JSON文本或已解析对象
+ * @returns {Array} 日线数组（最新在前，成交量单位：份）
+ */
+export function parseEastmoneyKline(raw) {
+  const json = typeof raw === "string" ? JSON.parse(raw) : raw;
+  const klines = json?.data?.klines;
+  if (!Array.isArray(klines)) return [];
+
+  return klines
+    .map(line => {
+      const [date, open, close, high, low, volume, amount] = line.split(",");
+      return {
+        date,
+        open: parseFloat(open),
+        high: parseFloat(high),
+        low: parseFloat(low),
+        close: parseFloat(close),
+        volume: parseFloat(volume) * 100, // 手→份
+        turnover: parseFloat(amount)
+      };
+    })
+    .filter(bar => bar.date && bar.close > 0)
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * 解析新浪财经K线接口返回（[{day, open, high, low, close, volume}]，成交量单位：份）
+ * @param {string|Array} raw - 接口返回的JSON文本或已解析数组
+ * @returns {Array} 日线数组（最新在前）
+ */
+export function parseSinaKline(raw) {
+  const list = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map(item => {
+      const close = parseFloat(item.close);
+      const volume = parseFloat(item.volume);
+      return {
+        date: String(item.day).slice(0, 10),
+        open: parseFloat(item.open),
+        high: parseFloat(item.high),
+        low: parseFloat(item.low),
+        close,
+        volume,
+        turnover: item.amount !== undefined ? parseFloat(item.amount) : volume * close // 接口未返回成交额时按收盘价估算
+      };
+    })
+    .filter(bar => bar.date && bar.close > 0)
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
 /**
  * 爬取AkShare的ETF数据（解析公开数据页）
  * @param {string} url - AkShare的ETF数据页面地址
@@ -72,7 +193,6 @@ async function fetchAkShare(url) {
           price: parseFloat($(cols[2]).text()), // 第3列：价格
           change: parseFloat($(cols[3]).text()), // 第4列：涨跌幅
           volume: parseFloat($(cols[4]).text()), // 第5列：成交量
-          type: $(cols[1]).text().includes("宽基") ? "宽基" : "行业", // PDF中类型划分
           source: "akshare"
         });
       }
@@ -106,7 +226,6 @@ async function fetchBaostock(url) {
           price: parseFloat($(cols[2]).text()),
           change: parseFloat($(cols[3]).text()),
           volume: parseFloat($(cols[4]).text() || 0), // 成交量可能在第5列
-          type: $(cols[1]).text().includes("指数") ? "宽基" : "行业", // PDF中宽基定义
           source: "baostock"
         });
       }
@@ -140,7 +259,6 @@ async function fetchSina(url) {
           price: parseFloat($(cols[3]).text()),
           change: parseFloat($(cols[4]).text()),
           volume: parseFloat($(cols[5]).text().replace(/,/g, "") || 0), // 去除逗号
-          type: $(cols[2]).text().includes("宽基") ? "宽基" : "行业",
           source: "sina"
         });
       }
@@ -174,7 +292,6 @@ async function fetchTushare(url) {
           price: parseFloat($(cols[2]).text()),
           change: parseFloat($(cols[3]).text()),
           volume: parseFloat($(cols[4]).text() || 0),
-          type: $(cols[1]).text().includes("ETF") ? "宽基" : "行业",
           source: "tushare"
         });
       }
@@ -0,0 +1,60 @@
+// 防守仓位（CONFIG.DEFENSIVE）：资金桶空仓时将闲置现金停泊在货币/债券/黄金ETF，出现权益买入信号时自动释放
+// 停泊持仓直接记在所属资金桶账本中（现金同源），按代码是否属于DEFENSIVE.ETFS区分，无需额外持仓状态
+import { CONFIG } from "./config.js";
+import { calculateMA, calculateROC } from "./indicator.js";
+import { fetchETFHistory } from "./dataFetcher.js";
+import { historyStore } from "./historyStore.js";
+
+/**
+ * 是否为防守ETF
+ * @param {string} code - ETF代码
+ * @param {Object} config - 配置（默认CONFIG）
+ * @returns {boolean}
+ */
+export function isDefensiveCode(code, config = CONFIG) {
+  return config.DEFENSIVE.ETFS.some(etf => etf.code === code);
+}
+
+/**
+ * 按自身趋势对防守ETF排序：仅保留收盘价不低于TREND_MA日均线的品种，按TREND_PERIOD日涨跌幅降序
+ * @param {Object} history - 日线存储（historyStore.js）
+ * @param {Object} config - 配置（默认CONFIG）
+ * @returns {Array} [{ code, name, kind, price, ma, roc }]（日线不足或趋势向下的品种不在列表中）
+ */
+export function rankDefensiveETFs(history, config = CONFIG) {
+  const { DEFENSIVE } = config;
+  return DEFENSIVE.ETFS
+    .map(etf => {
+      const closes = history.getBars(etf.code).map(bar => bar.close);
+      return {
+        ...etf,
+        price: closes[0] ?? null,
+        ma: calculateMA(closes, DEFENSIVE.TREND_MA),
+        roc: calculateROC(closes, DEFENSIVE.TREND_PERIOD)
+      };
+    })
+    .filter(etf => etf.ma !== null && etf.roc !== null && etf.price >= etf.ma)
+    .sort((a, b) => b.roc - a.roc);
+}
+
+/**
+ * 刷新防守ETF的最近日线（防守ETF不在股票池中，实盘日线仅能通过K线接口获取；单只失败时沿用已存储日线）
+ * 调用前需已加载日线存储与数据源健康记录，调用后由调用方保存（见strategy.js的executeStrategy）
+ * @param {Array} configs - 本次执行的配置档（profiles.js的解析结果，仅刷新启用防守仓位的配置档所列品种；默认CONFIG）
+ */
+export async function refreshDefensiveBars(configs = [CONFIG]) {
+  const refreshed = new Set();
+  for (const { DEFENSIVE } of configs) {
+    if (!DEFENSIVE.ENABLED) continue;
+    const days = Math.max(DEFENSIVE.TREND_MA, DEFENSIVE.TREND_PERIOD + 1) + 5;
+    for (const etf of DEFENSIVE.ETFS.filter(etf => !refreshed.has(etf.code))) {
+      refreshed.add(etf.code);
+      try {
+        const bars = await fetchETFHistory(etf.code, days);
+        bars.forEach(bar => historyStore.record(etf.code, bar));
+      } catch (e) {
+        console.warn(`【refreshDefensiveBars】${etf.name}(${etf.code})日线刷新失败：${e.message}，使用已存储日线`);
+      }
+    }
+  }
+}
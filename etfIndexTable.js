@@ -0,0 +1,85 @@
+// ETF -> 跟踪指数与类别的本地映射表（etfTaxonomy.js优先查表，表中没有的ETF按名称关键词推断）
+// 维护方式：新增或更正一行即可，类别取值见etfTaxonomy.js ETF_CATEGORIES；同一指数的多只ETF分别登记
+// 字段：code - 6位代码，index - 跟踪指数名称，category - 类别
+export const ETF_INDEX_TABLE = [
+  // 宽基
+  { code: "510300", index: "沪深300", category: "broad" },
+  { code: "510310", index: "沪深300", category: "broad" },
+  { code: "510330", index: "沪深300", category: "broad" },
+  { code: "159919", index: "沪深300", category: "broad" },
+  { code: "510500", index: "中证500", category: "broad" },
+  { code: "159922", index: "中证500", category: "broad" },
+  { code: "510050", index: "上证50", category: "broad" },
+  { code: "512100", index: "中证1000", category: "broad" },
+  { code: "159845", index: "中证1000", category: "broad" },
+  { code: "159915", index: "创业板指", category: "broad" },
+  { code: "159949", index: "创业板50", category: "broad" },
+  { code: "588000", index: "科创50", category: "broad" },
+  { code: "588080", index: "科创50", category: "broad" },
+  { code: "159901", index: "深证100", category: "broad" },
+  { code: "512500", index: "中证500", category: "broad" },
+  { code: "515800", index: "中证800", category: "broad" },
+  { code: "563300", index: "中证2000", category: "broad" },
+  { code: "512990", index: "MSCI中国A股", category: "broad" },
+
+  // 行业
+  { code: "512480", index: "中证全指半导体", category: "sector" },
+  { code: "159995", index: "国证芯片", category: "sector" },
+  { code: "512170", index: "中证医疗", category: "sector" },
+  { code: "512010", index: "沪深300医药卫生", category: "sector" },
+  { code: "512880", index: "中证全指证券公司", category: "sector" },
+  { code: "512000", index: "中证全指证券公司", category: "sector" },
+  { code: "512800", index: "中证银行", category: "sector" },
+  { code: "512690", index: "中证酒", category: "sector" },
+  { code: "159928", index: "中证主要消费", category: "sector" },
+  { code: "512200", index: "中证全指房地产", category: "sector" },
+  { code: "512400", index: "中证申万有色金属", category: "sector" },
+  { code: "515220", index: "中证煤炭", category: "sector" },
+  { code: "512660", index: "中证军工", category: "sector" },
+  { code: "512720", index: "中证计算机", category: "sector" },
+  { code: "515880", index: "中证全指通信设备", category: "sector" },
+
+  // 主题
+  { code: "515030", index: "中证新能源汽车", category: "thematic" },
+  { code: "516160", index: "中证新能源", category: "thematic" },
+  { code: "515790", index: "中证光伏产业", category: "thematic" },
+  { code: "159755", index: "国证新能源车电池", category: "thematic" },
+  { code: "515070", index: "中证人工智能主题", category: "thematic" },
+  { code: "562500", index: "中证机器人", category: "thematic" },
+  { code: "516510", index: "中证云计算与大数据主题", category: "thematic" },
+  { code: "159992", index: "中证创新药产业", category: "thematic" },
+  { code: "516150", index: "中证稀土产业", category: "thematic" },
+
+  // 策略（Smart Beta）
+  { code: "510880", index: "上证红利", category: "smart-beta" },
+  { code: "515080", index: "中证红利", category: "smart-beta" },
+  { code: "512890", index: "中证红利低波动", category: "smart-beta" },
+  { code: "515180", index: "中证红利", category: "smart-beta" },
+
+  // 债券
+  { code: "511010", index: "上证5年期国债", category: "bond" },
+  { code: "511260", index: "上证10年期国债", category: "bond" },
+  { code: "511020", index: "中债5-10年国开行债券", category: "bond" },
+  { code: "511360", index: "中证短融", category: "bond" },
+
+  // 货币
+  { code: "511880", index: "银华日利（货币）", category: "money-market" },
+  { code: "511990", index: "华宝添益（货币）", category: "money-market" },
+  { code: "511660", index: "建信添益（货币）", category: "money-market" },
+
+  // 商品
+  { code: "518880", index: "上海金", category: "commodity" },
+  { code: "159934", index: "上海金", category: "commodity" },
+  { code: "159985", index: "大商所豆粕期货", category: "commodity" },
+  { code: "159980", index: "上期所有色金属期货", category: "commodity" },
+
+  // 跨境
+  { code: "513100", index: "纳斯达克100", category: "cross-border" },
+  { code: "159941", index: "纳斯达克100", category: "cross-border" },
+  { code: "513500", index: "标普500", category: "cross-border" },
+  { code: "159920", index: "恒生指数", category: "cross-border" },
+  { code: "513180", index: "恒生科技", category: "cross-border" },
+  { code: "513130", index: "恒生科技", category: "cross-border" },
+  { code: "513050", index: "中证海外中国互联网50", category: "cross-border" },
+  { code: "513520", index: "日经225", category: "cross-border" }
+];
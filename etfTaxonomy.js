@@ -0,0 +1,123 @@
+// ETF分类（替代原poolManager.js中按九个宽基关键词二分的判断ETF类型）
+// 先查本地映射表etfIndexTable.js（代码 -> 跟踪指数与类别），表中没有的ETF按名称关键词推断类别
+// 类别决定资金桶：宽基、策略、债券、货币归入稳健型（type为"宽基"），行业、主题、跨境、商品归入激进型（type为"行业"）
+import { ETF_INDEX_TABLE } from "./etfIndexTable.js";
+
+// 类别标识 -> 中文名称
+export const ETF_CATEGORIES = {
+  broad: "宽基",
+  sector: "行业",
+  thematic: "主题",
+  "smart-beta": "策略",
+  bond: "债券",
+  "money-market": "货币",
+  commodity: "商品",
+  "cross-border": "跨境"
+};
+
+// 类别 -> 资金桶类型（strategy.js按type划分稳健型/激进型）
+export const CATEGORY_TYPES = {
+  broad: "宽基",
+  "smart-beta": "宽基",
+  bond: "宽基",
+  "money-market": "宽基",
+  sector: "行业",
+  thematic: "行业",
+  commodity: "行业",
+  "cross-border": "行业"
+};
+
+// 名称关键词推断规则（按顺序匹配第一条；跨境、主题先于行业与宽基，避免"恒生医疗""中证全指半导体"等被误判）
+const NAME_RULES = [
+  { category: "money-market", keywords: ["货币", "日利", "添益", "现金", "快线"] },
+  { category: "bond", keywords: ["国债", "国开", "政金债", "信用债", "公司债", "城投债", "短融", "可转债", "债券", "地方债"] },
+  { category: "commodity", keywords: ["黄金", "白银", "豆粕", "有色期货", "能源化工", "原油", "商品"] },
+  { category: "cross-border", keywords: ["纳指", "纳斯达克", "标普", "道琼斯", "恒生", "港股", "H股", "中概", "日经", "德国", "法国", "美国", "海外", "亚太", "QDII", "沙特", "东南亚"] },
+  { category: "smart-beta", keywords: ["红利", "低波", "价值", "成长", "质量", "基本面", "等权", "动量", "高股息"] },
+  { category: "thematic", keywords: ["新能源", "光伏", "锂电", "电池", "储能", "人工智能", "机器人", "云计算", "大数据", "数字经济", "5G", "碳中和", "创新药", "游戏", "动漫", "传媒", "元宇宙", "一带一路", "国企", "央企", "稀土", "卫星", "信创", "物联网"] },
+  { category: "sector", keywords: ["半导体", "芯片", "医疗", "医药", "生物", "证券", "券商", "银行", "保险", "金融", "酒", "消费", "食品", "家电", "汽车", "地产", "房地产", "有色", "煤炭", "钢铁", "化工", "建材", "基建", "军工", "计算机", "通信", "电子", "电力", "公用", "交运", "物流", "农业", "养殖", "畜牧", "材料"] },
+  { category: "broad", keywords: ["沪深300", "中证500", "中证800", "中证1000", "中证2000", "A500", "A50", "上证50", "上证180", "深证100", "创业板", "科创", "综指", "全指", "MSCI", "宽基"] }
+];
+
+// 未匹配任何规则时的类别（与原判断ETF类型的默认值"行业"一致）
+const DEFAULT_CATEGORY = "sector";
+
+// 指数系列前缀：ETF名称中首个前缀（或NAME_RULES关键词）之前的部分视为基金公司简称，推断指数时去掉
+const INDEX_PREFIXES = ["沪深", "中证", "上证", "深证", "国证", "创业板", "科创", "双创", "MSCI", "富时", "恒生", "纳斯达克", "纳指", "标普", "道琼斯", "日经", "中债"];
+const INDEX_MARKERS = [...INDEX_PREFIXES, ...NAME_RULES.flatMap(rule => rule.keywords)];
+
+// 指数简称 -> 映射表中的规范名称（ETF名称常省略指数系列，如"300ETF""创业板ETF"）
+const INDEX_ALIASES = {
+  "50": "上证50",
+  "180": "上证180",
+  "300": "沪深300",
+  "500": "中证500",
+  "800": "中证800",
+  "1000": "中证1000",
+  "2000": "中证2000",
+  "深100": "深证100",
+  "创业板": "创业板指",
+  "科创板50": "科创50"
+};
+
+const tableByCode = new Map(ETF_INDEX_TABLE.map(entry => [entry.code, entry]));
+
+/**
+ * 对ETF分类
+ * @param {string} code - ETF代码
+ * @param {string} name - ETF名称（映射表中没有时用于关键词推断）
+ * @returns {Object} { category, type, index, matchedBy }，matchedBy为table（映射表）或name（名称推断）
+ */
+export function classifyETF(code, name = "") {
+  const entry = tableByCode.get(code);
+  if (entry) {
+    return { category: entry.category, type: CATEGORY_TYPES[entry.category], index: entry.index, matchedBy: "table" };
+  }
+
+  const rule = NAME_RULES.find(r => r.keywords.some(key => name.includes(key)));
+  const category = rule ? rule.category : DEFAULT_CATEGORY;
+  return { category, type: CATEGORY_TYPES[category], index: guessIndex(name), matchedBy: "name" };
+}
+
+/**
+ * 按CONFIG.POOL的INCLUDE_CATEGORIES/EXCLUDE_CATEGORIES判断ETF类别是否纳入股票池
+ * @param {string} category - 类别
+ * @param {Object} pool - CONFIG.POOL
+ * @returns {boolean}
+ */
+export function isCategoryAllowed(category, pool) {
+  return pool.INCLUDE_CATEGORIES.includes(category) && !pool.EXCLUDE_CATEGORIES.includes(category);
+}
+
+/**
+ * 跟踪指数的分组键（同一键视为跟踪同一指数；去掉空白、"指数"字样与括号注释，简称统一为规范名称）
+ * @param {Object} etf - ETF { code, name, index? }（缺少index时按分类结果）
+ * @returns {string} 分组键
+ */
+export function indexKey(etf) {
+  const index = etf.index || classifyETF(etf.code, etf.name).index || etf.name;
+  return normalizeIndex(index.replace(/[（(][^）)]*[）)]/g, "").replace(/指数|\s/g, "")) || index;
+}
+
+/**
+ * 指数简称统一为规范名称（如"300" -> "沪深300"）
+ * @param {string} index - 指数名称
+ * @returns {string} 规范名称（不在INDEX_ALIASES中时原样返回）
+ */
+function normalizeIndex(index) {
+  return INDEX_ALIASES[index] || index;
+}
+
+/**
+ * 由名称推断跟踪指数：去掉"ETF"之后的部分，再去掉首个指数系列前缀或类别关键词之前的基金公司简称；
+ * 均未出现时取末尾的数字（如"天弘300ETF" -> "300"），最后统一简称（如"华夏沪深300ETF联接" -> "沪深300"，"易方达创业板ETF" -> "创业板指"）
+ * @param {string} name - ETF名称
+ * @returns {string|null} 指数名称（无法推断时返回名称本身）
+ */
+function guessIndex(name) {
+  if (!name) return null;
+  const body = name.replace(/ETF.*$/i, "");
+  const starts = INDEX_MARKERS.map(marker => body.indexOf(marker)).filter(i => i >= 0);
+  const stripped = starts.length > 0 ? body.slice(Math.min(...starts)) : (body.match(/\d+$/)?.[0] ?? body);
+  return normalizeIndex(stripped) || name;
+}
@@ -0,0 +1,178 @@
+// 按ETF代码存储的日线历史（每个交易日一根K线，同日重复运行覆盖而非追加）
+// 买入/加仓/卖出信号所需的价格与成交量序列统一从这里读取，避免不同ETF的价格混入同一条均线
+import { CONFIG } from "./config.js";
+import { loadState, saveState, STORAGE_KEYS } from "./storage.js";
+import { fetchETFHistory } from "./dataFetcher.js";
+
+const HISTORY_SCHEMA_VERSION = 1; // 日线存储的schema版本
+const REFRESH_DAYS = 5; // 按K线刷新时获取的最近日线数量（覆盖当日及节假日后的缺口）
+
+/**
+ * 创建日线存储（实盘使用默认实例，回测各自创建独立实例）
+ * @param {number} maxBars - 每只ETF保留的最大K线数量
+ * @returns {Object} 日线存储对象
+ */
+export function createHistoryStore(maxBars = CONFIG.HISTORY.MAX_BARS) {
+  // code -> 日线数组（最新在前，与indicator.js的输入约定一致）
+  let series = {};
+
+  return {
+    /**
+     * 写入一根日线（同一交易日重复写入时覆盖旧值；缺少最高/最低价的行情快照不覆盖同日的完整K线）
+     * @param {string} code - ETF代码
+     * @param {Object} bar - 日线 {date, open, high, low, close, volume, turnover}
+     */
+    record(code, bar) {
+      if (!code || !bar?.date || !(bar.close > 0)) return;
+      const bars = series[code] || (series[code] = []);
+
+      const index = bars.findIndex(b => b.date <= bar.date);
+      if (index === -1) {
+        bars.push(bar);
+      } else if (bars[index].date === bar.date) {
+        if (isCompleteBar(bars[index]) && !isCompleteBar(bar)) return;
+        bars[index] = bar;
+      } else {
+        bars.splice(index, 0, bar);
+      }
+      if (bars.length > maxBars) bars.length = maxBars;
+    },
+
+    /**
+     * 获取ETF的日线（最新在前）
+     * @param {string} code - ETF代码
+     * @returns {Array} 日线副本
+     */
+    getBars(code) {
+      return [...(series[code] || [])];
+    },
+
+    /**
+     * 获取ETF最新一根日线
+     * @param {string} code - ETF代码
+     * @returns {Object|null} 最新日线
+     */
+    getLatestBar(code) {
+      return series[code]?.[0] || null;
+    },
+
+    /**
+     * 构造信号函数的输入（isBuySignal/isAddSignal/isSellSignal）
+     * @param {string} code - ETF代码
+     * @returns {Object|null} { price, volume, priceHistory, volumeHistory }，无数据时返回null
+     */
+    getSignalInput(code) {
+      const bars = series[code];
+      if (!bars || bars.length === 0) return null;
+      return {
+        price: bars[0].close,
+        volume: bars[0].volume,
+        priceHistory: bars.map(b => b.close),
+        volumeHistory: bars.map(b => b.volume)
+      };
+    },
+
+    /**
+     * 已存储的ETF代码列表
+     * @returns {Array<string>} 代码列表
+     */
+    codes() {
+      return Object.keys(series);
+    },
+
+    /**
+     * 导出为可序列化对象（用于持久化）
+     * @returns {Object} { [code]: Array }
+     */
+    toJSON() {
+      return series;
+    },
+
+    /**
+     * 从序列化对象恢复
+     * @param {Object} data - toJSON导出的数据
+     */
+    load(data) {
+      series = {};
+      for (const [code, bars] of Object.entries(data || {})) {
+        for (const bar of bars) this.record(code, bar);
+      }
+    }
+  };
+}
+
+/**
+ * 获取北京时间交易日期（YYYY-MM-DD）
+ * @param {number} timestamp - 时间戳（毫秒，默认当前时间）
+ * @returns {string} 日期字符串
+ */
+export function getTradeDate(timestamp = Date.now()) {
+  return new Date(timestamp + CONFIG.TIMEZONE_OFFSET).toISOString().slice(0, 10);
+}
+
+/**
+ * 将ETF池中的行情快照转换为日线（行情源未提供的开高低字段记为null）
+ * 注意：池内行情的volume字段来自各数据源的成交额（元），此处按价格折算为份额，
+ * 与K线接口回填的成交量（份）保持同一口径
+ * @param {Object} etf - ETF行情 {price, volume, open?, high?, low?}
+ * @param {string} date - 交易日期
+ * @returns {Object} 日线
+ */
+export function barFromQuote(etf, date) {
+  return {
+    date,
+    open: etf.open ?? null,
+    high: etf.high ?? null,
+    low: etf.low ?? null,
+    close: etf.price,
+    volume: etf.price > 0 ? etf.volume / etf.price : 0,
+    turnover: etf.volume
+  };
+}
+
+/**
+ * 是否为开高低收齐全的K线（barFromQuote生成的行情快照缺少开高低）
+ * @param {Object} bar - 日线
+ * @returns {boolean}
+ */
+function isCompleteBar(bar) {
+  return bar.high > 0 && bar.low > 0;
+}
+
+// 实盘共享的日线存储实例
+export const historyStore = createHistoryStore();
+
+/**
+ * 从持久化存储恢复实盘日线
+ */
+export async function loadHistoryStore() {
+  historyStore.load(await loadState(STORAGE_KEYS.PRICE_HISTORY, {}, { version: HISTORY_SCHEMA_VERSION }));
+}
+
+/**
+ * 按K线接口刷新ETF的最近日线并写入实盘日线存储（单只失败时沿用已存储日线）
+ * 调用方负责加载/保存日线存储与数据源健康记录（sourceHealth.js）
+ * @param {Array} etfs - ETF列表 [{ code, name }]
+ * @param {number} days - 获取的最近交易日数量
+ * @returns {Promise<Array>} 刷新失败的ETF代码
+ */
+export async function refreshLatestBars(etfs, days = REFRESH_DAYS) {
+  const failed = [];
+  for (const etf of etfs) {
+    try {
+      const bars = await fetchETFHistory(etf.code, days);
+      bars.forEach(bar => historyStore.record(etf.code, bar));
+    } catch (e) {
+      failed.push(etf.code);
+      console.warn(`【refreshLatestBars】${etf.name || etf.code}(${etf.code})日线刷新失败：${e.message}，使用已存储日线`);
+    }
+  }
+  return failed;
+}
+
+/**
+ * 将实盘日线写入持久化存储
+ */
+export async function saveHistoryStore() {
+  await saveState(STORAGE_KEYS.PRICE_HISTORY, historyStore.toJSON(), HISTORY_SCHEMA_VERSION);
+}
@@ -1,5 +1,7 @@
 import { CONFIG } from "./config.js";
 
+const TRADING_DAYS_PER_YEAR = 252; // 年化波动率与夏普比率使用的年交易日数
+
 /**
  * 计算移动平均线（MA），PDF1-7节核心指标
  * @param {Array} prices - 价格数组（最新价格在前）
@@ -31,21 +33,23 @@ export function calculateVolumeMA(volumes, period = 5) {
 
 /**
  * 判断买入信号（突破20日均线，PDF1-53节）
- * @param {Object} etf - ETF数据（含价格、成交量历史）
+ * @param {Object} etf - ETF数据（含价格、成交量历史，由historyStore.getSignalInput按代码生成）
+ * @param {Object} params - 策略参数（含FISH_BOWL，默认CONFIG；多配置档时传入profiles.js的解析结果）
  * @returns {boolean} 是否满足买入条件
  */
-export function isBuySignal(etf) {
+export function isBuySignal(etf, params = CONFIG) {
+  if (!etf) return false; // 该ETF尚无日线记录
   // 计算20日均线
-  const ma20 = calculateMA(etf.priceHistory, CONFIG.FISH_BOWL.MA_PERIOD);
+  const ma20 = calculateMA(etf.priceHistory, params.FISH_BOWL.MA_PERIOD);
   if (!ma20) return false; // 均线数据不足
   
   // 条件1：当前价格突破20日均线
   const priceAboveMA = etf.price > ma20;
   
   // 条件2：20日均线呈上升趋势（近3日递增，PDF1-53节）
-  const ma20Day3 = calculateMA(etf.priceHistory.slice(3), CONFIG.FISH_BOWL.MA_PERIOD);
-  const ma20Day2 = calculateMA(etf.priceHistory.slice(2), CONFIG.FISH_BOWL.MA_PERIOD);
-  const ma20Day1 = calculateMA(etf.priceHistory.slice(1), CONFIG.FISH_BOWL.MA_PERIOD);
+  const ma20Day3 = calculateMA(etf.priceHistory.slice(3), params.FISH_BOWL.MA_PERIOD);
+  const ma20Day2 = calculateMA(etf.priceHistory.slice(2), params.FISH_BOWL.MA_PERIOD);
+  const ma20Day1 = calculateMA(etf.priceHistory.slice(1), params.FISH_BOWL.MA_PERIOD);
   const maUpTrend = ma20Day3 && ma20Day2 && ma20Day1 
     ? (ma20Day3 < ma20Day2 && ma20Day2 < ma20Day1) 
     : false;
@@ -53,7 +57,7 @@ export function isBuySignal(etf) {
   // 条件3：成交量放大（较5日均量放大20%以上，PDF1-206节）
   const volumeMA5 = calculateVolumeMA(etf.volumeHistory);
   const volumeQualified = volumeMA5 
-    ? etf.volume >= volumeMA5 * CONFIG.FISH_BOWL.VOLUME_THRESHOLD 
+    ? etf.volume >= volumeMA5 * params.FISH_BOWL.VOLUME_THRESHOLD 
     : false;
   
   // 所有条件满足则返回true
@@ -64,16 +68,18 @@ export function isBuySignal(etf) {
  * 判断加仓信号（回调至短期均线且缩量，PDF1-78节）
  * @param {Object} etf - ETF数据
  * @param {number} step - 加仓步骤（0:5日线，1:10日线）
+ * @param {Object} params - 策略参数（含FISH_BOWL/POSITION，默认CONFIG）
  * @returns {boolean} 是否满足加仓条件
  */
-export function isAddSignal(etf, step) {
+export function isAddSignal(etf, step, params = CONFIG) {
+  if (!etf) return false;
   // 计算目标均线（5日或10日）
-  const maPeriod = CONFIG.POSITION.RETRACE_LEVELS[step];
+  const maPeriod = params.POSITION.RETRACE_LEVELS[step];
   const ma = calculateMA(etf.priceHistory, maPeriod);
   if (!ma) return false;
   
   // 条件1：处于上升趋势（价格在20日均线上方，PDF1-53节）
-  const ma20 = calculateMA(etf.priceHistory, CONFIG.FISH_BOWL.MA_PERIOD);
+  const ma20 = calculateMA(etf.priceHistory, params.FISH_BOWL.MA_PERIOD);
   const inUptrend = ma20 ? etf.price > ma20 : false;
   
   // 条件2：回调至目标均线附近（偏离度<1%）
@@ -89,12 +95,420 @@ export function isAddSignal(etf, step) {
 /**
  * 判断卖出信号（跌破20日均线，PDF1-54节）
  * @param {Object} etf - ETF数据
+ * @param {Object} params - 策略参数（含FISH_BOWL/POSITION，默认CONFIG）
  * @returns {boolean} 是否满足卖出条件
  */
-export function isSellSignal(etf) {
-  const ma20 = calculateMA(etf.priceHistory, CONFIG.FISH_BOWL.MA_PERIOD);
+export function isSellSignal(etf, params = CONFIG) {
+  if (!etf) return false;
+  const ma20 = calculateMA(etf.priceHistory, params.FISH_BOWL.MA_PERIOD);
   if (!ma20) return false;
   
   // 价格跌破20日均线且偏离度>2%（PDF1-54节止损规则）
-  return etf.price < ma20 * (1 - CONFIG.POSITION.SWITCH_THRESHOLD);
+  return etf.price < ma20 * (1 - params.POSITION.SWITCH_THRESHOLD);
+}
+
+// ==================================================
+// 扩展指标（EMA、MACD、RSI、布林带、ATR、变动率、区间高低点）
+// 批量函数与calculateMA相同：输入数组最新在前，数据不足时返回null；
+// 流式函数（create*）按时间顺序逐日调用update（最早在前），每次O(1)更新，供长周期回测与大股票池使用。
+// 批量函数内部即按时间顺序回放流式函数，两者结果一致。
+// ==================================================
+
+/**
+ * 计算指数移动平均线（EMA，以前period个价格的简单均值为初值，α=2/(period+1)）
+ * @param {Array} prices - 价格数组（最新价格在前）
+ * @param {number} period - 周期
+ * @returns {number|null} 最新EMA值
+ */
+export function calculateEMA(prices, period) {
+  return replay(createEMA(period), validSeries(prices));
+}
+
+/**
+ * 计算MACD（快慢EMA差值、其信号线及柱状值）
+ * @param {Array} prices - 价格数组（最新价格在前）
+ * @param {number} fastPeriod - 快线周期（默认12）
+ * @param {number} slowPeriod - 慢线周期（默认26）
+ * @param {number} signalPeriod - 信号线周期（默认9）
+ * @returns {Object|null} { macd, signal, histogram }（信号线数据不足时返回null）
+ */
+export function calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  return replay(createMACD(fastPeriod, slowPeriod, signalPeriod), validSeries(prices));
+}
+
+/**
+ * 计算相对强弱指标（RSI，Wilder平滑）
+ * @param {Array} prices - 价格数组（最新价格在前）
+ * @param {number} period - 周期（默认14）
+ * @returns {number|null} 0~100（需period+1个价格）
+ */
+export function calculateRSI(prices, period = 14) {
+  return replay(createRSI(period), validSeries(prices));
+}
+
+/**
+ * 计算布林带（中轨为简单均线，上下轨为中轨±multiplier倍总体标准差）
+ * @param {Array} prices - 价格数组（最新价格在前）
+ * @param {number} period - 周期（默认20）
+ * @param {number} multiplier - 标准差倍数（默认2）
+ * @returns {Object|null} { middle, upper, lower, bandwidth }（bandwidth=(上轨-下轨)/中轨）
+ */
+export function calculateBollinger(prices, period = 20, multiplier = 2) {
+  return replay(createBollinger(period, multiplier), validSeries(prices));
+}
+
+/**
+ * 计算平均真实波幅（ATR，Wilder平滑；首根K线的真实波幅为最高价-最低价）
+ * @param {Array} bars - 日线数组 [{ high, low, close }]（最新在前）
+ * @param {number} period - 周期（默认14）
+ * @returns {number|null} 最新ATR值
+ */
+export function calculateATR(bars, period = 14) {
+  const validBars = bars.filter(b => b && b.high > 0 && b.low > 0 && b.close > 0).reverse();
+  return replay(createATR(period), validBars);
+}
+
+/**
+ * 计算变动率（ROC，当前价相对period日前价格的涨跌幅）
+ * @param {Array} prices - 价格数组（最新价格在前）
+ * @param {number} period - 周期
+ * @returns {number|null} 百分比（如5表示上涨5%）
+ */
+export function calculateROC(prices, period) {
+  return replay(createROC(period), validSeries(prices));
+}
+
+/**
+ * 计算最近period日的最高值
+ * @param {Array} values - 数值数组（最新在前，如最高价序列）
+ * @param {number} period - 周期
+ * @returns {number|null} 区间最高值
+ */
+export function calculateRollingHigh(values, period) {
+  return replay(createRollingExtreme(period, "high"), validSeries(values));
+}
+
+/**
+ * 计算最近period日的最低值
+ * @param {Array} values - 数值数组（最新在前，如最低价序列）
+ * @param {number} period - 周期
+ * @returns {number|null} 区间最低值
+ */
+export function calculateRollingLow(values, period) {
+  return replay(createRollingExtreme(period, "low"), validSeries(values));
+}
+
+/**
+ * 计算两只ETF最近period个共同交易日的日收益率相关系数（Pearson，按日期对齐，任一方缺失的交易日不参与）
+ * @param {Array} barsA - 日线数组 [{ date, close }]（最新在前）
+ * @param {Array} barsB - 日线数组 [{ date, close }]（最新在前）
+ * @param {number} period - 收益率个数（需period+1个共同交易日）
+ * @returns {number|null} -1~1（共同交易日不足或收益率无波动时返回null）
+ */
+export function calculateReturnCorrelation(barsA, barsB, period) {
+  const closesB = new Map(barsB.filter(b => b.close > 0).map(b => [b.date, b.close]));
+  const common = barsA
+    .filter(b => b.close > 0 && closesB.has(b.date))
+    .slice(0, period + 1)
+    .map(b => [b.close, closesB.get(b.date)]);
+  if (common.length < period + 1) return null;
+
+  const returnsA = [];
+  const returnsB = [];
+  for (let i = 0; i < period; i++) {
+    returnsA.push(common[i][0] / common[i + 1][0] - 1);
+    returnsB.push(common[i][1] / common[i + 1][1] - 1);
+  }
+  const meanA = returnsA.reduce((sum, r) => sum + r, 0) / period;
+  const meanB = returnsB.reduce((sum, r) => sum + r, 0) / period;
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < period; i++) {
+    cov += (returnsA[i] - meanA) * (returnsB[i] - meanB);
+    varA += (returnsA[i] - meanA) ** 2;
+    varB += (returnsB[i] - meanB) ** 2;
+  }
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : null;
+}
+
+/**
+ * 计算最近period个日收益率的年化波动率（样本标准差×√252）
+ * @param {Array} prices - 价格数组（最新价格在前）
+ * @param {number} period - 收益率个数（需period+1个价格）
+ * @returns {number|null} 百分比（如25表示年化波动25%）
+ */
+export function calculateVolatility(prices, period) {
+  const stats = returnStats(prices, period);
+  return stats ? stats.std * Math.sqrt(TRADING_DAYS_PER_YEAR) * 100 : null;
+}
+
+/**
+ * 计算最近period个日收益率的年化夏普比率（无风险利率按0计算，日均收益/日标准差×√252）
+ * @param {Array} prices - 价格数组（最新价格在前）
+ * @param {number} period - 收益率个数（需period+1个价格）
+ * @returns {number|null} 夏普比率（收益率无波动时返回null）
+ */
+export function calculateSharpe(prices, period) {
+  const stats = returnStats(prices, period);
+  return stats && stats.std > 0 ? stats.mean / stats.std * Math.sqrt(TRADING_DAYS_PER_YEAR) : null;
+}
+
+/**
+ * 计算最近period+1个价格内的最大回撤（相对区间内前期最高价的最大跌幅）
+ * @param {Array} prices - 价格数组（最新价格在前）
+ * @param {number} period - 周期（需period+1个价格）
+ * @returns {number|null} 百分比（如12表示最大回撤12%）
+ */
+export function calculateMaxDrawdown(prices, period) {
+  const valid = prices.filter(v => !isNaN(v) && v > 0);
+  if (valid.length < period + 1) return null;
+  let peak = 0;
+  let maxDrawdown = 0;
+  for (const price of valid.slice(0, period + 1).reverse()) {
+    peak = Math.max(peak, price);
+    maxDrawdown = Math.max(maxDrawdown, (peak - price) / peak);
+  }
+  return maxDrawdown * 100;
+}
+
+/**
+ * 流式简单移动平均（滚动求和）
+ * @param {number} period - 周期
+ * @returns {Object} { update(value) => 均线值|null }
+ */
+export function createSMA(period) {
+  const window = createWindow(period);
+  let sum = 0;
+  return {
+    update(value) {
+      sum += value;
+      const dropped = window.push(value);
+      if (dropped !== undefined) sum -= dropped;
+      return window.full() ? sum / period : null;
+    }
+  };
+}
+
+/**
+ * 流式EMA
+ * @param {number} period - 周期
+ * @returns {Object} { update(value) => EMA值|null }
+ */
+export function createEMA(period) {
+  const alpha = 2 / (period + 1);
+  const seed = createSMA(period);
+  let ema = null;
+  return {
+    update(value) {
+      ema = ema === null ? seed.update(value) : alpha * value + (1 - alpha) * ema;
+      return ema;
+    }
+  };
+}
+
+/**
+ * 流式MACD
+ * @param {number} fastPeriod - 快线周期（默认12）
+ * @param {number} slowPeriod - 慢线周期（默认26）
+ * @param {number} signalPeriod - 信号线周期（默认9）
+ * @returns {Object} { update(value) => { macd, signal, histogram }|null }
+ */
+export function createMACD(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const fast = createEMA(fastPeriod);
+  const slow = createEMA(slowPeriod);
+  const signalLine = createEMA(signalPeriod);
+  return {
+    update(value) {
+      const fastValue = fast.update(value);
+      const slowValue = slow.update(value);
+      if (fastValue === null || slowValue === null) return null;
+      const macd = fastValue - slowValue;
+      const signal = signalLine.update(macd);
+      return signal === null ? null : { macd, signal, histogram: macd - signal };
+    }
+  };
+}
+
+/**
+ * 流式RSI（Wilder平滑）
+ * @param {number} period - 周期（默认14）
+ * @returns {Object} { update(value) => RSI值|null }
+ */
+export function createRSI(period = 14) {
+  let previous = null;
+  let count = 0;
+  let avgGain = 0;
+  let avgLoss = 0;
+  return {
+    update(value) {
+      if (previous === null) {
+        previous = value;
+        return null;
+      }
+      const change = value - previous;
+      previous = value;
+      const gain = Math.max(change, 0);
+      const loss = Math.max(-change, 0);
+      count++;
+      if (count <= period) {
+        // 前period个变动取简单平均作为初值
+        avgGain += gain / period;
+        avgLoss += loss / period;
+        if (count < period) return null;
+      } else {
+        avgGain = (avgGain * (period - 1) + gain) / period;
+        avgLoss = (avgLoss * (period - 1) + loss) / period;
+      }
+      if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+      return 100 - 100 / (1 + avgGain / avgLoss);
+    }
+  };
+}
+
+/**
+ * 流式布林带（滚动求和与平方和）
+ * @param {number} period - 周期（默认20）
+ * @param {number} multiplier - 标准差倍数（默认2）
+ * @returns {Object} { update(value) => { middle, upper, lower, bandwidth }|null }
+ */
+export function createBollinger(period = 20, multiplier = 2) {
+  const window = createWindow(period);
+  let sum = 0;
+  let sumSquares = 0;
+  return {
+    update(value) {
+      sum += value;
+      sumSquares += value * value;
+      const dropped = window.push(value);
+      if (dropped !== undefined) {
+        sum -= dropped;
+        sumSquares -= dropped * dropped;
+      }
+      if (!window.full()) return null;
+      const middle = sum / period;
+      const deviation = Math.sqrt(Math.max(sumSquares / period - middle * middle, 0));
+      const upper = middle + multiplier * deviation;
+      const lower = middle - multiplier * deviation;
+      return { middle, upper, lower, bandwidth: (upper - lower) / middle };
+    }
+  };
+}
+
+/**
+ * 流式ATR（Wilder平滑）
+ * @param {number} period - 周期（默认14）
+ * @returns {Object} { update(bar: { high, low, close }) => ATR值|null }
+ */
+export function createATR(period = 14) {
+  let previousClose = null;
+  let count = 0;
+  let atr = 0;
+  return {
+    update(bar) {
+      const trueRange = previousClose === null
+        ? bar.high - bar.low
+        : Math.max(bar.high - bar.low, Math.abs(bar.high - previousClose), Math.abs(bar.low - previousClose));
+      previousClose = bar.close;
+      count++;
+      if (count <= period) {
+        atr += trueRange / period;
+        return count === period ? atr : null;
+      }
+      atr = (atr * (period - 1) + trueRange) / period;
+      return atr;
+    }
+  };
+}
+
+/**
+ * 流式变动率
+ * @param {number} period - 周期
+ * @returns {Object} { update(value) => 百分比|null }
+ */
+export function createROC(period) {
+  const window = createWindow(period + 1);
+  return {
+    update(value) {
+      window.push(value);
+      if (!window.full()) return null;
+      const base = window.oldest();
+      return (value - base) / base * 100;
+    }
+  };
+}
+
+/**
+ * 流式区间最高/最低值（单调队列，均摊O(1)）
+ * @param {number} period - 周期
+ * @param {string} kind - "high"或"low"
+ * @returns {Object} { update(value) => 区间极值|null }
+ */
+export function createRollingExtreme(period, kind = "high") {
+  const dominates = kind === "high" ? (a, b) => a >= b : (a, b) => a <= b;
+  const queue = []; // [{ index, value }]，队首为当前区间极值
+  let head = 0;
+  let index = 0;
+  return {
+    update(value) {
+      while (queue.length > head && dominates(value, queue[queue.length - 1].value)) queue.pop();
+      queue.push({ index, value });
+      while (queue[head].index <= index - period) head++;
+      // 定期压缩已出队元素，避免数组无限增长
+      if (head > period) {
+        queue.splice(0, head);
+        head = 0;
+      }
+      index++;
+      return index >= period ? queue[head].value : null;
+    }
+  };
+}
+
+/**
+ * 固定长度环形窗口
+ * @param {number} size - 窗口长度
+ * @returns {Object} { push(value) => 被挤出的值|undefined, full(), oldest() }
+ */
+function createWindow(size) {
+  const buffer = new Array(size);
+  let start = 0;
+  let length = 0;
+  return {
+    push(value) {
+      if (length < size) {
+        buffer[(start + length++) % size] = value;
+        return undefined;
+      }
+      const dropped = buffer[start];
+      buffer[start] = value;
+      start = (start + 1) % size;
+      return dropped;
+    },
+    full: () => length === size,
+    oldest: () => buffer[start]
+  };
+}
+
+// 过滤无效值（与calculateMA一致）并转为时间顺序
+function validSeries(values) {
+  return values.filter(v => !isNaN(v) && v > 0).reverse();
+}
+
+// 最近period个日收益率的均值与样本标准差（价格不足时返回null）
+function returnStats(prices, period) {
+  const valid = prices.filter(v => !isNaN(v) && v > 0);
+  if (period < 2 || valid.length < period + 1) return null;
+  const returns = [];
+  for (let i = 0; i < period; i++) returns.push(valid[i] / valid[i + 1] - 1);
+  const mean = returns.reduce((sum, r) => sum + r, 0) / period;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (period - 1);
+  return { mean, std: Math.sqrt(variance) };
+}
+
+// 按时间顺序回放流式指标，返回最后一个值
+function replay(stream, series) {
+  let result = null;
+  for (const item of series) result = stream.update(item);
+  return result;
 }
\ No newline at end of file
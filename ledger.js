@@ -0,0 +1,134 @@
+// 模拟交易账本（每个资金桶独立记账：现金、持仓批次、平均成本、已实现/未实现盈亏）
+// 策略下单前按可用现金计算份额，成交后由recordTrade写入账本，实盘与回测共用
+import { CONFIG } from "./config.js";
+
+/**
+ * 创建单个资金桶账本
+ * @param {number} initialCash - 初始资金
+ * @returns {Object} 账本
+ */
+export function createLedger(initialCash) {
+  return {
+    initialCash,
+    cash: initialCash,
+    realizedPnL: 0,
+    totalFees: 0,     // 累计交易费用（佣金+过户费+印花税）
+    totalSlippage: 0, // 累计滑点成本
+    positions: {} // code -> { shares, costBasis, lots: [{ date, shares, price }] }
+  };
+}
+
+/**
+ * 按CONFIG.CAPITAL为每个资金桶创建账本（稳健型/激进型）
+ * @returns {Object} { [type]: 账本 }
+ */
+export function createLedgers() {
+  const ledgers = {};
+  for (const [type, ratio] of Object.entries(CONFIG.CAPITAL.ALLOCATION)) {
+    ledgers[type] = createLedger(CONFIG.CAPITAL.INITIAL * ratio);
+  }
+  return ledgers;
+}
+
+/**
+ * 将一笔成交写入账本
+ * 买入/加仓：扣减现金、增加持仓批次；卖出：按平均成本计算已实现盈亏，先进先出扣减批次
+ * @param {Object} ledger - 账本
+ * @param {Object} fill - 成交 { date, operation, code, shares, price, fillPrice?, amount, fees?, slippage? }
+ *   amount为含费用的现金收支（买入=成交金额+费用，卖出=成交金额-费用），因此平均成本与已实现盈亏均为费后口径
+ * @returns {Object} 入账后的成交记录（amount为数值，卖出时附带realizedPnL与avgCost）
+ */
+export function applyFill(ledger, fill) {
+  const amount = parseFloat(fill.amount);
+  const record = { ...fill, amount };
+
+  if (fill.operation === "卖出") {
+    const position = ledger.positions[fill.code];
+    if (!position || position.shares < fill.shares) {
+      throw new Error(`账本中${fill.code}持仓不足（持有${position?.shares || 0}份，卖出${fill.shares}份）`);
+    }
+    const avgCost = position.costBasis / position.shares;
+    const costOfSold = avgCost * fill.shares;
+    record.avgCost = avgCost;
+    record.realizedPnL = amount - costOfSold;
+
+    ledger.cash += amount;
+    ledger.realizedPnL += record.realizedPnL;
+    position.shares -= fill.shares;
+    position.costBasis -= costOfSold;
+
+    // 先进先出扣减批次
+    let remaining = fill.shares;
+    while (remaining > 0 && position.lots.length > 0) {
+      const lot = position.lots[0];
+      const used = Math.min(lot.shares, remaining);
+      lot.shares -= used;
+      remaining -= used;
+      if (lot.shares === 0) position.lots.shift();
+    }
+    if (position.shares === 0) delete ledger.positions[fill.code];
+  } else {
+    if (amount > ledger.cash + 0.01) {
+      throw new Error(`现金不足（可用${ledger.cash.toFixed(2)}元，需${amount.toFixed(2)}元）`);
+    }
+    const position = ledger.positions[fill.code] ||
+      (ledger.positions[fill.code] = { shares: 0, costBasis: 0, lots: [] });
+    ledger.cash -= amount;
+    position.shares += fill.shares;
+    position.costBasis += amount;
+    position.lots.push({ date: fill.date, shares: fill.shares, price: fill.fillPrice ?? fill.price });
+  }
+
+  // 费用在校验通过后累计（持仓或现金不足而拒绝入账的成交不计费用）
+  ledger.totalFees += fill.fees || 0;
+  ledger.totalSlippage += fill.slippage || 0;
+  record.cashAfter = ledger.cash;
+  return record;
+}
+
+/**
+ * 获取持仓平均成本
+ * @param {Object} ledger - 账本
+ * @param {string} code - ETF代码
+ * @returns {number|null} 平均成本（无持仓返回null）
+ */
+export function getAverageCost(ledger, code) {
+  const position = ledger.positions[code];
+  return position && position.shares > 0 ? position.costBasis / position.shares : null;
+}
+
+/**
+ * 按最新价格对账本估值
+ * @param {Object} ledger - 账本
+ * @param {Function} getPrice - (code) => 最新价格（无价格时按成本估值）
+ * @returns {Object} { cash, marketValue, equity, realizedPnL, unrealizedPnL, totalCosts, positions: [...] }
+ */
+export function markToMarket(ledger, getPrice) {
+  const positions = Object.entries(ledger.positions).map(([code, position]) => {
+    const avgCost = position.costBasis / position.shares;
+    const price = getPrice(code) ?? avgCost;
+    const marketValue = position.shares * price;
+    return {
+      code,
+      shares: position.shares,
+      avgCost,
+      price,
+      marketValue,
+      unrealizedPnL: marketValue - position.costBasis
+    };
+  });
+
+  const marketValue = positions.reduce((sum, p) => sum + p.marketValue, 0);
+  return {
+    initialCash: ledger.initialCash,
+    cash: ledger.cash,
+    marketValue,
+    equity: ledger.cash + marketValue,
+    realizedPnL: ledger.realizedPnL,
+    unrealizedPnL: positions.reduce((sum, p) => sum + p.unrealizedPnL, 0),
+    totalFees: ledger.totalFees,
+    totalSlippage: ledger.totalSlippage,
+    totalCosts: ledger.totalFees + ledger.totalSlippage,
+    positions
+  };
+}
@@ -1,6 +1,36 @@
 //强制触发部署？超时？为什么不触发？
 // 导入配置（包含时区、响应头、策略执行时间等核心参数，PDF附录B配置规范）
 import { CONFIG, RESPONSE_HEADERS } from "./config.js";
+// 配置加载（合并环境变量与secret并校验，参数错误时拒绝运行）
+import { loadConfig } from "./configLoader.js";
+// 持久化存储（按运行环境选择KV/文件/内存，需在执行任何业务逻辑前初始化）
+import { initStorage } from "./storage.js";
+// 定时任务注册表（cron表达式 → 具名任务，记录执行结果并补跑错过的任务）
+import { JOBS, runScheduled, runJob, getJobRuns } from "./scheduler.js";
+// 沪深交易日历（休市日不执行定时任务，本地运行可通过CALENDAR_FILE加载以后年份的休市表）
+import { isTradingDay, hasCalendarYear, loadHolidayFile } from "./tradingCalendar.js";
+import { getTradeDate } from "./historyStore.js";
+// 接口鉴权（Bearer令牌/HMAC签名，按只读/管理员划分权限并记录审计日志）
+import { authorize, getAuditLog } from "./auth.js";
+// 版本化JSON接口（/api/v1/*）与数据源健康统计
+import { getApiRoute, handleApiRequest, apiError } from "./api.js";
+import { getSourceHealth } from "./sourceHealth.js";
+
+/**
+ * 初始化运行环境（配置、持久化存储、交易日历），需在执行任何业务逻辑前调用
+ * @param {Object} env - Worker环境绑定
+ * @returns {Object} 生效的存储对象
+ * @throws {Error} 配置校验失败（code为CONFIG_INVALID）
+ */
+async function initEnvironment(env) {
+  loadConfig(env);
+  const storage = initStorage(env);
+  console.log(`【main.js】持久化存储：${storage.name}`);
+  if (env.CALENDAR_FILE) {
+    await loadHolidayFile(env.CALENDAR_FILE);
+  }
+  return storage;
+}
 
 /**
  * 动态导入依赖模块（确保所有核心功能模块加载正常，PDF5-1节模块管理规范）
@@ -16,6 +46,9 @@ async function importDependencies() {
       poolModule,
       strategyModule,
       messageModule,
+      reportModule,
+      dashboardModule,
+      alertsModule,
       testUtilsModule
     ] = await Promise.all([
       import("./poolManager.js").catch(e => {
@@ -27,21 +60,40 @@ async function importDependencies() {
       import("./messageSender.js").catch(e => {
         throw new Error(`messageSender.js导入失败：${e.message}（可能消息推送逻辑有误）`);
       }),
+      import("./report.js").catch(e => {
+        throw new Error(`report.js导入失败：${e.message}（可能排名计算逻辑有误）`);
+      }),
+      import("./dashboard.js").catch(e => {
+        throw new Error(`dashboard.js导入失败：${e.message}（可能看板渲染逻辑有误）`);
+      }),
+      import("./alerts.js").catch(e => {
+        throw new Error(`alerts.js导入失败：${e.message}（可能状态提醒逻辑有误）`);
+      }),
       // testUtils.js为可选依赖，导入失败时使用默认空实现
       import("./testUtils.js").catch(() => {
         console.warn("【main.js】testUtils.js导入失败，使用默认实现");
-        return { printTradeHistory: () => [] };
+        return { printTradeHistory: async () => [] };
       })
     ]);
     
     // 验证核心方法是否存在（避免模块导出不完整）
     const requiredMethods = [
       { name: "getPool", module: poolModule, required: true },
+      { name: "getPoolSkipped", module: poolModule, required: false },
+      { name: "getCachedPool", module: poolModule, required: false },
       { name: "executeStrategy", module: strategyModule, required: true },
       { name: "pushPool", module: messageModule, required: true },
       { name: "pushStrategyResults", module: messageModule, required: true },
       { name: "sendMessage", module: messageModule, required: true },
+      { name: "pushDeviationReport", module: messageModule, required: true },
+      { name: "generateDeviationReport", module: reportModule, required: true },
+      { name: "generateDashboard", module: dashboardModule, required: true },
+      { name: "checkStatusAlerts", module: alertsModule, required: true },
+      { name: "pushStatusAlerts", module: messageModule, required: true },
       { name: "resetAllHoldings", module: strategyModule, required: false },
+      { name: "getLedgerSummary", module: strategyModule, required: false },
+      { name: "getHoldingsSnapshot", module: strategyModule, required: true },
+      { name: "getSignalSnapshot", module: strategyModule, required: true },
       { name: "printTradeHistory", module: testUtilsModule, required: false }
     ];
     
@@ -54,12 +106,24 @@ async function importDependencies() {
     console.log("【main.js】所有依赖模块导入成功");
     return {
       getPool: poolModule.getPool,
+      getPoolSkipped: poolModule.getPoolSkipped || (() => []),
+      getCachedPool: poolModule.getCachedPool || (async () => []),
       executeStrategy: strategyModule.executeStrategy,
       resetAllHoldings: strategyModule.resetAllHoldings || (() => {}),
+      getLedgerSummary: strategyModule.getLedgerSummary || (async () => ({})),
+      getHoldingsSnapshot: strategyModule.getHoldingsSnapshot,
+      getSignalSnapshot: strategyModule.getSignalSnapshot,
+      getSourceHealth,
       pushPool: messageModule.pushPool,
       pushStrategyResults: messageModule.pushStrategyResults,
       sendMessage: messageModule.sendMessage,
-      printTradeHistory: testUtilsModule.printTradeHistory || (() => [])
+      pushDeviationReport: messageModule.pushDeviationReport,
+      generateDeviationReport: reportModule.generateDeviationReport,
+      formatDeviationReport: reportModule.formatDeviationReport,
+      generateDashboard: dashboardModule.generateDashboard,
+      checkStatusAlerts: alertsModule.checkStatusAlerts,
+      pushStatusAlerts: messageModule.pushStatusAlerts,
+      printTradeHistory: testUtilsModule.printTradeHistory || (async () => [])
     };
   } catch (e) {
     console.error(`【main.js】依赖导入总错误：${e.message}`);
@@ -93,12 +157,13 @@ async function testMessage(deps) {
 /**
  * 测试策略执行逻辑（验证策略计算是否正常，PDF3-5节策略测试规范）
  * @param {Object} deps - 依赖对象
+ * @param {string} profile - 仅执行指定策略配置档（省略时执行全部已启用的配置档）
  * @returns {string} 策略测试结果
  */
-async function testStrategy(deps) {
+async function testStrategy(deps, profile) {
   try {
-    console.log("【main.js】开始测试策略执行...");
-    const results = await deps.executeStrategy();
+    console.log(`【main.js】开始测试策略执行（配置档：${profile || "全部"}）...`);
+    const results = await deps.executeStrategy(profile);
     console.log(`【main.js】策略测试完成，返回${results.length}条结果`);
     return `策略测试结果：\n${JSON.stringify(results, null, 2)}\n（结果说明：参考PDF3-5节策略输出规范）`;
   } catch (e) {
@@ -108,25 +173,70 @@ async function testStrategy(deps) {
 }
 
 /**
- * 主函数：处理所有请求与定时任务（PDF5-2节主流程控制）
- * @param {Request} request - 传入的HTTP请求
- * @returns {Response} 处理后的HTTP响应
+ * 主函数：处理HTTP请求（fetch）与定时任务（scheduled）（PDF5-2节主流程控制）
  */
 export default {
-  async fetch(request) {
+  /**
+   * 处理HTTP请求（测试、手动任务、排名查询及任务状态）
+   * @param {Request} request - 传入的HTTP请求
+   * @param {Object} env - Worker环境绑定（KV命名空间、环境变量）
+   * @returns {Response} 处理后的HTTP响应
+   */
+  async fetch(request, env = {}) {
     // 基础响应配置（统一响应头，避免跨域问题）
     const init = { headers: { ...RESPONSE_HEADERS } };
+    const isApi = getApiRoute(new URL(request.url)) !== null;
 
     try {
-      // 步骤1：导入所有依赖模块
+      // 步骤0：初始化持久化存储（持仓、流水、ETF池等状态跨isolate保留）与交易日历
+      await initEnvironment(env);
+      
+      // 跨域预检请求不携带鉴权信息，直接返回RESPONSE_HEADERS中的跨域配置
+      if (request.method === "OPTIONS") {
+        return new Response(null, { ...init, status: 204 });
+      }
+
+      // 步骤1：鉴权（未通过时不加载任何业务模块，避免被公开调用重置状态或刷屏推送）
+      const auth = await authorize(request, env);
+      if (!auth.allowed) {
+        if (isApi) return apiError(auth.status, auth.code, auth.reason);
+        return new Response(`拒绝访问：${auth.reason}`, { ...init, status: auth.status });
+      }
+      console.log(`【main.js】${auth.principal}（${auth.role}）请求操作：${auth.operation}`);
+
+      // 步骤2：导入所有依赖模块
       const deps = await importDependencies();
+
+      // JSON接口（/api/v1/*）
+      if (isApi) {
+        return handleApiRequest(request, deps);
+      }
       
-      // 步骤2：解析请求参数，判断是否为测试请求
+      // 步骤3：解析请求参数，判断是否为测试请求
       const url = new URL(request.url);
       const testType = url.searchParams.get("test");
-      console.log(`【main.js】收到请求，测试类型：${testType || "定时任务/默认"}`);
+      const jobName = url.searchParams.get("job");
+      const profile = url.searchParams.get("profile") || undefined; // 策略配置档（strategy/runStrategy/printHistory可选）
 
-      // 步骤3：处理测试请求（按不同测试类型执行对应逻辑）
+      // HTML看板（手机浏览器可用?token=鉴权）
+      if (url.pathname === "/dashboard") {
+        return new Response(await deps.generateDashboard(), {
+          headers: { ...RESPONSE_HEADERS, "Content-Type": "text/html; charset=utf-8" }
+        });
+      }
+
+      // 偏离度排名查询（默认文本表格，?format=json返回JSON）
+      if (url.pathname === "/report") {
+        const report = await deps.generateDeviationReport();
+        if (url.searchParams.get("format") === "json") {
+          return new Response(JSON.stringify(report, null, 2), {
+            headers: { ...RESPONSE_HEADERS, "Content-Type": "application/json; charset=utf-8" }
+          });
+        }
+        return new Response(deps.formatDeviationReport(report), init);
+      }
+
+      // 步骤4：处理测试请求（按不同测试类型执行对应逻辑）
       if (testType) {
         let body;
         switch (testType) {
@@ -134,17 +244,21 @@ export default {
             body = await testMessage(deps);
             break;
           case "strategy":         // 测试策略执行逻辑
-            body = await testStrategy(deps);
+            body = await testStrategy(deps, profile);
             break;
           case "printHistory":     // 打印交易流水
-            const history = deps.printTradeHistory();
+            const history = await deps.printTradeHistory(profile);
             body = `交易流水（共${history.length}条）:\n${JSON.stringify(history, null, 2)}`;
             break;
+          case "ledger":           // 查看模拟账本（现金、持仓成本、盈亏）
+            const ledgerSummary = await deps.getLedgerSummary();
+            body = `模拟账本：\n${JSON.stringify(ledgerSummary, null, 2)}`;
+            break;
           case "pushPool":         // 手动推送ETF池
             console.log("【main.js】开始手动推送ETF池...");
             const pool = await deps.getPool(true); // 强制更新ETF池（测试场景）
             console.log(`【main.js】获取到ETF池数据（${pool.length}条），开始推送`);
-            const pushResult = await deps.pushPool(pool);
+            const pushResult = await deps.pushPool(pool, deps.getPoolSkipped());
             if (pushResult.success) {
               body = `ETF池已手动推送至企业微信（共${pool.length}条，成功${pushResult.successCount}条）`;
             } else {
@@ -153,53 +267,69 @@ export default {
             break;
           case "runStrategy":      // 手动执行策略并推送结果
             console.log("【main.js】开始手动执行策略...");
-            const strategyResults = await deps.executeStrategy();
+            const strategyResults = await deps.executeStrategy(profile);
             console.log(`【main.js】策略执行完成（${strategyResults.length}条结果），开始推送`);
             await deps.pushStrategyResults(strategyResults);
             body = `策略已执行，结果已推送（共${strategyResults.length}条建议）`;
             break;
+          case "alerts":           // 手动检查均线状态变化并推送
+            const alerts = await deps.checkStatusAlerts();
+            const alertResult = await deps.pushStatusAlerts(alerts);
+            body = `均线状态检查完成：${alertResult.reason}\n${JSON.stringify(alerts, null, 2)}`;
+            break;
+          case "pushReport":       // 手动推送偏离度排名表
+            const report = await deps.generateDeviationReport({ refresh: true });
+            const reportResult = await deps.pushDeviationReport(report);
+            body = `偏离度排名推送结果：${reportResult.reason}`;
+            break;
+          case "audit":            // 查看接口访问审计日志
+            const auditLog = await getAuditLog();
+            body = `审计日志（共${auditLog.length}条，最新在前）：\n${JSON.stringify(auditLog, null, 2)}`;
+            break;
           case "resetHoldings":    // 重置所有持仓数据
-            deps.resetAllHoldings();
-            body = "所有持仓已重置（参考PDF3-3节持仓管理规范）";
+            await deps.resetAllHoldings();
+            body = "所有持仓及模拟账本已重置（参考PDF3-3节持仓管理规范）";
             break;
           default:
-            body = `未知测试类型：${testType}\n可用类型：message/strategy/printHistory/pushPool/runStrategy/resetHoldings`;
+            body = `未知测试类型：${testType}\n可用类型：message/strategy/printHistory/ledger/pushPool/runStrategy/alerts/pushReport/audit/resetHoldings`;
             return new Response(body, { ...init, status: 400 });
         }
         return new Response(body, init);
       }
 
-      // 步骤4：处理定时任务（非测试请求时执行）
-      const beijingTime = new Date(Date.now() + CONFIG.TIMEZONE_OFFSET);
-      const beijingHour = beijingTime.getHours();
-      console.log(`【main.js】当前北京时间：${beijingTime.toLocaleString()}，小时：${beijingHour}`);
-
-      // 推送ETF池（匹配配置的推送小时）
-      if (beijingHour === CONFIG.STRATEGY_TIMES.PUSH_POOL) {
-        console.log(`【main.js】触发定时任务：推送ETF池（${CONFIG.STRATEGY_TIMES.PUSH_POOL}点）`);
-        const pool = await deps.getPool();
-        await deps.pushPool(pool);
-        return new Response(`[定时任务] ETF池推送完成（${beijingTime.toLocaleTimeString()}，共${pool.length}条）`, init);
+      // 步骤5：手动执行定时任务（?job=任务名，忽略当日已执行记录）
+      if (jobName) {
+        if (!JOBS[jobName]) {
+          return new Response(`未知任务：${jobName}\n可用任务：${Object.keys(JOBS).join("/")}`, { ...init, status: 400 });
+        }
+        const record = await runJob(jobName, deps, { trigger: "manual", force: true });
+        return new Response(`任务${JOBS[jobName].label}执行${record.status === "success" ? "成功" : "失败"}：${record.message}`, init);
       }
 
-      // 执行策略并推送结果（匹配配置的策略小时）
-      if (beijingHour === CONFIG.STRATEGY_TIMES.CHECK_STRATEGY) {
-        console.log(`【main.js】触发定时任务：执行策略（${CONFIG.STRATEGY_TIMES.CHECK_STRATEGY}点）`);
-        const results = await deps.executeStrategy();
-        await deps.pushStrategyResults(results);
-        return new Response(`[定时任务] 策略执行完成（${beijingTime.toLocaleTimeString()}，共${results.length}条建议）`, init);
+      // 步骤6：默认返回定时任务状态（定时任务由scheduled处理，HTTP请求不再按小时触发）
+      const beijingTime = new Date(Date.now() + CONFIG.TIMEZONE_OFFSET);
+      const today = getTradeDate();
+      const runs = await getJobRuns();
+      const lines = [
+        `当前北京时间：${beijingTime.toLocaleString()}（${isTradingDay(today) ? "交易日" : "休市"}` +
+          `${hasCalendarYear(Number(today.slice(0, 4))) ? "" : "，缺少本年休市表"}）`,
+        "定时任务（cron为UTC时间，休市日不执行）："
+      ];
+      for (const [cron, names] of Object.entries(CONFIG.SCHEDULE.CRONS)) {
+        for (const name of names) {
+          const run = runs[name];
+          const status = run
+            ? `${run.dueDate} ${run.status}（${run.trigger}）${run.message}`
+            : "尚未执行";
+          lines.push(`[${cron}] ${JOBS[name].label}(${name})：${status}`);
+        }
       }
-
-      // 步骤5：非测试且非定时任务时间，返回提示信息
-      return new Response(
-        `未到指定执行时间（当前北京时间：${beijingTime.toLocaleString()}）\n` +
-        `每日${CONFIG.STRATEGY_TIMES.PUSH_POOL}点推送ETF池，${CONFIG.STRATEGY_TIMES.CHECK_STRATEGY}点执行策略`,
-        init
-      );
+      return new Response(lines.join("\n"), init);
 
     } catch (e) {
       // 全局错误处理（捕获所有环节的异常）
       console.error(`【main.js】系统执行错误：${e.message}`);
+      if (isApi) return apiError(500, e.code || "INTERNAL_ERROR", e.message);
       return new Response(
         [
           "系统执行错误：",
@@ -207,12 +337,36 @@ export default {
           "排查步骤（按优先级）：",
           "1. 检查依赖文件是否存在（poolManager.js/messageSender.js等）",
           "2. 查看Cloudflare日志，搜索【main.js】定位具体错误环节",
-          "3. 验证测试参数是否正确（应为英文：pushPool/strategy等）",
-          "4. 检查各模块是否有语法错误（如括号不匹配、逗号缺失）"
+          "3. 验证测试参数是否正确（应为英文：pushPool/strategy等）及鉴权配置（API_KEYS）",
+          "4. 检查各模块是否有语法错误（如括号不匹配、逗号缺失）",
+          "5. 配置校验失败时按提示修正wrangler.toml [vars]、CONFIG_OVERRIDES或secret（WECOM_WEBHOOK_URL）"
         ].join("\n"),
         { ...init, status: 500 }
       );
     }
+  },
+
+  /**
+   * 处理Cron触发器（wrangler.toml [triggers]），按CONFIG.SCHEDULE.CRONS执行对应任务并补跑错过的任务
+   * @param {ScheduledEvent} event - 定时事件（cron、scheduledTime）
+   * @param {Object} env - Worker环境绑定
+   * @param {ExecutionContext} ctx - 执行上下文
+   */
+  async scheduled(event, env = {}, ctx) {
+    try {
+      console.log(`【main.js】定时触发：${event.cron}`);
+      await initEnvironment(env);
+      const today = getTradeDate(event.scheduledTime);
+      if (!isTradingDay(today)) {
+        console.log(`【main.js】${today}为非交易日，跳过定时任务`);
+        return;
+      }
+      const deps = await importDependencies();
+      const records = await runScheduled(event.cron, event.scheduledTime, deps);
+      console.log(`【main.js】定时任务完成：${records.map(r => `${r.name}=${r.status}`).join("，") || "无需执行"}`);
+    } catch (e) {
+      console.error(`【main.js】定时任务执行错误：${e.message}`);
+    }
   }
 };
 
@@ -1,24 +1,54 @@
 // 导入配置（包含企业微信Webhook地址及时区设置，PDF附录B配置规范）
 import { CONFIG } from "./config.js";
+import { getTradeDate } from "./historyStore.js";
+import { loadState, saveState, STORAGE_KEYS } from "./storage.js";
+import { formatDeviationReport } from "./report.js";
+import { REGIME_LABELS } from "./regime.js";
+import { ETF_CATEGORIES } from "./etfTaxonomy.js";
+import { formatBreakdown } from "./poolScoring.js";
+
+const DAILY_STATUS_SCHEMA_VERSION = 1; // 每日推送状态的schema版本
+
+// 策略建议操作 -> 推送文案（分批止盈的卖出显示为减仓）
+const SUGGESTION_ACTIONS = { 买入: "纳入", 加仓: "加仓", 卖出: "调出", 减仓: "减仓" };
+// 防守仓位（sleeve为defensive）的推送文案
+const DEFENSIVE_ACTIONS = { 买入: "停泊", 卖出: "释放" };
+
+// 股票池推送前置消息中最多列出的跳过ETF条数（避免超出企业微信单条消息长度）
+const MAX_SKIPPED_LINES = 10;
 
 // 每日推送状态（避免重复推送，PDF4-2节执行控制机制）
-let dailyStatus = {
-  poolPushed: false,      // ETF池是否已推送（每日仅推1次）
-  strategyPushed: false   // 策略结果是否已推送（每日仅推1次）
-};
+let dailyStatus = createDailyStatus(getTradeDate());
+
+function createDailyStatus(date) {
+  return {
+    date,                   // 状态所属日期（北京时间）
+    poolPushed: false,      // ETF池是否已推送（至少1条送达即记为已推送，全部失败时允许补推）
+    strategyPushed: false,  // 策略结果是否已推送（同上）
+    reportPushed: false     // 偏离度排名是否已推送（同上）
+  };
+}
 
 /**
- * 重置每日推送状态（北京时间0点自动重置，PDF4-3节周期控制）
- * 确保每日状态不跨天累积，符合"每日一次"的业务规则
+ * 加载每日推送状态（跨日自动重置，PDF4-3节周期控制）
+ * 按日期而非整点判断，确保每日状态不跨天累积，符合"每日一次"的业务规则
  */
-function resetDailyStatus() {
-  const now = new Date(Date.now() + CONFIG.TIMEZONE_OFFSET);
-  if (now.getHours() === 0) { 
-    dailyStatus = { poolPushed: false, strategyPushed: false };
+async function loadDailyStatus() {
+  const today = getTradeDate();
+  dailyStatus = await loadState(STORAGE_KEYS.DAILY_STATUS, createDailyStatus(today), { version: DAILY_STATUS_SCHEMA_VERSION });
+  if (dailyStatus.date !== today) {
+    dailyStatus = createDailyStatus(today);
     console.log("每日推送状态已重置（符合PDF4-3节周期控制要求）");
   }
 }
 
+/**
+ * 保存每日推送状态
+ */
+async function saveDailyStatus() {
+  await saveState(STORAGE_KEYS.DAILY_STATUS, dailyStatus, DAILY_STATUS_SCHEMA_VERSION);
+}
+
 /**
  * 计算消息实际长度（适配企业微信限制，PDF4-5节消息规范）
  * 中文/英文/数字均按企业微信计数规则（1字符=1长度）
@@ -65,8 +95,6 @@ function truncateMessage(content) {
  * @returns {boolean} 发送是否成功
  */
 export async function sendMessage(content) {
-  resetDailyStatus();
-  
   const beijingTime = new Date(Date.now() + CONFIG.TIMEZONE_OFFSET)
     .toLocaleString("zh-CN", { 
       year: "numeric", month: "2-digit", day: "2-digit", 
@@ -111,9 +139,10 @@ export async function sendMessage(content) {
 /**
  * 推送ETF池消息（单条ETF对应一条消息，严格1分钟间隔）
  * @param {Array} pool - ETF池数据
- * @returns {Object} 推送结果（{success: boolean, total: number, successCount: number, failedCount: number}）
+ * @param {Array} skipped - 筛选中跳过的ETF及原因（poolManager.js getPoolSkipped，列在前置提示消息中）
+ * @returns {Object} 推送结果（{success: boolean, total: number, successCount: number, failedCount: number, skipped?: boolean}，当日已推送时skipped为true）
  */
-export async function pushPool(pool) {
+export async function pushPool(pool, skipped = []) {
   // 结果对象新增明确统计字段，便于清晰反馈推送情况
   const result = {
     success: false,
@@ -124,7 +153,9 @@ export async function pushPool(pool) {
   };
   
   // 检查是否已推送（避免重复执行）
+  await loadDailyStatus();
   if (dailyStatus.poolPushed) {
+    result.skipped = true;
     result.reason = "今日ETF池已完成推送，本次跳过";
     console.log(`pushPool：${result.reason}`);
     return result;
@@ -139,7 +170,12 @@ export async function pushPool(pool) {
   
   try {
     // 前置提示消息（告知用户单条推送规则）
-    const prefixContent = `【ETF池推送通知】\n本次共${pool.length}只ETF，将按单条消息推送，每条间隔1分钟，请留意接收。`;
+    let prefixContent = `【ETF池推送通知】\n本次共${pool.length}只ETF，将按单条消息推送，每条间隔1分钟，请留意接收。`;
+    if (skipped.length > 0) {
+      const lines = skipped.slice(0, MAX_SKIPPED_LINES).map(s => `- ${s.name}(${s.code})：${s.reason}`);
+      if (skipped.length > MAX_SKIPPED_LINES) lines.push(`- 其余${skipped.length - MAX_SKIPPED_LINES}只略`);
+      prefixContent += `\n\n以下${skipped.length}只因重复跟踪或相关性过高未纳入：\n${lines.join("\n")}`;
+    }
     const prefixSuccess = await sendMessage(prefixContent);
     if (!prefixSuccess) {
       result.reason = "前置提示消息发送失败（不影响后续ETF推送）";
@@ -166,7 +202,8 @@ export async function pushPool(pool) {
         `名称：${etf.name}\n` +
         `净值：${etf.price.toFixed(2)}元\n` +
         `波动幅度：${etf.change.toFixed(2)}%\n` +
-        `类别：${etf.type || "综合"}`;
+        `类别：${ETF_CATEGORIES[etf.category] || etf.type || "综合"}${etf.index ? `（跟踪${etf.index}）` : ""}` +
+        (etf.scoreBreakdown ? `\n评分：${etf.score}（${formatBreakdown(etf.scoreBreakdown)}）` : "");
       
       // 发送当前ETF消息
       const success = await sendMessage(content);
@@ -186,9 +223,10 @@ export async function pushPool(pool) {
       }
     }
     
-    // 推送完成后更新状态
-    dailyStatus.poolPushed = true;
-    result.success = result.successCount > 0; // 只要有成功就视为整体推送有效
+    // 只要有成功就视为整体推送有效；全部失败时不记为已推送，留给补跑重试
+    result.success = result.successCount > 0;
+    dailyStatus.poolPushed = result.success;
+    await saveDailyStatus();
     result.reason = `推送完成（总${result.total}条，成功${result.successCount}条，失败${result.failedCount}条）`;
     console.log(`pushPool：${result.reason}`);
     return result;
@@ -213,7 +251,9 @@ export async function pushStrategyResults(results) {
     reason: ""
   };
   
+  await loadDailyStatus();
   if (dailyStatus.strategyPushed) {
+    result.skipped = true;
     result.reason = "今日策略结果已推送，本次跳过";
     console.log(`pushStrategyResults：${result.reason}`);
     return result;
@@ -226,6 +266,7 @@ export async function pushStrategyResults(results) {
       result.successCount = success ? 1 : 0;
       result.failedCount = success ? 0 : 1;
       dailyStatus.strategyPushed = success;
+      await saveDailyStatus();
       console.log(`pushStrategyResults：无调整建议推送${success ? "成功" : "失败"}`);
       return result;
     }
@@ -238,11 +279,18 @@ export async function pushStrategyResults(results) {
         continue;
       }
       
-      const content = `【${res.type || "配置"}调整 ${index + 1}/${results.length}】\n` +
-        `${res.operation === "买入" ? "纳入" : "调出"} ${res.code} ${res.name}\n` +
+      const defensive = res.sleeve === "defensive";
+      const content = `【${res.tag ? `${res.tag}·` : ""}${res.type || "配置"}${defensive ? "防守仓位" : "调整"} ${index + 1}/${results.length}】\n` +
+        `${(defensive ? DEFENSIVE_ACTIONS[res.operation] : SUGGESTION_ACTIONS[res.partial ? "减仓" : res.operation]) || res.operation} ${res.code} ${res.name}\n` +
         `净值：${res.price.toFixed(2)}元\n` +
         `份额：${res.shares || "适量"}\n` +
         `规模：${res.amount || "适中"}\n` +
+        (res.fees !== undefined ? `成本：费用${res.fees.toFixed(2)}元，滑点${res.slippage.toFixed(2)}元（成交价${res.fillPrice.toFixed(3)}）\n` : "") +
+        (res.stopPrice !== undefined ? `风险：止损价${res.stopPrice.toFixed(3)}元（ATR ${res.atr.toFixed(3)}），触发止损亏损约${res.riskAmount.toFixed(2)}元\n` : "") +
+        (res.atrFallback ? "仓位：完整日线不足以计算ATR，本次按固定比例计算\n" : "") +
+        (res.exitRule ? `规则：${res.exitRule}\n` : "") +
+        (res.regime ? `市场：${REGIME_LABELS[res.regime]}（${res.regime}）\n` : "") +
+        (res.confirmDay ? `确认：信号连续成立第${res.confirmDay}天（自${res.signalSince}起）\n` : "") +
         `依据：${res.reason || "市场趋势分析"}`;
       
       const success = await sendMessage(content);
@@ -257,8 +305,9 @@ export async function pushStrategyResults(results) {
       }
     }
     
-    dailyStatus.strategyPushed = true;
     result.success = result.successCount > 0;
+    dailyStatus.strategyPushed = result.success;
+    await saveDailyStatus();
     result.reason = `推送完成（总${result.total}条，成功${result.successCount}条）`;
     console.log(`pushStrategyResults：${result.reason}`);
     return result;
@@ -268,3 +317,60 @@ export async function pushStrategyResults(results) {
     return result;
   }
 }
+
+
+/**
+ * 推送鱼盆偏离度排名表（整表合并为单条消息，超长时由sendMessage截断）
+ * @param {Object} report - report.js中buildDeviationReport的返回结果
+ * @returns {Object} 推送结果（{success: boolean, total: number, reason: string, skipped?: boolean}）
+ */
+export async function pushDeviationReport(report) {
+  const result = { success: false, total: report.rows.length, reason: "" };
+
+  await loadDailyStatus();
+  if (dailyStatus.reportPushed) {
+    result.skipped = true;
+    result.reason = "今日偏离度排名已推送，本次跳过";
+    console.log(`pushDeviationReport：${result.reason}`);
+    return result;
+  }
+
+  result.success = await sendMessage(formatDeviationReport(report));
+  if (result.success) {
+    dailyStatus.reportPushed = true;
+    await saveDailyStatus();
+  }
+  result.reason = result.success ? `推送完成（共${result.total}只ETF）` : "企业微信推送失败";
+  console.log(`pushDeviationReport：${result.reason}`);
+  return result;
+}
+
+/**
+ * 推送均线状态变化提醒（与策略建议分开的独立消息类型，无变化时不推送）
+ * 所有变化合并为单条消息，避免整池逐条推送造成的打扰
+ * @param {Array} alerts - alerts.js中detectStatusChanges的返回结果
+ * @returns {Object} 推送结果（{success: boolean, total: number, reason: string}）
+ */
+export async function pushStatusAlerts(alerts) {
+  const result = { success: false, total: alerts.length, reason: "" };
+  if (alerts.length === 0) {
+    result.success = true;
+    result.reason = "今日无均线状态变化，未推送";
+    console.log(`pushStatusAlerts：${result.reason}`);
+    return result;
+  }
+
+  const blocks = alerts.map(alert => {
+    const direction = alert.to === "YES" ? "站上" : "跌破";
+    return `【均线状态提醒】${alert.code} ${alert.name}\n` +
+      `状态：${alert.from} → ${alert.to}（${direction}${CONFIG.FISH_BOWL.MA_PERIOD}日均线）\n` +
+      `偏离率：${alert.deviation >= 0 ? "+" : ""}${alert.deviation.toFixed(2)}%（现价${alert.close.toFixed(3)}，均线${alert.ma.toFixed(3)}）\n` +
+      `量比：${alert.volumeRatio === null ? "—" : alert.volumeRatio.toFixed(2)}（较前5日均量）\n` +
+      `原状态持续：${alert.priorDays}个交易日${alert.priorSince ? `（自${alert.priorSince}起）` : ""}`;
+  });
+
+  result.success = await sendMessage(blocks.join("\n\n"));
+  result.reason = result.success ? `推送完成（${alerts.length}只ETF状态变化）` : "企业微信推送失败";
+  console.log(`pushStatusAlerts：${result.reason}`);
+  return result;
+}
\ No newline at end of file
@@ -1,12 +1,23 @@
 // 导入核心依赖（新增child_process用于Python桥接，PDF5-4节跨语言调用方案）
 import { CONFIG } from "./config.js";
-const cheerio = require("cheerio");
-const { execSync } = require("child_process"); // 关键新增：执行Python脚本
+import { load } from "cheerio";
+import { execSync } from "child_process"; // 关键新增：执行Python脚本
+import { fetchETFHistory } from "./dataFetcher.js";
+import { historyStore, loadHistoryStore, saveHistoryStore, getTradeDate } from "./historyStore.js";
+import { isLastTradingDayOfWeek, getPreviousTradingDay } from "./tradingCalendar.js";
+import { loadState, saveState, STORAGE_KEYS } from "./storage.js";
+import { recordSourceResult, loadSourceHealth, saveSourceHealth } from "./sourceHealth.js";
+import { classifyETF, isCategoryAllowed, indexKey, ETF_CATEGORIES } from "./etfTaxonomy.js";
+import { calculateReturnCorrelation } from "./indicator.js";
+import { scoreETF, requiredBars, formatBreakdown } from "./poolScoring.js";
+
+const POOL_SCHEMA_VERSION = 2; // ETF池持久化记录的schema版本（v2新增类别category与跟踪指数index）
 
 // 全局状态管理（PDF1-3节性能优化要求：减少重复计算）
 let currentPool = [];          // 当前ETF池缓存
 let lastUpdateTime = 0;        // 最后更新时间戳（毫秒）
 let isUpdating = false;        // 避免并发更新的锁机制
+let lastSkipped = [];          // 最近一次筛选中跳过的ETF及原因（同指数去重、相关性超限）
 
 /**
  * 生成简单唯一ID（替代uuid，避免依赖缺失）
@@ -26,8 +37,8 @@ const DATA_SOURCES = [
     id: "akshare-api",
     name: "AkShare全市场API（Python桥接）",
     type: "script",             // 改为脚本类型
-    scriptPath: "akshare_etf_fetcher.py", // 关联Python脚本路径
-    timeout: 20000,             // 全市场数据量较大，超时设为20秒
+    get scriptPath() { return CONFIG.PYTHON_BRIDGE.SCRIPT_PATH; }, // 关联Python脚本路径（可由PYTHON_BRIDGE_SCRIPT覆盖）
+    get timeout() { return CONFIG.PYTHON_BRIDGE.TIMEOUT; },        // 全市场数据量较大，默认20秒（可由PYTHON_EXEC_TIMEOUT覆盖）
     retries: 3,                 // 最多重试3次（含首次）
     parser: parseAkShareApiData, // 专用解析函数
     desc: "通过Python脚本调用AkShare（解决跨语言依赖，PDF2-1节推荐）"
@@ -66,17 +77,20 @@ export async function getPool(forceUpdate = false) {
     const now = Date.now();
     console.log(`【getPool】当前时间：${new Date(now).toLocaleString()}`);
 
-    // 更新条件判断（PDF1-3节核心规则：周五更新+缓存过期+空池+强制更新）
+    await restorePool();
+
+    // 更新条件判断（PDF1-3节核心规则：每周最后一个交易日更新+缓存过期+空池+强制更新）
     const needUpdate = forceUpdate
       || currentPool.length === 0                  // 缓存为空（首次部署）
       || (now - lastUpdateTime > CONFIG.POOL.MAX_AGE)  // 缓存过期（默认7天）
-      || (isFridayAfter16(now) && (now - lastUpdateTime > 86400000)); // 周五16点后每日更新
+      || (isLastTradingDayAfter16(now) && (now - lastUpdateTime > 86400000)); // 每周最后一个交易日16点后更新
 
     if (needUpdate) {
       console.log("【getPool】满足更新条件，开始执行更新流程...");
       isUpdating = true;
-      currentPool = await updatePool();
+      ({ pool: currentPool, skipped: lastSkipped } = await updatePool());
       lastUpdateTime = now;
+      await saveState(STORAGE_KEYS.POOL, { pool: currentPool, skipped: lastSkipped, timestamp: lastUpdateTime }, POOL_SCHEMA_VERSION);
       console.log(`【getPool】更新完成，当前ETF池共${currentPool.length}只`);
     } else {
       console.log(`【getPool】使用缓存（最后更新：${new Date(lastUpdateTime).toLocaleString()}，剩余有效期：${Math.round((CONFIG.POOL.MAX_AGE - (now - lastUpdateTime)) / 3600000)}小时）`);
@@ -97,23 +111,68 @@ export async function getPool(forceUpdate = false) {
 }
 
 /**
- * 判断是否为周五16点后（PDF1-3节更新时间规则）
- * 逻辑不变：保持时间判断准确性
+ * 只读获取已缓存的ETF池（供接口等只读场景，不会触发更新；从未更新过时返回空数组）
+ * @returns {Promise<Array>} ETF池副本
+ */
+export async function getCachedPool() {
+  await restorePool();
+  return [...currentPool];
+}
+
+/**
+ * 从持久化存储恢复ETF池（isolate回收后内存缓存为空，其他isolate也可能已更新）
+ */
+async function restorePool() {
+  const stored = await loadState(STORAGE_KEYS.POOL, null, { version: POOL_SCHEMA_VERSION, migrate: migratePool });
+  if (stored && stored.timestamp > lastUpdateTime) {
+    currentPool = stored.pool;
+    lastSkipped = stored.skipped || [];
+    lastUpdateTime = stored.timestamp;
+    console.log(`【restorePool】从存储加载ETF池（${currentPool.length}只，最后更新：${new Date(lastUpdateTime).toLocaleString()}）`);
+  }
+}
+
+/**
+ * 获取最近一次股票池筛选中跳过的ETF（供股票池推送列出跳过原因；需先调用getPool加载）
+ * @returns {Array} [{ code, name, type, reason }]
+ */
+export function getPoolSkipped() {
+  return [...lastSkipped];
+}
+
+/**
+ * ETF池schema迁移
+ * @param {Object} data - 旧版本记录 { pool, timestamp }
+ * @param {number} fromVersion - 旧版本号
+ * @returns {Object|null} 升级一个版本后的记录
  */
-function isFridayAfter16(timestamp) {
+function migratePool(data, fromVersion) {
+  // v1→v2：按ETF分类重新标注类别、跟踪指数与资金桶类型
+  if (fromVersion === 1) {
+    return { ...data, pool: data.pool.map(etf => ({ ...etf, ...taxonomyFields(etf.code, etf.name) })) };
+  }
+  return null; // v0无时间戳，等同无缓存
+}
+
+/**
+ * 判断是否为每周最后一个交易日16点后（PDF1-3节更新时间规则）
+ * 按交易日历判断，周五休市时提前到本周最后一个交易日（CONFIG.POOL.UPDATE_TIME.hour）
+ */
+function isLastTradingDayAfter16(timestamp) {
   const date = new Date(timestamp + CONFIG.TIMEZONE_OFFSET);
-  const weekday = date.getDay(); // 0=周日，1=周一...5=周五...6=周六
-  const hour = date.getHours();
-  const result = weekday === 5 && hour >= 16; // 周五且16点后
-  console.log(`【isFridayAfter16】当前时间：${date.toLocaleString()}，判断结果：${result}`);
+  const hour = date.getUTCHours(); // 已加时区偏移，按UTC读取即为北京时间
+  const result = isLastTradingDayOfWeek(getTradeDate(timestamp)) && hour >= CONFIG.POOL.UPDATE_TIME.hour;
+  console.log(`【isLastTradingDayAfter16】当前北京时间：${date.toISOString().slice(0, 16).replace("T", " ")}，判断结果：${result}`);
   return result;
 }
 
 /**
  * 更新ETF池（核心逻辑，策略驱动全市场筛选）
  * 逻辑不变：保持策略筛选流程完整性
+ * @returns {Promise<Object>} { pool, skipped }
  */
 async function updatePool() {
+  await loadSourceHealth();
   try {
     console.log("【updatePool】开始全市场ETF筛选流程...");
     const allEtfs = await fetchAndMergeETFData();
@@ -122,17 +181,67 @@ async function updatePool() {
       throw new Error("全市场筛选后无有效ETF数据（参考PDF2-3节数据有效性校验）");
     }
 
+    // 按类别过滤（CONFIG.POOL.INCLUDE_CATEGORIES/EXCLUDE_CATEGORIES）
+    const allowed = allEtfs.filter(etf => isCategoryAllowed(etf.category, CONFIG.POOL));
+    const counts = {};
+    allEtfs.forEach(etf => { counts[etf.category] = (counts[etf.category] || 0) + 1; });
+    console.log(`【updatePool】ETF分类：${Object.entries(counts).map(([category, n]) => `${ETF_CATEGORIES[category] || category}${n}只`).join("，")}；按类别过滤后剩余${allowed.length}只`);
+
+    // 先加载已有日线（因子评分、相关性检查与回填均在此基础上追加，避免覆盖实盘记录）
+    await loadHistoryStore();
+    const barCache = new Map(); // 本次筛选中拉取的候选ETF日线（仅入选成员写入日线存储）
+
     // 应用最终筛选策略（PDF3-1节配置要求：10只ETF）
-    const finalPool = applySelectionStrategy(allEtfs);
+    const { pool: finalPool, skipped } = await applySelectionStrategy(allowed, barCache);
     console.log(`【updatePool】策略筛选完成，最终ETF池共${finalPool.length}只（宽基${finalPool.filter(e => e.type === "宽基").length}只，行业${finalPool.filter(e => e.type === "行业").length}只）`);
 
-    return finalPool;
+    // 回填池内ETF的历史日线（保证首日即可计算20日均线）
+    await backfillHistory(finalPool, barCache);
+
+    return { pool: finalPool, skipped };
   } catch (e) {
     console.error(`【updatePool】更新失败：${e.message}`);
     throw e;
+  } finally {
+    await saveSourceHealth();
   }
 }
 
+/**
+ * 日线存储中该ETF的最新K线是否不早于上一交易日（停止更新的旧序列条数再多也需重新拉取）
+ * @param {string} code - ETF代码
+ * @returns {boolean}
+ */
+function isStoredHistoryCurrent(code) {
+  const latest = historyStore.getLatestBar(code);
+  return Boolean(latest) && latest.date >= getPreviousTradingDay(getTradeDate());
+}
+
+/**
+ * 回填ETF池成员的历史日线（单只失败不影响整体，已有足够且截至上一交易日的历史的ETF跳过；调用前需已加载日线存储）
+ * @param {Array} pool - ETF池
+ * @param {Map} barCache - 筛选阶段已拉取的日线（code -> 日线数组），命中时不再重复请求
+ */
+async function backfillHistory(pool, barCache = new Map()) {
+  const days = CONFIG.HISTORY.BACKFILL_DAYS;
+  let filled = 0;
+
+  for (const etf of pool) {
+    (barCache.get(etf.code) || []).forEach(bar => historyStore.record(etf.code, bar));
+    if (historyStore.getBars(etf.code).length >= days && isStoredHistoryCurrent(etf.code)) continue;
+    try {
+      const bars = await fetchETFHistory(etf.code, days);
+      bars.forEach(bar => historyStore.record(etf.code, bar));
+      filled++;
+    } catch (e) {
+      console.warn(`【backfillHistory】${etf.name}(${etf.code})历史回填失败：${e.message}`);
+    }
+  }
+
+  await saveHistoryStore();
+  console.log(`【backfillHistory】历史日线回填完成（${filled}/${pool.length}只）`);
+}
+
 /**
  * 获取并合并多数据源数据（PDF5-2节多源备份策略）
  * 关键修改：新增脚本类型数据源处理逻辑
@@ -166,6 +275,7 @@ async function fetchAndMergeETFData() {
       }
       
       allData.push(...parsedData);
+      recordSourceResult("pool", source.id, true);
       console.log(`【fetchAndMergeETFData】${source.name}获取成功（${parsedData.length}条）`);
       
       // 主数据源成功则终止遍历（PDF5-2节主备切换逻辑）
@@ -174,6 +284,7 @@ async function fetchAndMergeETFData() {
         break;
       }
     } catch (e) {
+      recordSourceResult("pool", source.id, false, e.message);
       console.error(`【fetchAndMergeETFData】${source.name}处理失败：${e.message}`);
       // 主数据源失败才尝试备份源
       if (source.id === "akshare-api") {
@@ -223,7 +334,7 @@ async function fetchSourceData(source) {
         signal: controller.signal,
         cf: { 
           tls: "tls1.3",        // 强制TLS1.3，优化兼容性
-          cacheTtl: 300         // 5分钟缓存，减轻源站压力
+          cacheTtl: CONFIG.POOL.SOURCE_CACHE_TTL // 边缘缓存，减轻源站压力（默认5分钟）
         }
       });
 
@@ -265,67 +376,145 @@ async function fetchSourceData(source) {
 }
 
 /**
- * 应用最终筛选策略（PDF3-1节配置：宽基5+行业5，共10只）
- * 逻辑不变：保持策略评分与筛选逻辑
+ * 应用最终筛选策略（PDF3-1节配置：宽基、行业各半，默认共10只，见CONFIG.POOL.SIZE）
+ * 每类按成交额预选SCORING.CANDIDATES_PER_TYPE只，由历史日线计算因子评分（poolScoring.js，K线请求数受SCORING.MAX_FETCHES限制），
+ * 按评分从高到低逐只纳入，以下情况跳过并记录原因：
+ * 1. 同一跟踪指数只保留成交额最高的一只（按etfTaxonomy.js的映射表与名称解析分组）
+ * 2. 与已纳入成员最近CORRELATION_DAYS日的收益率相关系数超过MAX_CORRELATION（日线不足时不做相关性检查）
+ * @param {Array} etfData - 候选ETF
+ * @param {Map} barCache - 本次筛选拉取的日线缓存（code -> 日线数组）
+ * @returns {Promise<Object>} { pool（附score、factors、scoreBreakdown）, skipped: [{ code, name, type, reason }] }
  */
-function applySelectionStrategy(etfData) {
-  // 1. 计算每只ETF的策略评分
-  const scoredEtfs = etfData.map(etf => ({
-    ...etf,
-    score: calculateStrategyScore(etf)
-  }));
+async function applySelectionStrategy(etfData, barCache) {
+  // 1. 按成交额预选后计算因子评分（日线获取失败的ETF仅有流动性得分）
+  const candidates = ["宽基", "行业"].flatMap(type => etfData
+    .filter(etf => etf.type === type)
+    .sort((a, b) => b.turnover - a.turnover)
+    .slice(0, CONFIG.POOL.SCORING.CANDIDATES_PER_TYPE));
+  const scoredEtfs = [];
+  for (const etf of candidates) {
+    const { score, factors, breakdown } = scoreETF(etf, await getRecentBars(etf, barCache) || []);
+    scoredEtfs.push({ ...etf, score, factors, scoreBreakdown: breakdown });
+  }
+
+  const unfetched = candidates.filter(etf => !hasEnoughStoredBars(etf.code) && !barCache.has(etf.code));
+  if (unfetched.length > 0) {
+    console.warn(`【applySelectionStrategy】本次K线请求已达上限${CONFIG.POOL.SCORING.MAX_FETCHES}次，${unfetched.map(etf => etf.name).join("、")}按已存储日线评分（不足时仅计流动性）`);
+  }
 
   // 2. 按评分降序排序
   const sortedEtfs = scoredEtfs.sort((a, b) => b.score - a.score);
-  console.log(`【applySelectionStrategy】策略评分完成，最高分为${sortedEtfs[0]?.score || 0}分`);
-
-  // 3. 分类筛选（宽基5只，行业5只）
-  const wideBase = sortedEtfs
-    .filter(etf => etf.type === "宽基")
-    .slice(0, 5);
-  
-  const industry = sortedEtfs
-    .filter(etf => etf.type === "行业")
-    .slice(0, 5);
-
-  // 4. 输出筛选结果日志
+  console.log(`【applySelectionStrategy】因子评分完成（${sortedEtfs.length}/${etfData.length}只进入评分），最高分为${sortedEtfs[0]?.score || 0}分`);
+
+  // 3. 每个跟踪指数成交额最高的ETF
+  const mostLiquid = new Map();
+  for (const etf of sortedEtfs) {
+    const key = indexKey(etf);
+    if (!mostLiquid.has(key) || etf.turnover > mostLiquid.get(key).turnover) {
+      mostLiquid.set(key, etf);
+    }
+  }
+
+  // 4. 分类筛选（宽基、行业各占一半，默认各5只），已纳入成员跨资金桶共同参与相关性检查
+  const perType = Math.ceil(CONFIG.POOL.SIZE / 2);
+  const selected = [];
+  const skipped = [];
+  const pick = async (type, quota) => {
+    const picked = [];
+    for (const etf of sortedEtfs.filter(e => e.type === type)) {
+      if (picked.length >= quota) break;
+      const key = indexKey(etf);
+      const keeper = mostLiquid.get(key);
+      if (keeper !== etf) {
+        skipped.push({ code: etf.code, name: etf.name, type, reason: `与${keeper.name}(${keeper.code})同跟踪${key}，保留成交额更高的一只` });
+        continue;
+      }
+      const correlated = await findCorrelatedMember(etf, selected, barCache);
+      if (correlated) {
+        skipped.push({ code: etf.code, name: etf.name, type, reason: `与${correlated.etf.name}(${correlated.etf.code})近${CONFIG.POOL.CORRELATION_DAYS}日收益率相关系数${correlated.correlation.toFixed(2)}，超过上限${CONFIG.POOL.MAX_CORRELATION}` });
+        continue;
+      }
+      picked.push(etf);
+      selected.push(etf);
+    }
+    return picked;
+  };
+  const wideBase = await pick("宽基", perType);
+  const industry = await pick("行业", CONFIG.POOL.SIZE - perType);
+
+  // 5. 输出筛选结果日志
   console.log("【applySelectionStrategy】宽基ETF筛选结果：");
   wideBase.forEach((etf, i) => {
-    console.log(`  ${i+1}. ${etf.name}(${etf.code}) - 评分：${etf.score}，夏普比率：${etf.sharpe.toFixed(2)}`);
+    console.log(`  ${i+1}. ${etf.name}(${etf.code}) - 评分：${etf.score}（${formatBreakdown(etf.scoreBreakdown)}）`);
   });
 
   console.log("【applySelectionStrategy】行业ETF筛选结果：");
   industry.forEach((etf, i) => {
-    console.log(`  ${i+1}. ${etf.name}(${etf.code}) - 评分：${etf.score}，夏普比率：${etf.sharpe.toFixed(2)}`);
+    console.log(`  ${i+1}. ${etf.name}(${etf.code}) - 评分：${etf.score}（${formatBreakdown(etf.scoreBreakdown)}）`);
   });
 
-  return [...wideBase, ...industry];
+  skipped.forEach(s => console.log(`【applySelectionStrategy】跳过${s.name}(${s.code})：${s.reason}`));
+
+  return { pool: [...wideBase, ...industry], skipped };
 }
 
 /**
- * 策略评分函数（100分制，PDF3-3节评分标准）
- * 逻辑不变：保持指标权重与计算方式
+ * 查找与候选ETF收益率相关系数超过POOL.MAX_CORRELATION的已纳入成员
+ * 日线不足（含获取失败）时不做相关性检查
+ * @param {Object} etf - 候选ETF
+ * @param {Array} members - 已纳入的ETF
+ * @param {Map} barCache - 本次筛选拉取的日线缓存
+ * @returns {Promise<Object|null>} { etf, correlation }，无超限成员或日线不足时返回null
  */
-function calculateStrategyScore(etf) {
-  let score = 0;
-
-  // 1. 夏普比率（40分）：越高越好，最高8时得满分
-  const sharpeScore = Math.min(40, etf.sharpe * 5);
-  score += sharpeScore;
-
-  // 2. 流动性（30分）：成交额1亿得满分
-  const liquidityScore = Math.min(30, etf.turnover / 10000 * 30); // 1亿=30分
-  score += liquidityScore;
+async function findCorrelatedMember(etf, members, barCache) {
+  const { MAX_CORRELATION, CORRELATION_DAYS } = CONFIG.POOL;
+  if (members.length === 0 || MAX_CORRELATION >= 1) return null;
+  const bars = await getRecentBars(etf, barCache);
+  if (!bars) return null;
+
+  for (const member of members) {
+    const memberBars = await getRecentBars(member, barCache);
+    if (!memberBars) continue;
+    const correlation = calculateReturnCorrelation(bars, memberBars, CORRELATION_DAYS);
+    if (correlation !== null && correlation > MAX_CORRELATION) {
+      return { etf: member, correlation };
+    }
+  }
+  return null;
+}
 
-  // 3. 近期趋势（20分）：涨跌幅正相关
-  const trendScore = Math.min(20, Math.max(0, etf.change * 2)); // 10%涨幅得满分
-  score += trendScore;
+/**
+ * 日线存储中的历史是否足以计算因子评分与相关系数（条数足够且截至上一交易日时不再拉取K线）
+ * @param {string} code - ETF代码
+ * @returns {boolean}
+ */
+function hasEnoughStoredBars(code) {
+  return historyStore.getBars(code).length >= Math.max(requiredBars(), CONFIG.POOL.CORRELATION_DAYS + 1)
+    && isStoredHistoryCurrent(code);
+}
 
-  // 4. 类型适配性（10分）：宽基额外加分
-  const typeScore = etf.type === "宽基" ? 10 : 8;
-  score += typeScore;
+/**
+ * 获取因子评分与相关性检查所需的日线（最新在前）
+ * 本地存储足够且未过期时直接使用，否则按BACKFILL_DAYS拉取并放入缓存（候选ETF大多不会入选，不写入日线存储）
+ * 缓存条目数即本次已发出的K线请求数，达到SCORING.MAX_FETCHES后不再请求，改用已存储的部分日线
+ * @param {Object} etf - ETF
+ * @param {Map} barCache - 本次筛选拉取的日线缓存（获取失败记为null，同一只不重复请求）
+ * @returns {Promise<Array|null>} 日线数组，获取失败（或超出请求上限且无存储日线）时返回null
+ */
+async function getRecentBars(etf, barCache) {
+  const stored = historyStore.getBars(etf.code);
+  if (hasEnoughStoredBars(etf.code)) return stored;
+  if (barCache.has(etf.code)) return barCache.get(etf.code);
+  if (barCache.size >= CONFIG.POOL.SCORING.MAX_FETCHES) return stored.length > 0 ? stored : null;
 
-  return Math.round(score);
+  let bars = null;
+  try {
+    bars = await fetchETFHistory(etf.code, CONFIG.HISTORY.BACKFILL_DAYS);
+  } catch (e) {
+    console.warn(`【getRecentBars】${etf.name}(${etf.code})日线获取失败：${e.message}，评分仅计流动性且不做相关性检查`);
+  }
+  barCache.set(etf.code, bars);
+  return bars;
 }
 
 /**
@@ -346,11 +535,11 @@ function parseAkShareApiData(rawData, sourceId) {
     return result.data.map(item => ({
       code: item.symbol,
       name: item.name,
-      type: 判断ETF类型(item.name),
+      ...taxonomyFields(item.symbol, item.name),
       price: parseFloat(item.price),
       change: parseFloat(item.change),
       volume: item.turnover * 10000, // 万元→元
-      sharpe: parseFloat(item.sharpe),
+      sharpe: parseFloat(item.sharpe), // 脚本按近1个月计算的参考值，评分使用poolScoring.js由日线计算的夏普比率
       turnover: item.turnover, // 保留万元单位
       source: sourceId,
       timestamp: result.timestamp
@@ -366,7 +555,7 @@ function parseAkShareApiData(rawData, sourceId) {
  * 逻辑不变：保持HTML解析逻辑
  */
 function parseEastMoneyHtml(rawHtml, sourceId) {
-  const $ = cheerio.load(rawHtml);
+  const $ = load(rawHtml);
   const etfList = [];
 
   // 东方财富ETF列表选择器（适配2024年页面结构）
@@ -387,11 +576,11 @@ function parseEastMoneyHtml(rawHtml, sourceId) {
     etfList.push({
       code,
       name,
-      type: 判断ETF类型(name),
+      ...taxonomyFields(code, name),
       price,
       change,
       volume,
-      sharpe: 0, // HTML源无法直接获取，后续策略会忽略
+      sharpe: 0, // HTML源无法直接获取（评分使用poolScoring.js由日线计算的夏普比率）
       turnover: volume / 10000, // 转换为万元
       source: sourceId,
       timestamp: new Date().toISOString()
@@ -403,31 +592,12 @@ function parseEastMoneyHtml(rawHtml, sourceId) {
 }
 
 /**
- * 判断ETF类型（宽基/行业，PDF3-1节分类标准）
- * 逻辑不变：保持分类规则
+ * ETF分类字段（见etfTaxonomy.js；type为资金桶类型宽基/行业，PDF3-1节分类标准）
+ * @param {string} code - ETF代码
+ * @param {string} name - ETF名称
+ * @returns {Object} { type, category, index }
  */
-function 判断ETF类型(name) {
-  const wideBaseKeywords = [
-    "沪深300", "中证500", "上证50", "创业板", 
-    "科创板", "中证1000", "全指", "宽基", "综指"
-  ];
-  return wideBaseKeywords.some(key => name.includes(key)) ? "宽基" : "行业";
-}
-
-// 初始化：尝试从持久化存储加载缓存（若配置了KV存储）
-if (typeof caches !== "undefined") {
-  (async () => {
-    try {
-      const cache = await caches.open(CONFIG.CACHE_NAME);
-      const response = await cache.match("/etf-pool-cache");
-      if (response) {
-        const cachedData = await response.json();
-        currentPool = cachedData.pool;
-        lastUpdateTime = cachedData.timestamp;
-        console.log(`【初始化】从缓存加载ETF池（${currentPool.length}只，最后更新：${new Date(lastUpdateTime).toLocaleString()}）`);
-      }
-    } catch (e) {
-      console.warn(`【初始化】缓存加载失败：${e.message}`);
-    }
-  })();
+function taxonomyFields(code, name) {
+  const { type, category, index } = classifyETF(code, name);
+  return { type, category, index };
 }
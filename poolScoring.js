@@ -0,0 +1,86 @@
+// 股票池因子评分（CONFIG.POOL.SCORING）：由历史日线计算夏普、动量、波动、回撤、流动性五项因子
+// 各因子按上限线性折算为0~1后乘以权重（权重合计100），评分附带逐项得分，便于说明ETF入选原因
+// 不再依赖数据源提供的夏普比率（仅Python脚本提供，东方财富备份源为0，备份日排名退化为成交额加当日涨跌）
+import { CONFIG } from "./config.js";
+import { calculateROC, calculateSharpe, calculateVolatility, calculateMaxDrawdown } from "./indicator.js";
+
+// 因子 -> 中文名称、权重与上限的配置键、折算方式（越高越好的因子按因子值/上限，越低越好的按1-因子值/上限）
+const FACTORS = {
+  sharpe: { label: "夏普", key: "SHARPE", higherIsBetter: true },
+  momentum: { label: "动量", key: "MOMENTUM", higherIsBetter: true },
+  volatility: { label: "波动", key: "VOLATILITY", higherIsBetter: false },
+  drawdown: { label: "回撤", key: "DRAWDOWN", higherIsBetter: false },
+  liquidity: { label: "流动性", key: "LIQUIDITY", higherIsBetter: true }
+};
+
+// 因子 -> 中文名称（推送消息与看板展示）
+export const FACTOR_LABELS = Object.fromEntries(Object.entries(FACTORS).map(([name, f]) => [name, f.label]));
+
+/**
+ * 因子计算所需的最少日线数量
+ * @param {Object} config - 配置（默认CONFIG）
+ * @returns {number} 日线根数
+ */
+export function requiredBars(config = CONFIG) {
+  const { LOOKBACK_DAYS, MOMENTUM_WINDOWS, LIQUIDITY_DAYS } = config.POOL.SCORING;
+  return Math.max(LOOKBACK_DAYS, LIQUIDITY_DAYS, ...MOMENTUM_WINDOWS) + 1;
+}
+
+/**
+ * 由历史日线计算ETF的因子值
+ * 夏普、波动率、最大回撤取最近LOOKBACK_DAYS日；动量为MOMENTUM_WINDOWS各窗口涨跌幅的均值；
+ * 流动性为最近LIQUIDITY_DAYS日平均成交额（日线不足时取当日成交额）
+ * @param {Object} etf - ETF { turnover }（当日成交额，万元）
+ * @param {Array} bars - 日线数组（最新在前）
+ * @param {Object} config - 配置（默认CONFIG）
+ * @returns {Object} { sharpe, momentum（%）, volatility（年化%）, drawdown（%）, liquidity（万元） }，日线不足的因子为null
+ */
+export function calculateFactors(etf, bars, config = CONFIG) {
+  const { LOOKBACK_DAYS, MOMENTUM_WINDOWS, LIQUIDITY_DAYS } = config.POOL.SCORING;
+  const closes = bars.map(bar => bar.close);
+
+  const rocs = MOMENTUM_WINDOWS.map(period => calculateROC(closes, period));
+  const turnovers = bars.slice(0, LIQUIDITY_DAYS).map(bar => bar.turnover).filter(v => v > 0);
+
+  return {
+    sharpe: calculateSharpe(closes, LOOKBACK_DAYS),
+    momentum: rocs.includes(null) ? null : rocs.reduce((sum, roc) => sum + roc, 0) / rocs.length,
+    volatility: calculateVolatility(closes, LOOKBACK_DAYS),
+    drawdown: calculateMaxDrawdown(closes, LOOKBACK_DAYS),
+    liquidity: turnovers.length >= LIQUIDITY_DAYS
+      ? turnovers.reduce((sum, v) => sum + v, 0) / turnovers.length / 10000 // 元 -> 万元
+      : etf.turnover ?? null
+  };
+}
+
+/**
+ * 计算ETF的股票池评分
+ * @param {Object} etf - ETF { turnover }
+ * @param {Array} bars - 日线数组（最新在前，不足时相应因子记0分）
+ * @param {Object} config - 配置（默认CONFIG）
+ * @returns {Object} { score（0~100取整）, factors（因子值）, breakdown（各因子得分，保留1位小数） }
+ */
+export function scoreETF(etf, bars, config = CONFIG) {
+  const { WEIGHTS, CAPS } = config.POOL.SCORING;
+  const factors = calculateFactors(etf, bars, config);
+
+  const breakdown = {};
+  for (const [name, { key, higherIsBetter }] of Object.entries(FACTORS)) {
+    const value = factors[name];
+    const ratio = value === null ? 0 : higherIsBetter ? value / CAPS[key] : 1 - value / CAPS[key];
+    breakdown[name] = Math.round(WEIGHTS[key] * Math.min(1, Math.max(0, ratio)) * 10) / 10;
+  }
+
+  const score = Math.round(Object.values(breakdown).reduce((sum, v) => sum + v, 0));
+  return { score, factors, breakdown };
+}
+
+/**
+ * 格式化各因子得分（如"夏普18·动量12.5·波动6·回撤8·流动性25"）
+ * @param {Object} breakdown - scoreETF返回的breakdown
+ * @returns {string} 展示文本（无评分明细时为空字符串）
+ */
+export function formatBreakdown(breakdown) {
+  if (!breakdown) return "";
+  return Object.entries(breakdown).map(([name, points]) => `${FACTOR_LABELS[name] || name}${points}`).join("·");
+}
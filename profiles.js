@@ -0,0 +1,42 @@
+// 策略配置档（CONFIG.STRATEGY_PROFILES）：在FISH_BOWL/POSITION基础参数上按名称覆盖部分参数
+// 解析结果与CONFIG结构相同（含FISH_BOWL/POSITION/DEFENSIVE），可直接作为indicator.js与signalState.js的参数
+import { CONFIG } from "./config.js";
+
+// 默认配置档（沿用基础参数，升级前的持仓、账本与交易流水迁移至此）
+export const DEFAULT_PROFILE = "standard";
+
+/**
+ * 解析单个配置档（每次调用重新合并，环境变量覆盖后的基础参数同样生效）
+ * @param {string} name - 配置档名称（默认DEFAULT_PROFILE）
+ * @param {Object} config - 配置（默认CONFIG）
+ * @returns {Object} { name, label, tag, enabled, FISH_BOWL, POSITION, DEFENSIVE }
+ * @throws {Error} 配置档不存在
+ */
+export function resolveProfile(name = DEFAULT_PROFILE, config = CONFIG) {
+  const profile = config.STRATEGY_PROFILES?.[name];
+  if (!profile) {
+    throw new Error(`未知策略配置档：${name}（可用：${Object.keys(config.STRATEGY_PROFILES || {}).join("/")}）`);
+  }
+  return {
+    name,
+    label: profile.LABEL || name,
+    tag: profile.TAG || name,
+    enabled: profile.ENABLED !== false,
+    FISH_BOWL: { ...config.FISH_BOWL, ...profile.FISH_BOWL },
+    POSITION: { ...config.POSITION, ...profile.POSITION },
+    DEFENSIVE: { ...config.DEFENSIVE, ...profile.DEFENSIVE }
+  };
+}
+
+/**
+ * 获取本次需要执行的配置档
+ * @param {string} name - 指定配置档（省略时返回全部已启用的配置档；指定时不检查ENABLED）
+ * @param {Object} config - 配置（默认CONFIG）
+ * @returns {Array} resolveProfile的结果列表
+ */
+export function getActiveProfiles(name, config = CONFIG) {
+  if (name) return [resolveProfile(name, config)];
+  return Object.keys(config.STRATEGY_PROFILES || {})
+    .map(profileName => resolveProfile(profileName, config))
+    .filter(profile => profile.enabled);
+}
@@ -0,0 +1,90 @@
+// 市场状态判断（CONFIG.REGIME）：按基准指数ETF的均线位置与股票池市场宽度划分进攻/中性/防守
+// 策略据此限制新开仓与加仓的仓位（默认仅作用于激进型，弱市中行业ETF的假突破最多）
+import { CONFIG } from "./config.js";
+import { calculateMA } from "./indicator.js";
+import { fetchETFHistory } from "./dataFetcher.js";
+import { historyStore } from "./historyStore.js";
+
+// 市场状态标签 -> 中文名称（推送消息与看板展示）
+export const REGIME_LABELS = {
+  "risk-on": "进攻",
+  neutral: "中性",
+  "risk-off": "防守"
+};
+
+/**
+ * 判断市场状态
+ * 趋势：基准收盘价位于SHORT_MA与LONG_MA之上且短均线高于长均线记+1，位于两条均线之下记-1，其余记0
+ * 宽度：股票池中收盘价高于BREADTH_MA日均线的比例，不低于BREADTH_RISK_ON记+1，不高于BREADTH_RISK_OFF记-1
+ * 合计≥RISK_ON_SCORE为进攻（risk-on），≤RISK_OFF_SCORE为防守（risk-off），其余为中性；数据不足的一项记0
+ * 基准日线不足时benchmark.longMA为null（不在此处逐日告警，由调用方汇总提示）
+ * @param {Array} pool - ETF池
+ * @param {Object} history - 日线存储（historyStore.js，需包含基准ETF的日线）
+ * @param {Object} config - 配置（默认CONFIG）
+ * @returns {Object|null} { label, trend, breadth, benchmark: { code, close, shortMA, longMA } }，未启用时返回null
+ */
+export function classifyRegime(pool, history, config = CONFIG) {
+  const { REGIME } = config;
+  if (!REGIME.ENABLED) return null;
+
+  const closes = history.getBars(REGIME.BENCHMARK).map(bar => bar.close);
+  const shortMA = calculateMA(closes, REGIME.SHORT_MA);
+  const longMA = calculateMA(closes, REGIME.LONG_MA);
+  let trend = 0;
+  if (shortMA === null || longMA === null) {
+    // 日线不足，趋势项记为中性
+  } else if (closes[0] > shortMA && closes[0] > longMA && shortMA > longMA) {
+    trend = 1;
+  } else if (closes[0] < shortMA && closes[0] < longMA) {
+    trend = -1;
+  }
+
+  const measured = pool
+    .map(etf => {
+      const etfCloses = history.getBars(etf.code).map(bar => bar.close);
+      const ma = calculateMA(etfCloses, REGIME.BREADTH_MA);
+      return ma === null ? null : etfCloses[0] > ma;
+    })
+    .filter(above => above !== null);
+  const breadth = measured.length > 0 ? measured.filter(Boolean).length / measured.length : null;
+  let breadthScore = 0;
+  if (breadth !== null && breadth >= REGIME.BREADTH_RISK_ON) breadthScore = 1;
+  if (breadth !== null && breadth <= REGIME.BREADTH_RISK_OFF) breadthScore = -1;
+
+  const total = trend + breadthScore;
+  const label = total >= REGIME.RISK_ON_SCORE ? "risk-on" : total <= REGIME.RISK_OFF_SCORE ? "risk-off" : "neutral";
+  return {
+    label,
+    trend,
+    breadth,
+    benchmark: { code: REGIME.BENCHMARK, close: closes[0] ?? null, shortMA, longMA }
+  };
+}
+
+/**
+ * 资金桶在当前市场状态下的仓位系数（作用于新开仓与加仓，卖出不受影响）
+ * @param {Object|null} regime - classifyRegime的结果
+ * @param {string} type - 资金桶（稳健型/激进型）
+ * @param {Object} config - 配置（默认CONFIG）
+ * @returns {number} 0~1，0表示暂停买入
+ */
+export function getRegimeScale(regime, type, config = CONFIG) {
+  if (!regime || !config.REGIME.APPLY_TO.includes(type)) return 1;
+  return config.REGIME.SCALES[regime.label];
+}
+
+/**
+ * 刷新基准ETF的最近日线（基准不在股票池中时，实盘日线仅能通过K线接口获取；失败时沿用已存储日线）
+ * 调用前需已加载日线存储与数据源健康记录，调用后由调用方保存（见strategy.js的executeStrategy）
+ * @param {Array} pool - ETF池（基准在池中时由池内行情记录日线，无需请求）
+ */
+export async function refreshBenchmark(pool) {
+  const code = CONFIG.REGIME.BENCHMARK;
+  if (!CONFIG.REGIME.ENABLED || pool.some(etf => etf.code === code)) return;
+  try {
+    const bars = await fetchETFHistory(code, CONFIG.REGIME.LONG_MA + 5);
+    bars.forEach(bar => historyStore.record(code, bar));
+  } catch (e) {
+    console.warn(`【refreshBenchmark】基准${code}日线刷新失败：${e.message}，使用已存储日线`);
+  }
+}
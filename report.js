@@ -0,0 +1,117 @@
+// 鱼盆模型每日偏离度排名表（经典鱼盆表格：现价、MA20、偏离率、YES/NO状态、状态转变日期、当日涨幅）
+// 基于ETF池成员的日线历史计算，按偏离率降序排列，可推送企业微信或通过HTTP查询
+import { CONFIG } from "./config.js";
+import { calculateMA } from "./indicator.js";
+import { getCachedPool } from "./poolManager.js";
+import { historyStore, loadHistoryStore, saveHistoryStore, refreshLatestBars } from "./historyStore.js";
+import { loadSourceHealth, saveSourceHealth } from "./sourceHealth.js";
+
+/**
+ * 生成当前ETF池的偏离度排名（读取已缓存的股票池与持久化日线，不触发股票池更新）
+ * @param {Object} options - { refresh: 是否先拉取最新日线（收盘后推送需要，否则最新日线停留在14点策略运行时的盘中数据） }
+ * @returns {Promise<Object>} 排名报告 { date, period, rows }
+ */
+export async function generateDeviationReport({ refresh = false } = {}) {
+  const pool = await getCachedPool();
+  await loadHistoryStore();
+  if (refresh) {
+    await loadSourceHealth();
+    await refreshLatestBars(pool);
+    await saveHistoryStore();
+    await saveSourceHealth();
+  }
+  return buildDeviationReport(pool, historyStore);
+}
+
+/**
+ * 计算偏离度排名
+ * @param {Array} pool - ETF池
+ * @param {Object} history - 日线存储（historyStore.js）
+ * @param {number} period - 均线周期（默认CONFIG.FISH_BOWL.MA_PERIOD）
+ * @returns {Object} { date, period, rows: [{ rank, code, name, type, close, ma, deviation, status, lastChangeDate, dayChange, amplitude, intervalChange }] }
+ */
+export function buildDeviationReport(pool, history, period = CONFIG.FISH_BOWL.MA_PERIOD) {
+  const rows = [];
+  let date = null;
+
+  for (const etf of pool) {
+    const bars = history.getBars(etf.code);
+    const closes = bars.map(b => b.close);
+    const ma = calculateMA(closes, period);
+    if (!ma) {
+      console.warn(`【buildDeviationReport】${etf.name}(${etf.code})日线不足${period}天，跳过`);
+      continue;
+    }
+
+    const latest = bars[0];
+    const prevClose = bars[1]?.close;
+    const status = latest.close >= ma ? "YES" : "NO";
+    const change = findLastStatusChange(bars, period, status);
+    if (!date || latest.date > date) date = latest.date;
+
+    rows.push({
+      code: etf.code,
+      name: etf.name,
+      type: etf.type,
+      close: latest.close,
+      ma,
+      deviation: (latest.close - ma) / ma * 100,
+      status,
+      lastChangeDate: change.date,
+      dayChange: prevClose ? (latest.close - prevClose) / prevClose * 100 : null,
+      amplitude: prevClose && latest.high && latest.low ? (latest.high - latest.low) / prevClose * 100 : null,
+      intervalChange: change.close ? (latest.close - change.close) / change.close * 100 : null
+    });
+  }
+
+  rows.sort((a, b) => b.deviation - a.deviation);
+  rows.forEach((row, i) => { row.rank = i + 1; });
+  return { date, period, rows };
+}
+
+/**
+ * 向前回溯最近一次YES/NO状态转变（alerts.js首次跟踪某ETF时也用它推算当前状态已持续的天数）
+ * @param {Array} bars - 日线（最新在前）
+ * @param {number} period - 均线周期
+ * @param {string} status - 当前状态
+ * @returns {Object} { date: 状态转变当日, close: 转变前一日收盘价（用于区间涨幅）, days: 当前状态已持续的交易日数 }，
+ *   数据不足以确定时date为null，days为可回溯到的天数
+ */
+export function findLastStatusChange(bars, period, status) {
+  const closes = bars.map(b => b.close);
+  let i = 1;
+  for (; i < bars.length; i++) {
+    const ma = calculateMA(closes.slice(i), period);
+    if (!ma) break;
+    const pastStatus = closes[i] >= ma ? "YES" : "NO";
+    if (pastStatus !== status) {
+      return { date: bars[i - 1].date, close: closes[i], days: i };
+    }
+  }
+  return { date: null, close: null, days: i };
+}
+
+/**
+ * 格式化偏离度排名（企业微信单条消息与HTTP文本共用）
+ * @param {Object} report - buildDeviationReport返回结果
+ * @returns {string} 文本表格
+ */
+export function formatDeviationReport(report) {
+  const signed = v => (v === null ? "—" : `${v >= 0 ? "+" : ""}${v.toFixed(2)}%`);
+  const plain = v => (v === null ? "—" : `${v.toFixed(2)}%`);
+  const lines = [
+    `【鱼盆模型偏离度排名】${report.date || "无数据"}（MA${report.period}）`,
+    "排名 代码 名称 状态 现价/均线 偏离率 涨幅/振幅 状态转变(区间涨幅)"
+  ];
+  for (const row of report.rows) {
+    lines.push(
+      `${row.rank}. ${row.code} ${row.name} ${row.status} ` +
+      `${row.close.toFixed(3)}/${row.ma.toFixed(3)} ${signed(row.deviation)} ${signed(row.dayChange)}/${plain(row.amplitude)} ` +
+      `${row.lastChangeDate || "—"}(${signed(row.intervalChange)})`
+    );
+  }
+  if (report.rows.length === 0) {
+    lines.push("暂无满足均线计算条件的ETF");
+  }
+  return lines.join("\n");
+}
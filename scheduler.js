@@ -0,0 +1,201 @@
+// 定时任务注册表（Cloudflare scheduled事件按cron表达式映射到具名任务，见CONFIG.SCHEDULE.CRONS）
+// 每个任务按交易日期记录最近一次执行时间与结果；每次触发时顺带补跑错过的任务，同一交易日成功执行过的不再重复
+import { CONFIG } from "./config.js";
+import { getTradeDate } from "./historyStore.js";
+import { isTradingDay, isLastTradingDayOfWeek } from "./tradingCalendar.js";
+import { loadState, saveState, STORAGE_KEYS } from "./storage.js";
+
+const JOB_RUNS_SCHEMA_VERSION = 1; // 任务执行记录的schema版本
+
+/**
+ * 任务注册表：任务名 -> { label, runOn, lateCatchUp, run(deps) }
+ * run接收main.js导入的依赖对象，返回结果说明；推送类任务当日已推送时返回skipped结果，不视为失败
+ * runOn：执行日判断（默认isTradingDay，股票池任务为每周最后一个交易日），cron到期但不满足时视为未到期
+ * lateCatchUp：错过后可在之后的交易日补跑（股票池更新）；其余任务依赖当日行情，只在当日内补跑
+ */
+export const JOBS = {
+  checkAlerts: {
+    label: "检查均线状态变化",
+    async run(deps) {
+      const alerts = await deps.checkStatusAlerts();
+      return expectSent(await deps.pushStatusAlerts(alerts));
+    }
+  },
+  runStrategy: {
+    label: "执行策略",
+    async run(deps) {
+      const results = await deps.executeStrategy();
+      const pushResult = await deps.pushStrategyResults(results);
+      return `${expectSent(pushResult)}（${results.length}条建议）`;
+    }
+  },
+  dailyReport: {
+    label: "推送偏离度排名",
+    async run(deps) {
+      const report = await deps.generateDeviationReport({ refresh: true }); // 收盘后刷新当日日线
+      return expectSent(await deps.pushDeviationReport(report));
+    }
+  },
+  refreshPool: {
+    label: "更新股票池",
+    runOn: isLastTradingDayOfWeek,
+    lateCatchUp: true,
+    async run(deps) {
+      const pool = await deps.getPool(true);
+      return `股票池已更新（${pool.length}只）`;
+    }
+  },
+  pushPool: {
+    label: "推送股票池",
+    runOn: isLastTradingDayOfWeek,
+    lateCatchUp: true,
+    async run(deps) {
+      const pool = await deps.getPool();
+      return expectSent(await deps.pushPool(pool, deps.getPoolSkipped()));
+    }
+  }
+};
+
+/**
+ * 处理一次scheduled事件：按到期时间先后执行当前cron及此前错过的任务
+ * @param {string} cron - 触发的cron表达式（event.cron）
+ * @param {number} scheduledTime - 计划触发时间戳（event.scheduledTime）
+ * @param {Object} deps - main.js导入的依赖对象
+ * @returns {Promise<Array>} 执行记录列表
+ */
+export async function runScheduled(cron, scheduledTime, deps) {
+  if (!CONFIG.SCHEDULE.CRONS[cron]) {
+    console.warn(`【runScheduled】cron表达式"${cron}"未在CONFIG.SCHEDULE.CRONS中注册，仅检查补跑`);
+  }
+
+  // 收集每个cron最近一次到期时间（当前触发的cron即为本次），按时间先后执行
+  const today = getTradeDate(scheduledTime);
+  const due = [];
+  for (const [expr, names] of Object.entries(CONFIG.SCHEDULE.CRONS)) {
+    for (const name of names) {
+      const runOn = JOBS[name]?.runOn || isTradingDay;
+      const dueTime = getLatestDueTime(expr, scheduledTime, time => runOn(getTradeDate(time)));
+      if (dueTime === null) continue;
+      if (getTradeDate(dueTime) !== today && !JOBS[name]?.lateCatchUp) continue;
+      due.push({ name, dueTime, trigger: expr === cron && getTradeDate(dueTime) === today ? "cron" : "catch-up" });
+    }
+  }
+  due.sort((a, b) => a.dueTime - b.dueTime);
+
+  const records = [];
+  for (const { name, dueTime, trigger } of due) {
+    const record = await runJob(name, deps, { dueDate: getTradeDate(dueTime), trigger });
+    if (record) records.push(record);
+  }
+  return records;
+}
+
+/**
+ * 执行单个任务并记录结果
+ * @param {string} name - 任务名（JOBS中的键）
+ * @param {Object} deps - main.js导入的依赖对象
+ * @param {Object} options - { dueDate: 所属交易日期, trigger: cron/catch-up/manual, force: 忽略当日已执行的记录 }
+ * @returns {Promise<Object|null>} 执行记录（已执行过或正在执行时返回null）
+ */
+export async function runJob(name, deps, { dueDate = getTradeDate(), trigger = "manual", force = false } = {}) {
+  const job = JOBS[name];
+  if (!job) {
+    throw new Error(`未知任务：${name}（可用任务：${Object.keys(JOBS).join("/")}）`);
+  }
+
+  const runs = await getJobRuns();
+  const last = runs[name];
+  if (!force && last?.dueDate === dueDate) {
+    if (last.status === "success") return null;
+    if (last.status === "running" && Date.now() - last.startedAt < CONFIG.SCHEDULE.RUNNING_TIMEOUT) {
+      console.log(`【runJob】${job.label}（${dueDate}）正在执行中，跳过`);
+      return null;
+    }
+  }
+  if (trigger === "catch-up") {
+    console.log(`【runJob】补跑错过的任务：${job.label}（${dueDate}）`);
+  }
+
+  const startedAt = Date.now();
+  await saveJobRun(name, { dueDate, trigger, status: "running", startedAt, finishedAt: null, message: "" });
+
+  let record;
+  try {
+    const message = await job.run(deps);
+    record = { dueDate, trigger, status: "success", startedAt, finishedAt: Date.now(), message };
+    console.log(`【runJob】${job.label}（${dueDate}）完成：${message}`);
+  } catch (e) {
+    record = { dueDate, trigger, status: "failed", startedAt, finishedAt: Date.now(), message: e.message };
+    console.error(`【runJob】${job.label}（${dueDate}）失败：${e.message}`);
+  }
+  await saveJobRun(name, record);
+  return { name, ...record };
+}
+
+/**
+ * 读取所有任务的最近执行记录
+ * @returns {Promise<Object>} 任务名 -> { dueDate, trigger, status, startedAt, finishedAt, message }
+ */
+export async function getJobRuns() {
+  return loadState(STORAGE_KEYS.JOB_RUNS, {}, { version: JOB_RUNS_SCHEMA_VERSION });
+}
+
+async function saveJobRun(name, record) {
+  const runs = await getJobRuns();
+  runs[name] = record;
+  await saveState(STORAGE_KEYS.JOB_RUNS, runs, JOB_RUNS_SCHEMA_VERSION);
+}
+
+/**
+ * 计算cron表达式在指定时间之前（含）最近一次到期的时间
+ * 支持"分 时 日 月 周"五段格式，每段可为 *、数字、a-b区间、逗号列表（Cloudflare cron均为UTC）
+ * @param {string} expr - cron表达式
+ * @param {number} now - 基准时间戳
+ * @param {Function} accept - (time) => boolean，额外的到期条件（如交易日），不满足的时刻跳过
+ * @returns {number|null} 到期时间戳（14天内无到期时返回null）
+ */
+export function getLatestDueTime(expr, now, accept = () => true) {
+  const [minutes, hours, days, months, weekdays] = expr.trim().split(/\s+/).map((field, i) =>
+    parseCronField(field, [[0, 59], [0, 23], [1, 31], [1, 12], [0, 6]][i])
+  );
+  const base = new Date(now);
+
+  // 回溯14天，覆盖春节、国庆等长假前的最后一次到期
+  for (let offset = 0; offset <= 14; offset++) {
+    const day = new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate() - offset));
+    if (!days.has(day.getUTCDate()) || !months.has(day.getUTCMonth() + 1) || !weekdays.has(day.getUTCDay())) {
+      continue;
+    }
+    // 当日的到期时刻从晚到早检查，取第一个不晚于基准时间的
+    for (const hour of [...hours].sort((a, b) => b - a)) {
+      for (const minute of [...minutes].sort((a, b) => b - a)) {
+        const time = day.getTime() + (hour * 60 + minute) * 60000;
+        if (time <= now && accept(time)) return time;
+      }
+    }
+  }
+  return null;
+}
+
+function parseCronField(field, [min, max]) {
+  const values = new Set();
+  for (const part of field.split(",")) {
+    if (part === "*") {
+      for (let v = min; v <= max; v++) values.add(v);
+    } else if (part.includes("-")) {
+      const [from, to] = part.split("-").map(Number);
+      for (let v = from; v <= to; v++) values.add(v);
+    } else {
+      values.add(Number(part));
+    }
+  }
+  if (max === 6 && values.has(7)) values.add(0); // 周日可写作0或7
+  return values;
+}
+
+function expectSent(result) {
+  if (!result.success && !result.skipped) {
+    throw new Error(result.reason || "推送失败");
+  }
+  return result.reason;
+}
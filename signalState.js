@@ -0,0 +1,82 @@
+// 信号确认状态机（CONFIG.FISH_BOWL.CONFIRM_DAYS：信号需连续成立N个交易日才确认，过滤假突破，PDF1-55节）
+// 每只ETF独立跟踪：none → pending-buy(n天) → confirmed-buy，卖出同理；条件不再成立时撤销待确认信号
+import { CONFIG } from "./config.js";
+import { isBuySignal, isSellSignal } from "./indicator.js";
+
+export const SIGNAL_STATES = {
+  NONE: "none",
+  PENDING_BUY: "pending-buy",
+  CONFIRMED_BUY: "confirmed-buy",
+  PENDING_SELL: "pending-sell",
+  CONFIRMED_SELL: "confirmed-sell"
+};
+
+/**
+ * 创建空的信号状态表
+ * @returns {Object} code -> { state, days, since, lastDate, previous }
+ */
+export function createSignalStates() {
+  return {};
+}
+
+/**
+ * 按当日信号条件推进单只ETF的状态
+ * 同一交易日重复运行时基于前一交易日的状态重新计算，不会重复累加天数
+ * @param {Object} states - 信号状态表
+ * @param {string} code - ETF代码
+ * @param {Object|null} input - 信号输入（historyStore.getSignalInput）
+ * @param {string} date - 交易日期
+ * @param {Object} params - 策略参数（含FISH_BOWL/POSITION，默认CONFIG；确认天数取FISH_BOWL.CONFIRM_DAYS）
+ * @returns {Object} 推进后的状态
+ */
+export function advanceSignalState(states, code, input, date, params = CONFIG) {
+  const confirmDays = params.FISH_BOWL.CONFIRM_DAYS;
+  let entry = states[code] || createEntry();
+  if (entry.lastDate === date && entry.previous) {
+    entry = { ...entry.previous, previous: entry.previous };
+  }
+  const previous = { state: entry.state, days: entry.days, since: entry.since, lastDate: entry.lastDate };
+
+  const buy = isBuySignal(input, params);
+  const sell = !buy && isSellSignal(input, params);
+  const kind = buy ? "buy" : sell ? "sell" : null;
+
+  let next;
+  if (!kind) {
+    if (entry.state === SIGNAL_STATES.PENDING_BUY || entry.state === SIGNAL_STATES.PENDING_SELL) {
+      console.log(`【signalState】${code}待确认信号（${entry.state}，第${entry.days}天）条件失效，已撤销`);
+    }
+    next = createEntry();
+  } else {
+    const sameKind = entry.state.endsWith(kind);
+    const days = sameKind ? entry.days + 1 : 1;
+    const confirmed = days >= confirmDays;
+    next = {
+      state: kind === "buy"
+        ? (confirmed ? SIGNAL_STATES.CONFIRMED_BUY : SIGNAL_STATES.PENDING_BUY)
+        : (confirmed ? SIGNAL_STATES.CONFIRMED_SELL : SIGNAL_STATES.PENDING_SELL),
+      days,
+      since: sameKind ? entry.since : date
+    };
+  }
+
+  states[code] = { ...next, lastDate: date, previous };
+  return states[code];
+}
+
+/**
+ * 查询信号是否已确认
+ * @param {Object} states - 信号状态表
+ * @param {string} code - ETF代码
+ * @param {string} kind - "buy"或"sell"
+ * @returns {Object|null} 已确认时返回 { days, since }（days为信号连续成立的天数，即确认第几天），否则null
+ */
+export function getConfirmedSignal(states, code, kind) {
+  const entry = states[code];
+  const target = kind === "buy" ? SIGNAL_STATES.CONFIRMED_BUY : SIGNAL_STATES.CONFIRMED_SELL;
+  return entry && entry.state === target ? { days: entry.days, since: entry.since } : null;
+}
+
+function createEntry() {
+  return { state: SIGNAL_STATES.NONE, days: 0, since: null };
+}
@@ -0,0 +1,61 @@
+// 数据源健康度统计（ETF列表源与K线源每次请求的成败、最近错误、连续失败次数）
+// 与historyStore相同的用法：批量请求前load，请求时record，结束后save
+import { loadState, saveState, STORAGE_KEYS } from "./storage.js";
+
+const SOURCE_HEALTH_SCHEMA_VERSION = 1; // 数据源健康记录的schema版本
+
+// "类别:名称" -> { kind, name, successCount, failureCount, consecutiveFailures, lastSuccess, lastFailure, lastError }
+let health = {};
+
+/**
+ * 记录一次数据源请求结果
+ * @param {string} kind - 数据源类别（pool：ETF列表，kline：历史K线）
+ * @param {string} name - 数据源名称
+ * @param {boolean} ok - 是否成功
+ * @param {string} error - 失败原因（成功时省略）
+ */
+export function recordSourceResult(kind, name, ok, error = "") {
+  const key = `${kind}:${name}`;
+  const entry = health[key] || (health[key] = {
+    kind, name, successCount: 0, failureCount: 0, consecutiveFailures: 0,
+    lastSuccess: null, lastFailure: null, lastError: null
+  });
+  if (ok) {
+    entry.successCount++;
+    entry.consecutiveFailures = 0;
+    entry.lastSuccess = Date.now();
+  } else {
+    entry.failureCount++;
+    entry.consecutiveFailures++;
+    entry.lastFailure = Date.now();
+    entry.lastError = error;
+  }
+}
+
+/**
+ * 从持久化存储恢复健康记录
+ */
+export async function loadSourceHealth() {
+  health = await loadState(STORAGE_KEYS.SOURCE_HEALTH, {}, { version: SOURCE_HEALTH_SCHEMA_VERSION });
+}
+
+/**
+ * 将健康记录写入持久化存储
+ */
+export async function saveSourceHealth() {
+  await saveState(STORAGE_KEYS.SOURCE_HEALTH, health, SOURCE_HEALTH_SCHEMA_VERSION);
+}
+
+/**
+ * 获取各数据源健康状态（读取持久化记录）
+ * @returns {Promise<Array>} [{ kind, name, status: healthy/degraded/down/unknown, ... }]
+ */
+export async function getSourceHealth() {
+  await loadSourceHealth();
+  return Object.values(health).map(entry => ({
+    ...entry,
+    status: entry.consecutiveFailures === 0
+      ? (entry.successCount > 0 ? "healthy" : "unknown")
+      : entry.consecutiveFailures >= 3 ? "down" : "degraded"
+  }));
+}
@@ -0,0 +1,181 @@
+// 持久化存储抽象（持仓、交易流水、ETF池、推送状态等跨请求状态统一经此读写）
+// Worker环境使用Cloudflare KV，本地运行使用内存或JSON文件，所有记录带schema版本号便于后续迁移
+import { CONFIG } from "./config.js";
+
+// 存储键名（集中定义，避免各模块拼写不一致）
+export const STORAGE_KEYS = {
+  HOLDINGS: "holdings",             // strategy.js 持仓状态
+  LEDGERS: "ledgers",               // ledger.js 各资金桶模拟账本
+  SIGNAL_STATES: "signal-states",   // signalState.js 各ETF信号确认状态
+  STRATEGY_RUNS: "strategy-runs",   // strategy.js 各配置档最近一次执行的交易日期与建议
+  ALERT_STATES: "alert-states",     // alerts.js 各ETF均线上方/下方状态
+  PRICE_HISTORY: "price-history",   // historyStore.js 各ETF日线
+  TRADE_HISTORY: "trade-history",   // testUtils.js 交易流水索引（各月流水存于trade-history:YYYY-MM）
+  POOL: "etf-pool",                 // poolManager.js ETF池及更新时间
+  DAILY_STATUS: "daily-status",     // messageSender.js 每日推送状态
+  JOB_RUNS: "job-runs",             // scheduler.js 各定时任务最近执行记录
+  AUDIT_LOG: "audit-log",           // auth.js 接口访问审计日志
+  SOURCE_HEALTH: "source-health"    // sourceHealth.js 各数据源请求成败统计
+};
+
+/**
+ * 创建Cloudflare KV存储（值以JSON字符串保存）
+ * @param {Object} namespace - wrangler.toml中绑定的KV命名空间
+ * @returns {Object} 存储对象 {get, put, delete}
+ */
+export function createKVStorage(namespace) {
+  return {
+    name: "kv",
+    async get(key) {
+      const text = await namespace.get(key);
+      return text ? JSON.parse(text) : null;
+    },
+    async put(key, value) {
+      await namespace.put(key, JSON.stringify(value));
+    },
+    async delete(key) {
+      await namespace.delete(key);
+    }
+  };
+}
+
+/**
+ * 创建内存存储（本地调试或未绑定KV时使用，随进程/isolate回收而丢失）
+ * @returns {Object} 存储对象 {get, put, delete}
+ */
+export function createMemoryStorage() {
+  const data = new Map();
+  return {
+    name: "memory",
+    async get(key) {
+      // 存取均做深拷贝，与KV的序列化语义保持一致
+      return data.has(key) ? JSON.parse(data.get(key)) : null;
+    },
+    async put(key, value) {
+      data.set(key, JSON.stringify(value));
+    },
+    async delete(key) {
+      data.delete(key);
+    }
+  };
+}
+
+/**
+ * 创建JSON文件存储（本地长期运行使用，所有键保存在同一个文件中）
+ * @param {string} filePath - JSON文件路径
+ * @returns {Object} 存储对象 {get, put, delete}
+ */
+export function createFileStorage(filePath) {
+  // 按需加载fs，避免Worker打包时引入Node内置模块
+  const readAll = async () => {
+    const { readFile } = await import("fs/promises");
+    try {
+      return JSON.parse(await readFile(filePath, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return {};
+      throw new Error(`存储文件读取失败（${filePath}）：${e.message}`);
+    }
+  };
+  const writeAll = async all => {
+    const { writeFile } = await import("fs/promises");
+    await writeFile(filePath, JSON.stringify(all, null, 2), "utf8");
+  };
+
+  return {
+    name: "file",
+    async get(key) {
+      const all = await readAll();
+      return all[key] ?? null;
+    },
+    async put(key, value) {
+      const all = await readAll();
+      all[key] = value;
+      await writeAll(all);
+    },
+    async delete(key) {
+      const all = await readAll();
+      delete all[key];
+      await writeAll(all);
+    }
+  };
+}
+
+// 当前生效的存储（默认内存，入口处调用initStorage切换）
+let activeStorage = createMemoryStorage();
+
+/**
+ * 根据运行环境选择存储实现
+ * 优先级：KV绑定（CONFIG.STORAGE.KV_BINDING）> 本地文件（STORAGE_FILE）> 内存
+ * @param {Object} env - Worker环境变量（本地运行可传process.env）
+ * @returns {Object} 生效的存储对象
+ */
+export function initStorage(env = {}) {
+  const namespace = env[CONFIG.STORAGE.KV_BINDING];
+  if (namespace) {
+    activeStorage = createKVStorage(namespace);
+  } else if (env.STORAGE_FILE) {
+    activeStorage = createFileStorage(env.STORAGE_FILE);
+  } else if (activeStorage.name !== "memory") {
+    activeStorage = createMemoryStorage();
+  }
+  return activeStorage;
+}
+
+/**
+ * 获取当前存储（供需要直接读写的模块使用）
+ * @returns {Object} 存储对象
+ */
+export function getStorage() {
+  return activeStorage;
+}
+
+/**
+ * 读取带版本号的状态
+ * 存储格式：{ version, savedAt, data }；版本落后时依次调用migrate升级，无法迁移则返回默认值
+ * @param {string} key - 存储键名
+ * @param {*} defaultValue - 无记录或无法迁移时的默认值
+ * @param {Object} options - { version: 当前schema版本, migrate: (data, fromVersion) => 升级一个版本后的data }
+ * @returns {Promise<*>} 状态数据
+ */
+export async function loadState(key, defaultValue, { version = 1, migrate } = {}) {
+  let record;
+  try {
+    record = await activeStorage.get(key);
+  } catch (e) {
+    console.error(`【storage】读取${key}失败：${e.message}，使用默认值`);
+    return defaultValue;
+  }
+  if (!record || record.data === undefined) return defaultValue;
+
+  let { data } = record;
+  let storedVersion = record.version || 0;
+
+  if (storedVersion > version) {
+    console.warn(`【storage】${key}的schema版本(${storedVersion})高于当前代码(${version})，使用默认值`);
+    return defaultValue;
+  }
+  while (storedVersion < version) {
+    if (typeof migrate !== "function") {
+      console.warn(`【storage】${key}的schema版本(${storedVersion})已过期且无迁移函数，使用默认值`);
+      return defaultValue;
+    }
+    data = migrate(data, storedVersion);
+    storedVersion++;
+    console.log(`【storage】${key}已迁移至schema版本${storedVersion}`);
+  }
+  return data;
+}
+
+/**
+ * 写入带版本号的状态
+ * @param {string} key - 存储键名
+ * @param {*} data - 状态数据（需可JSON序列化）
+ * @param {number} version - schema版本
+ */
+export async function saveState(key, data, version = 1) {
+  try {
+    await activeStorage.put(key, { version, savedAt: Date.now(), data });
+  } catch (e) {
+    console.error(`【storage】写入${key}失败：${e.message}`);
+  }
+}
@@ -1,36 +1,120 @@
 import { CONFIG } from "./config.js";
 import { getPool } from "./poolManager.js";
-import { calculateMA, isBuySignal, isAddSignal, isSellSignal } from "./indicator.js";
-import { recordTrade } from "./testUtils.js";
+import { calculateMA, calculateATR, isAddSignal, isBuySignal, isSellSignal } from "./indicator.js";
+import { recordTrade, loadTradeHistory, saveTradeHistory } from "./testUtils.js";
+import { historyStore, getTradeDate, barFromQuote, loadHistoryStore, saveHistoryStore, refreshLatestBars } from "./historyStore.js";
+import { loadSourceHealth, saveSourceHealth } from "./sourceHealth.js";
+import { loadState, saveState, STORAGE_KEYS } from "./storage.js";
+import { createLedgers, applyFill, markToMarket, getAverageCost } from "./ledger.js";
+import { estimateTrade, maxAffordableShares } from "./costModel.js";
+import { createSignalStates, advanceSignalState, getConfirmedSignal } from "./signalState.js";
+import { isTradingDay } from "./tradingCalendar.js";
+import { DEFAULT_PROFILE, resolveProfile, getActiveProfiles } from "./profiles.js";
+import { classifyRegime, getRegimeScale, refreshBenchmark, REGIME_LABELS } from "./regime.js";
+import { isDefensiveCode, rankDefensiveETFs, refreshDefensiveBars } from "./defensive.js";
 
-let holdings = {
-  稳健型: {
-    position: null,
-    priceHistory: [],
-    volumeHistory: [],
-    buySteps: 0,
-    totalShares: 0
-  },
-  激进型: {
+const HOLDINGS_SCHEMA_VERSION = 4; // 持仓状态的schema版本（结构变化时递增并提供迁移；v2按策略配置档划分，v3新增金字塔分层与最高价，v4每个资金桶可持有多只ETF）
+const LEDGERS_SCHEMA_VERSION = 3;  // 模拟账本的schema版本（v2新增累计费用与滑点，v3按策略配置档划分）
+const SIGNAL_STATES_SCHEMA_VERSION = 2; // 信号确认状态的schema版本（v2按策略配置档划分）
+const STRATEGY_RUNS_SCHEMA_VERSION = 1; // 执行记录的schema版本
+
+// 退出规则名称（写入卖出建议的exitRule字段）
+export const EXIT_RULES = {
+  SIGNAL: "均线止损",
+  TRAILING_STOP: "移动止损",
+  TIME_STOP: "时间止损",
+  TAKE_PROFIT: "分批止盈",
+  ROTATION: "调仓换出",
+  DEFENSIVE_RELEASE: "防守释放",
+  DEFENSIVE_TREND: "防守轮换"
+};
+
+// 以下状态均按策略配置档名称划分：profile -> 持仓/账本/信号状态
+let holdings = {};
+let ledgers = {};
+let signalStates = {};
+// profile -> { date, suggestions }：同一交易日重复执行（推送失败后的补跑）时沿用已记录的建议，避免重复记账
+let strategyRuns = {};
+
+/**
+ * 创建空持仓状态（实盘与回测共用同一结构）
+ * @returns {Object} 按持仓类型划分的持仓列表（每个资金桶最多POSITION.MAX_HOLDINGS只ETF）
+ */
+export function createHoldings() {
+  return {
+    稳健型: [],
+    激进型: []
+  };
+}
+
+function createHolding() {
+  return {
     position: null,
-    priceHistory: [],
-    volumeHistory: [],
     buySteps: 0,
-    totalShares: 0
-  }
-};
+    totalShares: 0,
+    layers: [],         // 每层金字塔仓位的份额（首仓在前，分批止盈从最后一层卖出）
+    highestClose: null, // 持仓以来的最高收盘价
+    highDate: null,     // 最高收盘价出现的交易日
+    takeProfits: 0      // 已执行的分批止盈次数
+  };
+}
 
-export async function executeStrategy() {
+/**
+ * 执行每日策略（全部已启用的配置档共用同一份ETF池与日线，各自独立判断与记账）
+ * @param {string} profileName - 仅执行指定配置档（省略时执行CONFIG.STRATEGY_PROFILES中全部已启用的配置档）
+ * @returns {Promise<Array>} 操作建议列表（每条附带profile与tag）
+ * @throws {Error} 指定的配置档不存在
+ */
+export async function executeStrategy(profileName) {
+  const profiles = getActiveProfiles(profileName);
   try {
+    // 休市日行情为上一交易日的旧价，写入日线会生成不存在的K线并触发错误信号
+    const date = getTradeDate();
+    if (!isTradingDay(date)) {
+      console.log(`【executeStrategy】${date}为非交易日，跳过策略执行`);
+      return [];
+    }
+
     const pool = await getPool();
     if (pool.length === 0) {
       throw new Error("股票池为空，无法执行策略");
     }
     
+    await loadStrategyState();
+    if (profiles.every(profile => strategyRuns[profile.name]?.date === date)) {
+      console.log(`【executeStrategy】${date}已执行过策略，沿用已记录的建议，不重复记账`);
+      return profiles.flatMap(profile => strategyRuns[profile.name].suggestions);
+    }
+    // 池内、基准与防守ETF的K线刷新共用一次数据源健康记录的加载与保存
+    await loadSourceHealth();
+    const livePool = await refreshPoolBars(pool, date);
+    await refreshBenchmark(pool);
+    await refreshDefensiveBars(profiles);
+    await saveSourceHealth();
     const suggestions = [];
-    
-    suggestions.push(...handleType("稳健型", pool.filter(e => e.type === "宽基")));
-    suggestions.push(...handleType("激进型", pool.filter(e => e.type === "行业")));
+    for (const profile of profiles) {
+      ensureProfileState(profile.name);
+      const lastRun = strategyRuns[profile.name];
+      if (lastRun?.date === date) {
+        console.log(`【executeStrategy】${profile.label}已于${date}执行，沿用已记录的${lastRun.suggestions.length}条建议`);
+        suggestions.push(...lastRun.suggestions);
+        continue;
+      }
+      const profileSuggestions = runStrategyOnPool(livePool, {
+        profile,
+        holdings: holdings[profile.name],
+        ledgers: ledgers[profile.name],
+        signalStates: signalStates[profile.name],
+        history: historyStore,
+        date,
+        recordTrade
+      });
+      console.log(`【executeStrategy】${profile.label}生成${profileSuggestions.length}条建议`);
+      strategyRuns[profile.name] = { date, suggestions: profileSuggestions };
+      suggestions.push(...profileSuggestions);
+    }
+    logRegime(classifyRegime(livePool, historyStore));
+    await saveStrategyState();
     
     return suggestions;
   } catch (e) {
@@ -39,203 +123,810 @@ export async function executeStrategy() {
   }
 }
 
-function handleType(type, candidates) {
+/**
+ * 刷新池内及持仓ETF的最近K线，返回附带当日日线的ETF池副本
+ * 股票池行情是每周更新时的快照，直接记为当日日线会写入旧收盘价且缺少开高低（ATR无法计算）
+ * @param {Array} pool - ETF池
+ * @param {string} date - 交易日期
+ * @returns {Promise<Array>} 已获取当日K线的ETF附带bar并以其收盘价为price；未获取到的标记stale，不记录当日日线
+ */
+async function refreshPoolBars(pool, date) {
+  const poolCodes = new Set(pool.map(etf => etf.code));
+  const held = Object.values(holdings)
+    .flatMap(byType => Object.values(byType).flat())
+    .map(holding => holding.position)
+    .filter(position => !poolCodes.has(position.code));
+  await refreshLatestBars([...pool, ...held]);
+
+  return pool.map(etf => {
+    const bar = historyStore.getLatestBar(etf.code);
+    if (bar?.date === date) return { ...etf, price: bar.close, bar };
+    console.warn(`【refreshPoolBars】${etf.name}(${etf.code})未获取到${date}的K线，沿用已存储日线`);
+    return { ...etf, price: bar?.close ?? etf.price, stale: true };
+  });
+}
+
+/**
+ * 输出本次运行的市场状态（每次运行一条，基准日线不足时提示趋势项按中性处理）
+ * @param {Object|null} regime - classifyRegime的结果（未启用时为null）
+ */
+function logRegime(regime) {
+  if (!regime) return;
+  if (regime.benchmark.longMA === null) {
+    console.warn(`【executeStrategy】基准${regime.benchmark.code}日线不足${CONFIG.REGIME.LONG_MA}根，趋势项记为中性`);
+  }
+  const breadth = regime.breadth === null ? "—" : `${(regime.breadth * 100).toFixed(0)}%`;
+  console.log(`【executeStrategy】市场状态：${REGIME_LABELS[regime.label]}（趋势${regime.trend}，宽度${breadth}）`);
+}
+
+/**
+ * 对一份ETF池执行一次策略判断（实盘每日14点调用一次，回测按交易日逐日调用）
+ * @param {Array} pool - ETF池（按评分降序，含type/price/volume；可选bar为当日完整日线，stale为true时不记录当日日线）
+ * @param {Object} context - 执行上下文
+ * @param {Object} context.profile - 策略配置档（profiles.js resolveProfile的结果，省略时使用默认配置档）
+ * @param {Object} context.holdings - 持仓状态（createHoldings返回的结构）
+ * @param {Object} context.ledgers - 各资金桶账本（ledger.js createLedgers返回的结构）
+ * @param {Object} context.signalStates - 各ETF信号确认状态（signalState.js）
+ * @param {Object} context.history - 日线存储（historyStore.js）
+ * @param {string} context.date - 交易日期（YYYY-MM-DD，同日重复运行覆盖当日K线）
+ * @param {Function} context.recordTrade - 成交记录回调 (trade, ledger) => void，需将成交写入账本
+ * @returns {Array} 操作建议列表（每条附带profile、tag与市场状态regime）
+ */
+export function runStrategyOnPool(pool, context) {
+  if (!context.profile) {
+    context = { ...context, profile: resolveProfile(DEFAULT_PROFILE) };
+  }
+  const suggestions = [];
+  
+  // 记录池内ETF的当日K线（每只ETF独立序列；实盘与回测均携带完整日线，未获取到当日K线的ETF不记录）
+  for (const etf of pool) {
+    if (etf.stale) continue;
+    context.history.record(etf.code, etf.bar || barFromQuote(etf, context.date));
+  }
+  
+  // 推进池内及持仓ETF的信号确认状态（需连续CONFIRM_DAYS天成立才确认）
+  // 最新日线不是当日的ETF（K线刷新失败、停牌）保持原状态，否则同一根旧K线会被重复计为确认日
+  const trackedCodes = new Set(pool.map(etf => etf.code));
+  Object.values(context.holdings).flat().forEach(h => trackedCodes.add(h.position.code));
+  for (const code of trackedCodes) {
+    if (context.history.getLatestBar(code)?.date !== context.date) {
+      console.log(`【runStrategyOnPool】${code}缺少${context.date}日线，信号确认状态保持不变`);
+      continue;
+    }
+    advanceSignalState(context.signalStates, code, context.history.getSignalInput(code), context.date, context.profile);
+  }
+  
+  // 市场状态（基准日线需已记录在context.history中）
+  const regime = classifyRegime(pool, context.history);
+  context = { ...context, regime };
+  
+  suggestions.push(...handleType("稳健型", pool.filter(e => e.type === "宽基"), context));
+  suggestions.push(...handleDefensive("稳健型", context));
+  suggestions.push(...handleType("激进型", pool.filter(e => e.type === "行业"), context));
+  suggestions.push(...handleDefensive("激进型", context));
+  
+  // 标注配置档（推送消息按tag区分）与市场状态
+  return suggestions.map(s => ({ ...s, profile: context.profile.name, tag: context.profile.tag, regime: regime?.label ?? null }));
+}
+
+/**
+ * 处理单个资金桶：逐只持仓依次检查退出规则（清仓类优先于分批止盈）与加仓，
+ * 再按评分从高到低为已确认买入信号的候选分配空余仓位；仓位已满时，评分高出最弱持仓ROTATION_SCORE_GAP的候选触发调仓（换入可买进一手时才卖出最弱持仓）
+ * 市场状态为防守（仓位系数为0）时暂停该资金桶的加仓、建仓与调仓，退出规则照常执行
+ * @param {string} type - 资金桶（稳健型/激进型）
+ * @param {Array} candidates - 该资金桶的候选ETF（按评分降序）
+ * @param {Object} context - 执行上下文
+ * @returns {Array} 操作建议列表
+ */
+function handleType(type, candidates, context) {
   const suggestions = [];
-  const holding = holdings[type];
-  if (candidates.length === 0) {
+  const slots = context.holdings[type];
+  const { POSITION } = context.profile;
+  if (candidates.length === 0 && slots.length === 0) {
     console.warn(`【${type}】候选ETF为空，跳过处理`);
     return suggestions;
   }
-  const bestCandidate = candidates[0];
   
-  updateHistory(holding, bestCandidate);
+  // 情况1：已有持仓，检查退出规则与加仓
+  const soldCodes = new Set();
+  const replaced = []; // 当日清仓的ETF名称（空出的仓位由新候选换入）
+  for (const holding of [...slots]) {
+    // 持仓ETF读取其自身的日线（可能已不在当前池中，此时使用最近一次记录的K线）
+    const heldInput = context.history.getSignalInput(holding.position.code);
+    if (!heldInput) {
+      console.warn(`【${type}】持仓${holding.position.code}无日线记录，跳过处理`);
+      continue;
+    }
+    updateHighWaterMark(holding, heldInput.price, context.date);
+    
+    const exit = checkExitRules(type, holding, heldInput.price, context);
+    if (exit) {
+      sellHolding(type, holding, exit, heldInput.price, context, suggestions);
+      if (exit.full) {
+        soldCodes.add(holding.position.code);
+        replaced.push(holding.position.name);
+      }
+      continue;
+    }
+    addToHolding(type, holding, heldInput, context, suggestions);
+  }
   
-  // 情况1：无持仓，且出现买入信号
-  if (!holding.position && isBuySignal({
-    price: bestCandidate.price,
-    volume: bestCandidate.volume,
-    priceHistory: holding.priceHistory,
-    volumeHistory: holding.volumeHistory
-  })) {
-    const initialRatio = CONFIG.POSITION.INITIAL_RATIO;
-    const shares = calculateShares(type, initialRatio, bestCandidate.price);
+  // 情况2：空余仓位按评分从高到低买入已确认买入信号的候选（当日清仓的ETF不再买回）
+  const heldCodes = new Set(slots.map(h => h.position.code));
+  const strength = scoreCandidates(candidates);
+  for (const candidate of candidates) {
+    if (heldCodes.has(candidate.code) || soldCodes.has(candidate.code)) continue;
+    // 仅使用已确认的买入信号（待确认信号不生成建议）
+    const buyConfirm = getConfirmedSignal(context.signalStates, candidate.code, "buy");
+    if (!buyConfirm) continue;
+    if (isBuyPaused(type, candidate.code, context)) break;
     
-    const buyInfo = {
-      type,
-      operation: "买入",
-      code: bestCandidate.code,
-      name: bestCandidate.name,
-      price: bestCandidate.price,
-      shares,
-      amount: (shares * bestCandidate.price).toFixed(2),
-      reason: "突破20日均线，符合鱼盆模型买入信号（PDF1-53节）"
-    };
-    suggestions.push(buyInfo);
-    recordTrade({
-      type: buyInfo.type,
-      operation: buyInfo.operation,
-      code: buyInfo.code,
-      amount: buyInfo.amount
-    });
+    if (slots.length < POSITION.MAX_HOLDINGS) {
+      const former = replaced.shift();
+      const opened = former
+        ? openPosition(type, candidate, buyConfirm, `替换${former}，触发调仓买入`, "PDF1-148节", context, suggestions)
+        : openPosition(type, candidate, buyConfirm, "符合鱼盆模型买入信号", "PDF1-53节", context, suggestions);
+      if (opened) heldCodes.add(candidate.code);
+      continue;
+    }
     
-    holding.position = { ...bestCandidate };
-    holding.buySteps = 1;
-    holding.totalShares = shares;
+    // 情况3：仓位已满，新候选评分明显高于最弱持仓时调仓（候选按评分降序，后续候选更弱，每日每桶最多调仓一次）
+    const weakest = slots.reduce((min, h) => (strength(h.position.code) < strength(min.position.code) ? h : min));
+    const gap = strength(candidate.code) - strength(weakest.position.code);
+    if (gap >= POSITION.ROTATION_SCORE_GAP) {
+      const heldInput = context.history.getSignalInput(weakest.position.code);
+      if (heldInput && previewRotationShares(type, weakest, heldInput.price, candidate, context) === 0) {
+        console.warn(`【${type}】卖出${weakest.position.code}后仍买不进一手${candidate.code}（现金、仓位上限或ATR止损距离限制），放弃调仓`);
+      } else if (heldInput) {
+        const weakScore = Number.isFinite(strength(weakest.position.code)) ? `评分${strength(weakest.position.code)}` : "已调出股票池";
+        sellHolding(type, weakest, {
+          rule: EXIT_RULES.ROTATION,
+          full: true,
+          reason: `${candidate.name}评分${strength(candidate.code)}高于最弱持仓（${weakScore}），腾出仓位`
+        }, heldInput.price, context, suggestions);
+        openPosition(type, candidate, buyConfirm, `替换${weakest.position.name}，触发调仓买入`, "PDF1-148节", context, suggestions);
+      }
+    }
+    break;
   }
   
-  // 情况2：已有持仓，且满足加仓条件
-  else if (holding.position && holding.buySteps > 0 && 
-           holding.buySteps <= CONFIG.POSITION.ADD_STEPS.length) {
-    const currentStep = holding.buySteps - 1;
-    
-    if (isAddSignal({
-      price: bestCandidate.price,
-      volume: bestCandidate.volume,
-      priceHistory: holding.priceHistory,
-      volumeHistory: holding.volumeHistory
-    }, currentStep)) {
-      const addRatio = CONFIG.POSITION.ADD_STEPS[currentStep];
-      const shares = calculateShares(type, addRatio, bestCandidate.price);
-      
-      const addInfo = {
-        type,
-        operation: "加仓",
-        code: bestCandidate.code,
-        name: bestCandidate.name,
-        price: bestCandidate.price,
-        shares,
-        amount: (shares * bestCandidate.price).toFixed(2),
-        reason: `回调至${CONFIG.POSITION.RETRACE_LEVELS[currentStep]}日均线缩量，符合加仓条件（PDF1-78节）`
-      };
-      suggestions.push(addInfo);
-      recordTrade({
-        type: addInfo.type,
-        operation: addInfo.operation,
-        code: addInfo.code,
-        amount: addInfo.amount
-      });
-      
-      holding.buySteps += 1;
-      holding.totalShares += shares;
+  return suggestions;
+}
+
+/**
+ * 调仓预演：在账本副本上卖出最弱持仓后按建仓规则计算新候选的份额（调仓先卖后买，买不进时不应卖出）
+ * @param {string} type - 资金桶
+ * @param {Object} weakest - 将被换出的持仓
+ * @param {number} price - 换出持仓的当日收盘价
+ * @param {Object} candidate - 换入的候选ETF
+ * @param {Object} context - 执行上下文
+ * @returns {number} 换入候选可买份额（0表示不足一手）
+ */
+function previewRotationShares(type, weakest, price, candidate, context) {
+  const ledger = structuredClone(context.ledgers[type]);
+  const shares = weakest.totalShares;
+  applyFill(ledger, { date: context.date, operation: "卖出", code: weakest.position.code, shares, price, ...priceTrade("卖出", price, shares) });
+  const preview = { ...context, ledgers: { ...context.ledgers, [type]: ledger } };
+  return calculateShares(type, 0, candidate.price, preview, candidate.code).shares;
+}
+
+/**
+ * 市场状态仓位系数为0时暂停买入（建仓、加仓与调仓），退出规则不受影响
+ * @param {string} type - 资金桶
+ * @param {string} code - 出现买入/加仓信号的ETF代码
+ * @param {Object} context - 执行上下文
+ * @returns {boolean} 是否暂停
+ */
+function isBuyPaused(type, code, context) {
+  if (getRegimeScale(context.regime, type) > 0) return false;
+  console.log(`【${type}】市场状态为${REGIME_LABELS[context.regime.label]}，暂停买入${code}`);
+  return true;
+}
+
+/**
+ * 候选强弱：池内评分（无评分时按候选排名折算，排名越前越强）；不在候选中的持仓视为最弱
+ * @param {Array} candidates - 候选ETF（按评分降序）
+ * @returns {Function} code => 强弱值
+ */
+function scoreCandidates(candidates) {
+  const scores = new Map(candidates.map((etf, index) => [etf.code, etf.score ?? candidates.length - index]));
+  return code => (scores.has(code) ? scores.get(code) : -Infinity);
+}
+
+/**
+ * 卖出持仓（清仓或卖出最近一层金字塔仓位），生成卖出建议并更新持仓列表
+ * @param {string} type - 资金桶
+ * @param {Object} holding - 持仓状态
+ * @param {Object} exit - 退出规则 { rule, full, shares?, confirm?, reason }
+ * @param {number} price - 当日收盘价
+ * @param {Object} context - 执行上下文
+ * @param {Array} suggestions - 建议列表（追加）
+ */
+function sellHolding(type, holding, exit, price, context, suggestions) {
+  const shares = exit.full ? holding.totalShares : exit.shares;
+  const sellInfo = {
+    type,
+    operation: "卖出",
+    code: holding.position.code,
+    name: holding.position.name,
+    price,
+    shares,
+    ...priceTrade("卖出", price, shares),
+    ...(exit.confirm ? confirmInfo(exit.confirm) : {}),
+    exitRule: exit.rule,
+    partial: !exit.full,
+    reason: `${exit.rule}：${exit.reason}`
+  };
+  suggestions.push(sellInfo);
+  commitTrade(context, sellInfo);
+  
+  if (exit.full) {
+    const slots = context.holdings[type];
+    slots.splice(slots.indexOf(holding), 1);
+    return;
+  }
+  holding.totalShares -= shares;
+  holding.layers.pop();
+  holding.buySteps = holding.layers.length; // 卖出的一层对应的加仓档位可在后续回调时重新加仓
+  holding.takeProfits += 1;
+}
+
+/**
+ * 金字塔加仓（回调至RETRACE_LEVELS均线缩量时，最多ADD_STEPS.length次）
+ * @param {string} type - 资金桶
+ * @param {Object} holding - 持仓状态
+ * @param {Object} heldInput - 持仓ETF的信号输入
+ * @param {Object} context - 执行上下文
+ * @param {Array} suggestions - 建议列表（追加）
+ */
+function addToHolding(type, holding, heldInput, context, suggestions) {
+  const { POSITION } = context.profile;
+  if (holding.buySteps === 0 || holding.buySteps > POSITION.ADD_STEPS.length) return;
+  const currentStep = holding.buySteps - 1;
+  if (!isAddSignal(heldInput, currentStep, context.profile)) return;
+  if (isBuyPaused(type, holding.position.code, context)) return;
+  
+  const sizing = calculateShares(type, holding.buySteps, heldInput.price, context, holding.position.code);
+  const { shares } = sizing;
+  if (shares === 0) {
+    console.warn(`【${type}】可用现金不足一手或已达仓位上限，放弃加仓${holding.position.code}`);
+    return;
+  }
+  
+  const addInfo = {
+    type,
+    operation: "加仓",
+    code: holding.position.code,
+    name: holding.position.name,
+    price: heldInput.price,
+    shares,
+    ...priceTrade("加仓", heldInput.price, shares),
+    ...riskInfo(sizing),
+    reason: `回调至${POSITION.RETRACE_LEVELS[currentStep]}日均线缩量，符合加仓条件（PDF1-78节）`
+  };
+  suggestions.push(addInfo);
+  commitTrade(context, addInfo);
+  
+  holding.buySteps += 1;
+  holding.totalShares += shares;
+  holding.layers.push(shares);
+}
+
+/**
+ * 建仓（首仓按INITIAL_RATIO÷MAX_HOLDINGS），生成买入建议并加入持仓列表；资金桶有防守仓位时先卖出释放现金
+ * @param {string} type - 资金桶
+ * @param {Object} candidate - 买入的ETF
+ * @param {Object} confirm - 买入信号确认信息
+ * @param {string} basis - 建议依据
+ * @param {string} reference - 依据出处（PDF章节）
+ * @param {Object} context - 执行上下文
+ * @param {Array} suggestions - 建议列表（追加）
+ * @returns {boolean} 是否成功建仓（现金不足一手时为false）
+ */
+function openPosition(type, candidate, confirm, basis, reference, context, suggestions) {
+  const { FISH_BOWL } = context.profile;
+  for (const code of parkedCodes(context.ledgers[type], context.profile)) {
+    sellDefensive(type, code, EXIT_RULES.DEFENSIVE_RELEASE, `${candidate.name}出现买入信号，释放停泊资金`, context, suggestions);
+  }
+  const sizing = calculateShares(type, 0, candidate.price, context, candidate.code);
+  const { shares } = sizing;
+  if (shares === 0) {
+    console.warn(`【${type}】可用现金不足一手或已达仓位上限，放弃买入${candidate.code}`);
+    return false;
+  }
+  
+  const buyInfo = {
+    type,
+    operation: "买入",
+    code: candidate.code,
+    name: candidate.name,
+    price: candidate.price,
+    shares,
+    ...priceTrade("买入", candidate.price, shares),
+    ...riskInfo(sizing),
+    ...confirmInfo(confirm),
+    reason: `突破${FISH_BOWL.MA_PERIOD}日均线，${basis}（${reference}，信号确认第${confirm.days}天）`
+  };
+  suggestions.push(buyInfo);
+  commitTrade(context, buyInfo);
+  
+  context.holdings[type].push({
+    ...createHolding(),
+    position: { ...candidate },
+    buySteps: 1,
+    totalShares: shares,
+    layers: [shares],
+    highestClose: candidate.price,
+    highDate: context.date
+  });
+  return true;
+}
+
+/**
+ * 防守仓位（配置档的DEFENSIVE，默认取CONFIG.DEFENSIVE）：资金桶无权益持仓时，将闲置现金停泊在趋势最强的防守ETF；
+ * 停泊品种跌破趋势均线时卖出，并换入仍在趋势中的其他品种（均不满足时保留现金）
+ * @param {string} type - 资金桶
+ * @param {Object} context - 执行上下文
+ * @returns {Array} 操作建议列表（sleeve为defensive）
+ */
+function handleDefensive(type, context) {
+  const suggestions = [];
+  const { DEFENSIVE } = context.profile;
+  if (!DEFENSIVE.ENABLED || context.holdings[type].length > 0) return suggestions;
+  
+  const ledger = context.ledgers[type];
+  const ranked = rankDefensiveETFs(context.history, context.profile);
+  for (const code of parkedCodes(ledger, context.profile)) {
+    if (!ranked.some(etf => etf.code === code)) {
+      sellDefensive(type, code, EXIT_RULES.DEFENSIVE_TREND, `跌破${DEFENSIVE.TREND_MA}日均线，趋势转弱`, context, suggestions);
     }
   }
+  if (parkedCodes(ledger, context.profile).length > 0) return suggestions;
   
-  // 情况3：持仓ETF跌破20日均线（卖出信号）
-  else if (holding.position && isSellSignal({
-    price: bestCandidate.price,
-    priceHistory: holding.priceHistory
-  })) {
-    const sellInfo = {
-      type,
-      operation: "卖出",
-      code: holding.position.code,
-      name: holding.position.name,
-      price: bestCandidate.price,
-      shares: holding.totalShares,
-      amount: (holding.totalShares * bestCandidate.price).toFixed(2),
-      reason: "跌破20日均线，符合鱼盆模型卖出信号（PDF1-54节）"
+  const best = ranked[0];
+  if (!best) {
+    console.log(`【${type}】防守ETF均不在趋势中（或日线不足），保留现金`);
+    return suggestions;
+  }
+  const shares = maxAffordableShares(ledger.cash * DEFENSIVE.PARK_RATIO, best.price);
+  if (shares === 0) return suggestions;
+  
+  const buyInfo = {
+    type,
+    sleeve: "defensive",
+    operation: "买入",
+    code: best.code,
+    name: best.name,
+    price: best.price,
+    shares,
+    ...priceTrade("买入", best.price, shares),
+    reason: `${type}空仓，闲置现金停泊于${best.kind || "防守"}ETF（${DEFENSIVE.TREND_PERIOD}日涨幅${best.roc.toFixed(2)}%，位于${DEFENSIVE.TREND_MA}日均线之上）`
+  };
+  suggestions.push(buyInfo);
+  commitTrade(context, buyInfo);
+  return suggestions;
+}
+
+/**
+ * 资金桶账本中停泊的防守ETF代码
+ * @param {Object} ledger - 资金桶账本
+ * @param {Object} profile - 配置档（含DEFENSIVE）
+ * @returns {Array<string>} 代码列表
+ */
+function parkedCodes(ledger, profile) {
+  return Object.keys(ledger.positions).filter(code => isDefensiveCode(code, profile));
+}
+
+/**
+ * 清仓一只防守ETF（按最近一根日线收盘价），生成卖出建议
+ * @param {string} type - 资金桶
+ * @param {string} code - 防守ETF代码
+ * @param {string} rule - 退出规则（EXIT_RULES）
+ * @param {string} reason - 卖出原因
+ * @param {Object} context - 执行上下文
+ * @param {Array} suggestions - 建议列表（追加）
+ */
+function sellDefensive(type, code, rule, reason, context, suggestions) {
+  const ledger = context.ledgers[type];
+  const { shares } = ledger.positions[code];
+  const price = context.history.getLatestBar(code)?.close ?? getAverageCost(ledger, code);
+  const sellInfo = {
+    type,
+    sleeve: "defensive",
+    operation: "卖出",
+    code,
+    name: context.profile.DEFENSIVE.ETFS.find(etf => etf.code === code)?.name || code,
+    price,
+    shares,
+    ...priceTrade("卖出", price, shares),
+    exitRule: rule,
+    partial: false,
+    reason: `${rule}：${reason}`
+  };
+  suggestions.push(sellInfo);
+  commitTrade(context, sellInfo);
+}
+
+/**
+ * 更新持仓以来的最高收盘价（移动止损与时间止损的基准）
+ * @param {Object} holding - 持仓状态
+ * @param {number} price - 当日收盘价
+ * @param {string} date - 交易日期
+ */
+function updateHighWaterMark(holding, price, date) {
+  if (holding.highestClose === null || price > holding.highestClose) {
+    holding.highestClose = price;
+    holding.highDate = date;
+  } else if (!holding.highDate) {
+    holding.highDate = date; // 迁移前建立的持仓从首次检查日起计
+  }
+}
+
+/**
+ * 检查退出规则（按顺序返回第一个触发的规则）
+ * 1. 均线止损：已确认的卖出信号（跌破均线，PDF1-54节）
+ * 2. 移动止损：收盘价自持仓以来最高收盘价回撤超过TRAILING_STOP
+ * 3. 时间止损：连续MAX_HOLD_DAYS个交易日未创新高
+ * 4. 分批止盈：较持仓成本上涨TAKE_PROFIT×(已止盈次数+1)，卖出最近一层金字塔仓位（仅剩首仓时交由前三条规则退出）
+ * @param {string} type - 资金桶
+ * @param {Object} holding - 持仓状态
+ * @param {number} price - 当日收盘价
+ * @param {Object} context - 执行上下文
+ * @returns {Object|null} { rule, full, shares?, confirm?, reason }，未触发时返回null
+ */
+function checkExitRules(type, holding, price, context) {
+  const { FISH_BOWL, POSITION } = context.profile;
+  const { code } = holding.position;
+  
+  const sellConfirm = getConfirmedSignal(context.signalStates, code, "sell");
+  if (sellConfirm) {
+    return {
+      rule: EXIT_RULES.SIGNAL,
+      full: true,
+      confirm: sellConfirm,
+      reason: `跌破${FISH_BOWL.MA_PERIOD}日均线，符合鱼盆模型卖出信号（PDF1-54节，信号确认第${sellConfirm.days}天）`
     };
-    suggestions.push(sellInfo);
-    recordTrade({
-      type: sellInfo.type,
-      operation: sellInfo.operation,
-      code: sellInfo.code,
-      amount: sellInfo.amount
-    });
-    
-    resetHolding(type);
   }
   
-  // 情况4：调仓逻辑
-  else if (holding.position && holding.position.code !== bestCandidate.code) {
-    const shouldSellOld = isSellSignal({
-      price: holding.position.price,
-      priceHistory: holding.priceHistory
-    });
-    
-    const newPriceHistory = [bestCandidate.price, ...holding.priceHistory.slice(0, 29)];
-    const newVolumeHistory = [bestCandidate.volume, ...holding.volumeHistory.slice(0, 29)];
-    const shouldBuyNew = isBuySignal({
-      price: bestCandidate.price,
-      volume: bestCandidate.volume,
-      priceHistory: newPriceHistory,
-      volumeHistory: newVolumeHistory
-    });
-    
-    if (shouldSellOld && shouldBuyNew) {
-      const sellOldInfo = {
-        type,
-        operation: "卖出",
-        code: holding.position.code,
-        name: holding.position.name,
-        price: holding.position.price,
-        shares: holding.totalShares,
-        amount: (holding.totalShares * holding.position.price).toFixed(2),
-        reason: "原持仓跌破20日均线，触发调仓卖出（PDF1-148节）"
+  const drawdown = 1 - price / holding.highestClose;
+  if (POSITION.TRAILING_STOP > 0 && drawdown >= POSITION.TRAILING_STOP) {
+    return {
+      rule: EXIT_RULES.TRAILING_STOP,
+      full: true,
+      reason: `自最高收盘价${holding.highestClose.toFixed(3)}（${holding.highDate}）回撤${(drawdown * 100).toFixed(2)}%，超过${(POSITION.TRAILING_STOP * 100).toFixed(0)}%`
+    };
+  }
+  
+  if (POSITION.MAX_HOLD_DAYS > 0) {
+    const daysWithoutHigh = context.history.getBars(code).filter(bar => bar.date > holding.highDate).length;
+    if (daysWithoutHigh >= POSITION.MAX_HOLD_DAYS) {
+      return {
+        rule: EXIT_RULES.TIME_STOP,
+        full: true,
+        reason: `连续${daysWithoutHigh}个交易日未创新高（最高收盘价${holding.highestClose.toFixed(3)}，${holding.highDate}），达到${POSITION.MAX_HOLD_DAYS}天上限`
       };
-      suggestions.push(sellOldInfo);
-      recordTrade({
-        type: sellOldInfo.type,
-        operation: sellOldInfo.operation,
-        code: sellOldInfo.code,
-        amount: sellOldInfo.amount
-      });
-      
-      const buyNewInfo = {
-        type,
-        operation: "买入",
-        code: bestCandidate.code,
-        name: bestCandidate.name,
-        price: bestCandidate.price,
-        shares: calculateShares(type, CONFIG.POSITION.INITIAL_RATIO, bestCandidate.price),
-        amount: (calculateShares(type, CONFIG.POSITION.INITIAL_RATIO, bestCandidate.price) * bestCandidate.price).toFixed(2),
-        reason: "新候选突破20日均线，触发调仓买入（PDF1-148节）"
+    }
+  }
+  
+  if (POSITION.TAKE_PROFIT > 0 && holding.layers.length > 1) {
+    const avgCost = getAverageCost(context.ledgers[type], code);
+    const target = POSITION.TAKE_PROFIT * (holding.takeProfits + 1);
+    const gain = avgCost ? price / avgCost - 1 : 0;
+    if (gain >= target) {
+      return {
+        rule: EXIT_RULES.TAKE_PROFIT,
+        full: false,
+        shares: Math.min(holding.layers[holding.layers.length - 1], holding.totalShares),
+        reason: `较持仓成本${avgCost.toFixed(3)}上涨${(gain * 100).toFixed(2)}%，达到第${holding.takeProfits + 1}档止盈${(target * 100).toFixed(0)}%，卖出最近一层加仓`
       };
-      suggestions.push(buyNewInfo);
-      recordTrade({
-        type: buyNewInfo.type,
-        operation: buyNewInfo.operation,
-        code: buyNewInfo.code,
-        amount: buyNewInfo.amount
-      });
-      
-      holding.position = { ...bestCandidate };
-      holding.priceHistory = newPriceHistory;
-      holding.volumeHistory = newVolumeHistory;
-      holding.buySteps = 1;
-      holding.totalShares = buyNewInfo.shares;
     }
   }
   
-  return suggestions;
+  return null;
 }
 
-function updateHistory(holding, etf) {
-  holding.priceHistory.unshift(etf.price);
-  if (holding.priceHistory.length > 30) holding.priceHistory.pop();
-  
-  holding.volumeHistory.unshift(etf.volume);
-  if (holding.volumeHistory.length > 30) holding.volumeHistory.pop();
+/**
+ * 计算买入份额（POSITION.SIZING_MODE），不超过可用现金（含滑点与费用），按100份一手向下取整
+ * 资金桶持仓总市值不超过权益×MAX_POSITION，由MAX_HOLDINGS只ETF均分；目标金额与风险预算再乘以市场状态仓位系数（REGIME.SCALES）
+ * - ratio：目标金额为资金桶当前权益×比例÷MAX_HOLDINGS
+ * - atr：止损距离为ATR×ATR_STOP_MULTIPLIER，份额=风险预算÷止损距离，风险预算=权益×RISK_PER_TRADE×(比例/INITIAL_RATIO)；
+ *   加仓后该ETF持仓市值不超过权益×MAX_POSITION÷MAX_HOLDINGS；开高低收齐全的日线不足以计算ATR时退回ratio并标记atrFallback
+ * @param {string} type - 资金桶（稳健型/激进型）
+ * @param {number} step - 金字塔层级（0为首仓INITIAL_RATIO，n为第n次加仓ADD_STEPS[n-1]）
+ * @param {number} price - 买入价格
+ * @param {Object} context - 执行上下文（读取配置档、账本与日线）
+ * @param {string} code - 买入的ETF代码
+ * @returns {Object} { shares, sizing（实际采用的atr/ratio）, atrFallback?, atr?, stopPrice?, riskAmount? }（shares为0表示现金不足一手或已达仓位上限）
+ */
+function calculateShares(type, step, price, context, code) {
+  const ledger = context.ledgers[type];
+  const { POSITION } = context.profile;
+  const scale = getRegimeScale(context.regime, type);
+  const ratio = (step === 0 ? POSITION.INITIAL_RATIO : POSITION.ADD_STEPS[step - 1]) * scale;
+  const { equity, marketValue } = markToMarket(ledger, c => context.history.getLatestBar(c)?.close);
+  const bucketRoom = Math.max(equity * POSITION.MAX_POSITION - marketValue, 0);
+
+  if (POSITION.SIZING_MODE === "atr") {
+    const atr = calculateATR(context.history.getBars(code), POSITION.ATR_PERIOD);
+    if (atr) {
+      const stopDistance = atr * POSITION.ATR_STOP_MULTIPLIER;
+      const riskBudget = equity * POSITION.RISK_PER_TRADE * ratio / POSITION.INITIAL_RATIO;
+      const heldValue = (ledger.positions[code]?.shares || 0) * price;
+      const capAmount = Math.min(Math.max(equity * POSITION.MAX_POSITION / POSITION.MAX_HOLDINGS - heldValue, 0), bucketRoom);
+      const shares = maxAffordableShares(Math.min(riskBudget / stopDistance * price, capAmount, ledger.cash), price);
+      return {
+        shares,
+        sizing: "atr",
+        atr,
+        stopPrice: Number((price - stopDistance).toFixed(3)),
+        riskAmount: Number((shares * stopDistance).toFixed(2))
+      };
+    }
+    console.warn(`【${type}】${code}开高低收齐全的日线不足${POSITION.ATR_PERIOD}根，无法计算ATR，本次按固定比例计算仓位`);
+  }
+
+  const buyAmount = Math.min(equity * ratio / POSITION.MAX_HOLDINGS, bucketRoom, ledger.cash);
+  return {
+    shares: maxAffordableShares(buyAmount, price),
+    sizing: "ratio",
+    ...(POSITION.SIZING_MODE === "atr" && { atrFallback: true })
+  };
 }
 
-function calculateShares(type, ratio, price) {
-  const totalCapital = CONFIG.CAPITAL.INITIAL * CONFIG.CAPITAL.ALLOCATION[type];
-  const buyAmount = totalCapital * ratio;
-  const shares = Math.floor(buyAmount / price / 100) * 100;
-  return Math.max(100, shares);
+/**
+ * 建议中的仓位计算方式与风险信息（风险信息仅atr模式）
+ * @param {Object} sizing - calculateShares的返回结果
+ * @returns {Object} { sizing, atrFallback?, atr?, stopPrice?, riskAmount? }
+ */
+function riskInfo(sizing) {
+  if (sizing.stopPrice === undefined) {
+    return { sizing: sizing.sizing, ...(sizing.atrFallback && { atrFallback: true }) };
+  }
+  return { sizing: sizing.sizing, atr: sizing.atr, stopPrice: sizing.stopPrice, riskAmount: sizing.riskAmount };
 }
 
-function resetHolding(type) {
-  holdings[type] = {
-    position: null,
-    priceHistory: [],
-    volumeHistory: [],
-    buySteps: 0,
-    totalShares: 0
+/**
+ * 按成本模型估算成交（含滑点成交价、费用），生成建议中的金额字段
+ * @param {string} operation - 操作（买入/加仓/卖出）
+ * @param {number} price - 行情价格
+ * @param {number} shares - 份额
+ * @returns {Object} { fillPrice, amount, fees, slippage }，amount为含费用的现金收支
+ */
+function priceTrade(operation, price, shares) {
+  const { fillPrice, netAmount, fees, slippageCost } = estimateTrade(operation, price, shares);
+  return {
+    fillPrice,
+    amount: netAmount.toFixed(2),
+    fees: fees.total,
+    slippage: slippageCost
   };
 }
 
-export function resetAllHoldings() {
-  resetHolding("稳健型");
-  resetHolding("激进型");
+/**
+ * 建议中的信号确认信息
+ * @param {Object} confirm - getConfirmedSignal返回的确认信息
+ * @returns {Object} { confirmDay, signalSince }
+ */
+function confirmInfo(confirm) {
+  return { confirmDay: confirm.days, signalSince: confirm.since };
+}
+
+/**
+ * 成交入账：将建议按成交处理，写入对应资金桶账本与交易流水（按配置档分开记录）
+ * @param {Object} context - 执行上下文
+ * @param {Object} info - 操作建议
+ */
+function commitTrade(context, info) {
+  context.recordTrade({
+    profile: context.profile.name,
+    date: context.date,
+    type: info.type,
+    operation: info.operation,
+    code: info.code,
+    price: info.price,
+    fillPrice: info.fillPrice,
+    shares: info.shares,
+    amount: info.amount,
+    fees: info.fees,
+    slippage: info.slippage,
+    exitRule: info.exitRule,
+    partial: info.partial,
+    sleeve: info.sleeve
+  }, context.ledgers[info.type]);
+}
+
+/**
+ * 获取各配置档、各资金桶账本估值（现金、持仓市值、已实现/未实现盈亏）
+ * @returns {Promise<Object>} { [profile]: { [type]: 估值结果 } }
+ */
+export async function getLedgerSummary() {
+  await loadStrategyState();
+  getActiveProfiles().forEach(profile => ensureProfileState(profile.name));
+  const summary = {};
+  for (const [profile, profileLedgers] of Object.entries(ledgers)) {
+    summary[profile] = {};
+    for (const [type, ledger] of Object.entries(profileLedgers)) {
+      summary[profile][type] = markToMarket(ledger, code => historyStore.getLatestBar(code)?.close);
+    }
+  }
+  return summary;
+}
+
+/**
+ * 获取各配置档、各资金桶的持仓状态与账本估值（供HTTP接口使用）
+ * @returns {Promise<Array>} [{ profile, type, positions: [{ code, name, buySteps, totalShares, layers, entryPrice, highestClose }], defensive: [{ code, name, shares, avgCost, price, marketValue }], ledger }]
+ */
+export async function getHoldingsSnapshot() {
+  const summary = await getLedgerSummary();
+  return Object.entries(holdings).flatMap(([profile, profileHoldings]) =>
+    Object.entries(profileHoldings).map(([type, slots]) => ({
+      profile,
+      type,
+      positions: slots.map(holding => ({
+        code: holding.position.code,
+        name: holding.position.name,
+        buySteps: holding.buySteps,
+        totalShares: holding.totalShares,
+        layers: holding.layers,
+        entryPrice: holding.position.price,
+        highestClose: holding.highestClose
+      })),
+      defensive: summary[profile][type].positions
+        .filter(p => isDefensiveCode(p.code))
+        .map(p => ({ code: p.code, name: CONFIG.DEFENSIVE.ETFS.find(etf => etf.code === p.code)?.name || p.code, shares: p.shares, avgCost: p.avgCost, price: p.price, marketValue: p.marketValue })),
+      ledger: summary[profile][type]
+    }))
+  );
+}
+
+/**
+ * 获取ETF池在指定交易日的信号（按当日及之前的日线重新计算，确认状态仅在该日有记录时返回）
+ * @param {Array} pool - ETF池
+ * @param {string} date - 交易日期（YYYY-MM-DD，省略时取各ETF最新日线）
+ * @param {string} profileName - 策略配置档（默认DEFAULT_PROFILE，决定均线周期与确认状态）
+ * @returns {Promise<Array>} [{ code, name, type, date, close, ma, buy, sell, confirmation }]
+ */
+export async function getSignalSnapshot(pool, date, profileName = DEFAULT_PROFILE) {
+  const profile = resolveProfile(profileName);
+  await loadStrategyState();
+  return pool.map(etf => {
+    const bars = historyStore.getBars(etf.code).filter(b => !date || b.date <= date);
+    const result = { code: etf.code, name: etf.name, type: etf.type, date: bars[0]?.date || null, close: bars[0]?.close ?? null };
+    if (bars.length === 0) {
+      return { ...result, ma: null, buy: false, sell: false, confirmation: null };
+    }
+
+    const input = {
+      price: bars[0].close,
+      volume: bars[0].volume,
+      priceHistory: bars.map(b => b.close),
+      volumeHistory: bars.map(b => b.volume)
+    };
+    const state = signalStates[profile.name]?.[etf.code];
+    return {
+      ...result,
+      ma: calculateMA(input.priceHistory, profile.FISH_BOWL.MA_PERIOD),
+      buy: isBuySignal(input, profile),
+      sell: isSellSignal(input, profile),
+      confirmation: state && state.lastDate === result.date
+        ? { state: state.state, days: state.days, since: state.since }
+        : null
+    };
+  });
+}
+
+/**
+ * 从持久化存储恢复持仓、日线与交易流水（Worker isolate回收后状态不丢失）
+ */
+async function loadStrategyState() {
+  holdings = await loadState(STORAGE_KEYS.HOLDINGS, {}, { version: HOLDINGS_SCHEMA_VERSION, migrate: migrateHoldings });
+  ledgers = await loadState(STORAGE_KEYS.LEDGERS, {}, { version: LEDGERS_SCHEMA_VERSION, migrate: migrateLedgers });
+  signalStates = await loadState(STORAGE_KEYS.SIGNAL_STATES, {}, { version: SIGNAL_STATES_SCHEMA_VERSION, migrate: migrateSignalStates });
+  strategyRuns = await loadState(STORAGE_KEYS.STRATEGY_RUNS, {}, { version: STRATEGY_RUNS_SCHEMA_VERSION });
+  await loadHistoryStore();
+  await loadTradeHistory();
+}
+
+/**
+ * 为配置档补齐持仓、账本与信号状态（新增配置档首次执行时按CONFIG.CAPITAL建立独立账本）
+ * @param {string} profile - 配置档名称
+ */
+function ensureProfileState(profile) {
+  holdings[profile] = holdings[profile] || createHoldings();
+  ledgers[profile] = ledgers[profile] || createLedgers();
+  signalStates[profile] = signalStates[profile] || createSignalStates();
+}
+
+/**
+ * 持仓schema迁移
+ * @param {Object} data - 旧版本持仓
+ * @param {number} fromVersion - 旧版本号
+ * @returns {Object} 升级一个版本后的持仓
+ */
+function migrateHoldings(data, fromVersion) {
+  if (fromVersion === 3) {
+    // v3→v4：每个资金桶的单一持仓改为持仓列表（空仓为空列表）
+    for (const profileHoldings of Object.values(data)) {
+      for (const [type, holding] of Object.entries(profileHoldings)) {
+        profileHoldings[type] = holding.position ? [holding] : [];
+      }
+    }
+    return data;
+  }
+  if (fromVersion === 2) {
+    // v2→v3：原持仓视为一层，最高价从下次执行时的收盘价起算
+    for (const profileHoldings of Object.values(data)) {
+      for (const holding of Object.values(profileHoldings)) {
+        holding.layers = holding.position ? [holding.totalShares] : [];
+        holding.highestClose = null;
+        holding.highDate = null;
+        holding.takeProfits = 0;
+      }
+    }
+    return data;
+  }
+  // v1→v2：原持仓归入默认配置档
+  if (fromVersion === 1) return { [DEFAULT_PROFILE]: data };
+  return createHoldings();
+}
+
+/**
+ * 信号状态schema迁移
+ * @param {Object} data - 旧版本信号状态
+ * @param {number} fromVersion - 旧版本号
+ * @returns {Object} 升级一个版本后的信号状态
+ */
+function migrateSignalStates(data, fromVersion) {
+  // v1→v2：原信号状态归入默认配置档
+  if (fromVersion === 1) return { [DEFAULT_PROFILE]: data };
+  return createSignalStates();
+}
+
+/**
+ * 账本schema迁移
+ * @param {Object} data - 旧版本账本
+ * @param {number} fromVersion - 旧版本号
+ * @returns {Object} 升级一个版本后的账本
+ */
+function migrateLedgers(data, fromVersion) {
+  if (fromVersion === 2) {
+    // v2→v3：原账本归入默认配置档
+    return { [DEFAULT_PROFILE]: data };
+  }
+  if (fromVersion === 1) {
+    // v1→v2：补充累计费用与滑点字段
+    for (const ledger of Object.values(data)) {
+      ledger.totalFees = ledger.totalFees || 0;
+      ledger.totalSlippage = ledger.totalSlippage || 0;
+    }
+    return data;
+  }
+  // v0（无版本记录）无法可靠还原现金，重建账本
+  return createLedgers();
+}
+
+/**
+ * 将持仓、日线与交易流水写入持久化存储
+ */
+async function saveStrategyState() {
+  await saveState(STORAGE_KEYS.HOLDINGS, holdings, HOLDINGS_SCHEMA_VERSION);
+  await saveState(STORAGE_KEYS.LEDGERS, ledgers, LEDGERS_SCHEMA_VERSION);
+  await saveState(STORAGE_KEYS.SIGNAL_STATES, signalStates, SIGNAL_STATES_SCHEMA_VERSION);
+  await saveState(STORAGE_KEYS.STRATEGY_RUNS, strategyRuns, STRATEGY_RUNS_SCHEMA_VERSION);
+  await saveHistoryStore();
+  await saveTradeHistory();
+}
+
+/**
+ * 重置全部配置档的持仓、账本、信号状态与执行记录
+ */
+export async function resetAllHoldings() {
+  holdings = {};
+  ledgers = {};
+  signalStates = {};
+  strategyRuns = {};
+  await saveState(STORAGE_KEYS.HOLDINGS, holdings, HOLDINGS_SCHEMA_VERSION);
+  await saveState(STORAGE_KEYS.LEDGERS, ledgers, LEDGERS_SCHEMA_VERSION);
+  await saveState(STORAGE_KEYS.SIGNAL_STATES, signalStates, SIGNAL_STATES_SCHEMA_VERSION);
+  await saveState(STORAGE_KEYS.STRATEGY_RUNS, strategyRuns, STRATEGY_RUNS_SCHEMA_VERSION);
 }
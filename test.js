@@ -1,8 +1,73 @@
 // 导入测试所需模块
-import { fetchETFData } from "./dataFetcher.js";
+import { readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import { fetchETFData, parseEastmoneyKline, parseSinaKline } from "./dataFetcher.js";
+import {
+  calculateEMA, calculateMACD, calculateRSI, calculateBollinger, calculateATR, calculateROC,
+  calculateRollingHigh, calculateRollingLow, calculateReturnCorrelation, calculateVolatility, calculateSharpe,
+  calculateMaxDrawdown, createEMA, createRSI, createRollingExtreme
+} from "./indicator.js";
 import { getPool } from "./poolManager.js";
-import { executeStrategy, resetAllHoldings } from "./strategy.js";
+import { executeStrategy, resetAllHoldings, createHoldings, runStrategyOnPool, getLedgerSummary, getHoldingsSnapshot, EXIT_RULES } from "./strategy.js";
+import { printTradeHistory, recordTrade, loadTradeHistory, saveTradeHistory } from "./testUtils.js";
+import { handleApiRequest } from "./api.js";
+import { runJob, runScheduled } from "./scheduler.js";
 import { sendMessage } from "./messageSender.js";
+import { loadBarsFromDir, runBacktest, calculateMetrics } from "./backtest.js";
+import { CONFIG } from "./config.js";
+import { applySlippage, calculateFees, estimateTrade, maxAffordableShares } from "./costModel.js";
+import { SIGNAL_STATES, createSignalStates, advanceSignalState, getConfirmedSignal } from "./signalState.js";
+import { authorize, signRequest, getAuditLog } from "./auth.js";
+import { initStorage, loadState, saveState, STORAGE_KEYS } from "./storage.js";
+import { createHistoryStore, historyStore, saveHistoryStore } from "./historyStore.js";
+import { DEFAULT_PROFILE, resolveProfile } from "./profiles.js";
+import { createLedger, createLedgers, applyFill, getAverageCost, markToMarket } from "./ledger.js";
+import { isTradingDay, getNextTradingDay, getPreviousTradingDay, isLastTradingDayOfWeek, registerHolidays } from "./tradingCalendar.js";
+import { classifyRegime, getRegimeScale } from "./regime.js";
+import { classifyETF, indexKey } from "./etfTaxonomy.js";
+import { scoreETF, requiredBars, formatBreakdown } from "./poolScoring.js";
+
+/**
+ * 创建断言收集器：逐项记录不符合预期的结果，最后一次性抛出（一次运行即可看到全部失败项）
+ * @param {string} suite - 测试名称（用于错误信息，如"技术指标"）
+ * @returns {Object} { fail, expectEqual, expectClose, assertAll }
+ */
+function createChecker(suite) {
+  const failures = [];
+  return {
+    fail: message => failures.push(message),
+    expectEqual(label, actual, expected) {
+      if (actual !== expected) failures.push(`${label}：期望${expected}，实际${actual}`);
+    },
+    expectClose(label, actual, expected, tolerance = 0.005) {
+      if (actual === null || Math.abs(actual - expected) > tolerance) {
+        failures.push(`${label}：期望${expected}，实际${actual}`);
+      }
+    },
+    assertAll() {
+      if (failures.length > 0) {
+        throw new Error(`${suite}测试失败（${failures.length}项）：\n${failures.join("\n")}`);
+      }
+    }
+  };
+}
+
+/**
+ * 静默执行（策略与回测逐日输出的信号、市场状态日志与断言无关）
+ * @param {Function} fn - 同步或异步函数
+ * @returns {Promise<*>} fn的返回值
+ */
+async function quietly(fn) {
+  const saved = ["log", "warn", "debug"].map(level => [level, console[level]]);
+  saved.forEach(([level]) => { console[level] = () => {}; });
+  try {
+    return await fn();
+  } finally {
+    saved.forEach(([level, original]) => { console[level] = original; });
+  }
+}
 
 /**
  * 测试数据源获取功能
@@ -18,6 +83,910 @@ export async function testDataFetch() {
   }
 }
 
+/**
+ * 测试K线解析（使用fixtures目录下保存的接口返回样本，离线可运行）
+ */
+export async function testKlineParsers() {
+  const cases = [
+    { file: "fixtures/eastmoney-kline-510300.json", parser: parseEastmoneyKline },
+    { file: "fixtures/sina-kline-510300.json", parser: parseSinaKline }
+  ];
+
+  for (const { file, parser } of cases) {
+    const raw = await readFile(new URL(file, import.meta.url), "utf8");
+    const bars = parser(raw);
+    // 两个样本为同一ETF同一时段，解析结果应一致：5根日线、最新在前、成交量单位为份
+    if (bars.length !== 5 || bars[0].date !== "2024-09-27" || bars[0].close !== 3.921 ||
+        bars[4].volume !== 638904500 || bars[0].high !== 3.942 || bars[0].low !== 3.786) {
+      throw new Error(`${file}解析结果不符合预期：${JSON.stringify(bars[0])}`);
+    }
+    console.log(`测试K线解析：${file}解析成功（${bars.length}根日线）`);
+  }
+}
+
+/**
+ * 测试技术指标（参考值来自StockCharts教程示例及可手算的序列，离线可运行）
+ */
+export async function testIndicators() {
+  const check = createChecker("技术指标");
+  const latestFirst = series => [...series].reverse();
+
+  // EMA：StockCharts 10日EMA示例（首值为前10日简单均值22.22）
+  const emaCloses = [22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36,
+    24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17];
+  const emaExpected = [22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34, 23.43, 23.51, 23.54,
+    23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92];
+  const emaStream = createEMA(10);
+  emaCloses.map(close => emaStream.update(close)).slice(9)
+    .forEach((value, i) => check.expectClose(`EMA第${i + 10}日`, value, emaExpected[i], 0.01));
+  check.expectClose("EMA批量", calculateEMA(latestFirst(emaCloses), 10), 22.92, 0.01);
+  if (calculateEMA(latestFirst(emaCloses).slice(0, 9), 10) !== null) check.fail("EMA数据不足时应返回null");
+
+  // RSI：StockCharts 14日RSI示例（Wilder平滑，官方表格四舍五入到两位小数）
+  const rsiCloses = [44.3389, 44.0902, 44.1497, 43.6124, 44.2778, 44.9032, 45.0983, 45.4201, 45.8485, 46.0826, 45.8924,
+    46.0344, 45.6142, 46.2828, 46.2828, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439, 46.2122, 46.2521, 45.7137, 46.4515,
+    45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672, 43.4205, 42.6628, 43.1314];
+  const rsiExpected = [70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38, 54.71, 50.42, 39.99, 41.46,
+    41.87, 45.46, 37.30, 33.08, 37.77];
+  const rsiStream = createRSI(14);
+  rsiCloses.map(close => rsiStream.update(close)).slice(14)
+    .forEach((value, i) => check.expectClose(`RSI第${i + 15}日`, value, rsiExpected[i], 0.05));
+  check.expectClose("RSI批量", calculateRSI(latestFirst(rsiCloses)), 37.77, 0.05);
+
+  // MACD：线性序列的EMA恰好滞后(N-1)/2，MACD(12,26,9)=12.5-5.5=7，信号线=7，柱状值=0
+  const linear = Array.from({ length: 60 }, (_, i) => i + 1);
+  const macd = calculateMACD(latestFirst(linear));
+  check.expectClose("MACD", macd?.macd ?? null, 7, 1e-9);
+  check.expectClose("MACD信号线", macd?.signal ?? null, 7, 1e-9);
+  check.expectClose("MACD柱状值", macd?.histogram ?? null, 0, 1e-9);
+  if (calculateMACD(latestFirst(linear.slice(0, 33))) !== null) check.fail("MACD信号线数据不足时应返回null");
+
+  // 布林带：1~20的均值10.5，总体标准差√(399/12)≈5.7663
+  const bands = calculateBollinger(latestFirst(linear.slice(0, 20)));
+  check.expectClose("布林带中轨", bands?.middle ?? null, 10.5, 1e-9);
+  check.expectClose("布林带上轨", bands?.upper ?? null, 10.5 + 2 * Math.sqrt(399 / 12), 1e-9);
+  check.expectClose("布林带下轨", bands?.lower ?? null, 10.5 - 2 * Math.sqrt(399 / 12), 1e-9);
+
+  // ATR(3)：真实波幅依次为2、2、3、1、3 → 7/3 → (7/3×2+1)/3 → 再平滑
+  const atrBars = [
+    { high: 10, low: 8, close: 9 }, { high: 11, low: 9, close: 10 }, { high: 12, low: 9, close: 11 },
+    { high: 11, low: 10, close: 10.5 }, { high: 13, low: 10, close: 12 }
+  ];
+  check.expectClose("ATR", calculateATR(latestFirst(atrBars), 3), ((7 / 3 * 2 + 1) / 3 * 2 + 3) / 3, 1e-9);
+
+  // ROC与区间高低点
+  check.expectClose("ROC", calculateROC([110, 105, 100], 2), 10, 1e-9);
+  check.expectClose("区间最高", calculateRollingHigh(latestFirst([3, 1, 4, 1, 5, 9, 2, 6]), 3), 9, 0);
+  check.expectClose("区间最低", calculateRollingLow(latestFirst([3, 1, 4, 1, 5, 9, 2, 6]), 3), 2, 0);
+
+  // 收益率相关系数：按日期对齐，同向放大为1、反向为-1，共同日期不足时返回null
+  const toBars = closes => latestFirst(closes.map((close, i) => ({ date: `2026-01-${String(i + 1).padStart(2, "0")}`, close })));
+  const corrBase = [10, 10.2, 10.1, 10.4, 10.3, 10.6];
+  const doubled = corrBase.reduce((out, close, i) => [...out, i === 0 ? 20 : out[i - 1] * (1 + 2 * (close / corrBase[i - 1] - 1))], []);
+  const mirrored = corrBase.reduce((out, close, i) => [...out, i === 0 ? 10 : out[i - 1] * (1 - (close / corrBase[i - 1] - 1))], []);
+  check.expectClose("相关系数（同向）", calculateReturnCorrelation(toBars(corrBase), toBars(doubled), 5), 1, 1e-9);
+  check.expectClose("相关系数（反向）", calculateReturnCorrelation(toBars(corrBase), toBars(mirrored), 5), -1, 1e-9);
+  if (calculateReturnCorrelation(toBars(corrBase), toBars(doubled).slice(1), 5) !== null) check.fail("相关系数共同日期不足时应返回null");
+
+  // 年化波动率、夏普比率与最大回撤（评分因子）：收益率+10%、-10%，样本标准差√0.02
+  check.expectClose("年化波动率", calculateVolatility(latestFirst([100, 110, 99]), 2), Math.sqrt(0.02) * Math.sqrt(252) * 100, 1e-9);
+  check.expectClose("夏普比率", calculateSharpe(latestFirst([100, 110, 121, 121 * 1.2]), 3), (0.4 / 3) / Math.sqrt(0.01 / 3) * Math.sqrt(252), 1e-9);
+  check.expectClose("最大回撤", calculateMaxDrawdown(latestFirst([10, 12, 9, 11, 13]), 4), 25, 1e-9);
+
+  // 流式区间极值与逐日暴力计算一致（伪随机序列）
+  const noisy = Array.from({ length: 300 }, (_, i) => 10 + Math.sin(i * 1.7) * 3 + (i % 7) * 0.4);
+  const highStream = createRollingExtreme(20, "high");
+  noisy.forEach((value, i) => {
+    const streamed = highStream.update(value);
+    const expected = i >= 19 ? Math.max(...noisy.slice(i - 19, i + 1)) : null;
+    if (streamed !== expected) check.fail(`流式区间最高第${i + 1}日：期望${expected}，实际${streamed}`);
+  });
+
+  check.assertAll();
+  console.log("测试技术指标：EMA/MACD/RSI/布林带/ATR/ROC/区间高低点/相关系数/波动率/夏普/回撤均与参考值一致");
+}
+
+/**
+ * 测试回测引擎（fixtures/backtest为构造的单只宽基ETF日线：横盘、放量上涨、回调加仓、再涨触发分批止盈、回落触发移动止损，离线可运行）
+ */
+export async function testBacktest() {
+  const check = createChecker("回测引擎");
+  const data = await loadBarsFromDir(fileURLToPath(new URL("fixtures/backtest", import.meta.url)));
+
+  const { trades, metrics, equityCurve } = await quietly(() => runBacktest(data));
+  const actions = trades.map(t => t.exitRule ? `${t.operation}（${t.exitRule}）` : t.operation).join("、");
+  if (actions !== "买入、加仓、卖出（分批止盈）、卖出（移动止损）") check.fail(`成交序列不符合预期：${actions}`);
+  if (!trades[2]?.partial) check.fail("分批止盈应标记为partial");
+  if (equityCurve.length !== data.bars["510300"].length) check.fail(`收益曲线应逐日记录（${equityCurve.length}/${data.bars["510300"].length}）`);
+  // 全部平仓后权益 = 初始资金 + 各笔卖出的已实现盈亏（已扣除买卖费用）
+  const realized = trades.reduce((sum, t) => sum + (t.realizedPnL || 0), 0);
+  if (Math.abs(metrics.finalEquity - (CONFIG.CAPITAL.INITIAL + realized)) > 0.01) {
+    check.fail(`期末权益${metrics.finalEquity}与初始资金加已实现盈亏${CONFIG.CAPITAL.INITIAL + realized}不一致`);
+  }
+  // 分批止盈与最终清仓属于同一笔完整交易
+  if (metrics.closedTradeCount !== 1 || metrics.winRate !== 1) {
+    check.fail(`平仓次数与胜率应为1次、100%（实际${metrics.closedTradeCount}次、${metrics.winRate}）`);
+  }
+
+  // 胜率口径：分批止盈计入所属完整交易，防守仓位的释放不计入
+  const curve = [{ equity: 100 }];
+  const sampleTrades = [
+    { profile: "standard", type: "稳健型", code: "A", operation: "卖出", partial: true, realizedPnL: 50, amount: 0 },
+    { profile: "standard", type: "稳健型", code: "A", operation: "卖出", realizedPnL: -20, amount: 0 },
+    { profile: "standard", type: "稳健型", code: "511880", operation: "卖出", sleeve: "defensive", realizedPnL: -5, amount: 0 },
+    { profile: "standard", type: "激进型", code: "B", operation: "卖出", realizedPnL: -10, amount: 0 }
+  ];
+  const sampleMetrics = calculateMetrics(curve, sampleTrades, 100);
+  if (sampleMetrics.closedTradeCount !== 2 || sampleMetrics.winRate !== 0.5) {
+    check.fail(`胜率口径错误：平仓${sampleMetrics.closedTradeCount}次，胜率${sampleMetrics.winRate}（期望2次、50%）`);
+  }
+
+  check.assertAll();
+  console.log(`测试回测引擎：成交${trades.length}笔，平仓${metrics.closedTradeCount}次，期末权益${metrics.finalEquity.toFixed(2)}，与预期一致`);
+}
+
+/**
+ * 测试交易成本模型（默认费率：佣金万2.5、最低5元、滑点5个基点，数值可手算，离线可运行）
+ */
+export async function testCostModel() {
+  const check = createChecker("交易成本");
+
+  // 滑点：买入向上、卖出向下取整到0.001元
+  check.expectEqual("买入滑点", applySlippage("买入", 4), 4.002);
+  check.expectEqual("卖出滑点", applySlippage("卖出", 4), 3.998);
+  check.expectEqual("买入滑点取整", applySlippage("加仓", 3.333), 3.335);
+  check.expectEqual("卖出滑点取整", applySlippage("卖出", 3.333), 3.331);
+
+  // 小额买入按最低佣金5元收取：4.002×1000 + 5
+  const buy = estimateTrade("买入", 4, 1000);
+  check.expectEqual("买入成交金额", buy.grossAmount, 4002);
+  check.expectEqual("买入佣金", buy.fees.commission, 5);
+  check.expectEqual("买入滑点成本", buy.slippageCost, 2);
+  check.expectEqual("买入现金支出", buy.netAmount, 4007);
+
+  // 大额卖出按费率收取：3.998×100000×0.00025
+  const sell = estimateTrade("卖出", 4, 100000);
+  check.expectEqual("卖出佣金", sell.fees.commission, 99.95);
+  check.expectEqual("卖出现金回笼", sell.netAmount, 399700.05);
+  check.expectEqual("零金额无费用", calculateFees("买入", 0).total, 0);
+
+  // 印花税仅卖出方向收取
+  const stampDuty = CONFIG.COSTS.STAMP_DUTY_RATE;
+  CONFIG.COSTS.STAMP_DUTY_RATE = 0.001;
+  try {
+    check.expectEqual("卖出印花税", calculateFees("卖出", 100000).stampDuty, 100);
+    check.expectEqual("买入印花税", calculateFees("买入", 100000).stampDuty, 0);
+  } finally {
+    CONFIG.COSTS.STAMP_DUTY_RATE = stampDuty;
+  }
+
+  // 可买份额：整手且含费用不超预算，预算差1分钱时减少一手
+  check.expectEqual("预算恰好够1000份", maxAffordableShares(4007, 4), 1000);
+  check.expectEqual("预算差1分钱", maxAffordableShares(4006.99, 4), 900);
+  check.expectEqual("不足一手", maxAffordableShares(300, 4), 0);
+
+  check.assertAll();
+  console.log("测试交易成本：滑点取整、最低佣金、印花税方向与可买份额均与手算结果一致");
+}
+
+/**
+ * 测试信号确认状态机（默认CONFIRM_DAYS为2；信号输入按historyStore.getSignalInput的结构构造，离线可运行）
+ */
+export async function testSignalState() {
+  const check = createChecker("信号确认");
+  const expectState = (label, entry, state, days) => {
+    if (entry.state !== state || entry.days !== days) {
+      check.fail(`${label}：期望${state}第${days}天，实际${entry.state}第${entry.days}天`);
+    }
+  };
+  // 收盘价最新在前：逐日上涨且放量为买入信号，逐日下跌为卖出信号，横盘两者皆否
+  const input = (closes, volume = 100) => ({
+    price: closes[0],
+    volume,
+    priceHistory: closes,
+    volumeHistory: [volume, ...closes.slice(1).map(() => 100)]
+  });
+  const rising = Array.from({ length: 30 }, (_, i) => 30 - i);
+  const buy = input(rising, 200);
+  const sell = input([...rising].reverse());
+  const flat = input(rising.map(() => 10));
+
+  const states = createSignalStates();
+  expectState("首日买入条件成立", advanceSignalState(states, "A", buy, "2024-01-02"), SIGNAL_STATES.PENDING_BUY, 1);
+  expectState("同日重复运行不累加天数", advanceSignalState(states, "A", buy, "2024-01-02"), SIGNAL_STATES.PENDING_BUY, 1);
+  if (getConfirmedSignal(states, "A", "buy")) check.fail("待确认期间不应返回已确认信号");
+  expectState("连续第2日确认", advanceSignalState(states, "A", buy, "2024-01-03"), SIGNAL_STATES.CONFIRMED_BUY, 2);
+  const confirmed = getConfirmedSignal(states, "A", "buy");
+  if (confirmed?.days !== 2 || confirmed?.since !== "2024-01-02") check.fail(`确认信号应为第2天、始于2024-01-02：${JSON.stringify(confirmed)}`);
+
+  // 同日重跑时条件消失再恢复：基于前一交易日状态重算
+  expectState("同日重跑条件消失", advanceSignalState(states, "A", flat, "2024-01-03"), SIGNAL_STATES.NONE, 0);
+  expectState("同日重跑条件恢复", advanceSignalState(states, "A", buy, "2024-01-03"), SIGNAL_STATES.CONFIRMED_BUY, 2);
+
+  // 条件失效撤销，方向反转重新计数
+  expectState("条件失效撤销", advanceSignalState(states, "A", flat, "2024-01-04"), SIGNAL_STATES.NONE, 0);
+  expectState("卖出条件成立", advanceSignalState(states, "A", sell, "2024-01-05"), SIGNAL_STATES.PENDING_SELL, 1);
+  expectState("反转为买入重新计数", advanceSignalState(states, "A", buy, "2024-01-08"), SIGNAL_STATES.PENDING_BUY, 1);
+  expectState("无日线记录", advanceSignalState(states, "B", null, "2024-01-08"), SIGNAL_STATES.NONE, 0);
+
+  // 确认天数为1时当日即确认
+  const immediate = { ...CONFIG, FISH_BOWL: { ...CONFIG.FISH_BOWL, CONFIRM_DAYS: 1 } };
+  expectState("CONFIRM_DAYS为1", advanceSignalState(createSignalStates(), "A", sell, "2024-01-02", immediate), SIGNAL_STATES.CONFIRMED_SELL, 1);
+
+  check.assertAll();
+  console.log("测试信号确认：待确认、确认、同日重跑、撤销与方向反转均符合预期");
+}
+
+/**
+ * 测试接口鉴权（Bearer令牌、HMAC签名、?token=与权限等级；审计日志写入内存存储，离线可运行）
+ */
+export async function testAuth() {
+  initStorage({});
+  const check = createChecker("接口鉴权");
+  const env = { [CONFIG.AUTH.SECRET_NAME]: JSON.stringify({ viewer: { token: "read-token", role: "read" }, ops: { token: "admin-token", role: "admin" } }) };
+  const expectStatus = async (label, path, headers, expectedStatus, targetEnv = env) => {
+    const result = await authorize(new Request(`https://fishbowl.example${path}`, { headers }), targetEnv);
+    if (result.status !== expectedStatus) check.fail(`${label}：期望${expectedStatus}，实际${result.status}（${result.reason}）`);
+    return result;
+  };
+  const signed = async (name, token, path, timestamp = Date.now()) => ({
+    "X-Fishbowl-Key": name,
+    "X-Fishbowl-Timestamp": String(timestamp),
+    "X-Fishbowl-Signature": await signRequest(token, timestamp, "GET", path)
+  });
+  const auditBefore = (await getAuditLog()).length;
+
+  await expectStatus("未配置密钥", "/api/v1/pool", { Authorization: "Bearer read-token" }, 503, {});
+  await expectStatus("只读令牌查询接口", "/api/v1/pool", { Authorization: "Bearer read-token" }, 200);
+  await expectStatus("只读令牌执行策略", "/?test=runStrategy", { Authorization: "Bearer read-token" }, 403);
+  await expectStatus("错误令牌", "/api/v1/pool", { Authorization: "Bearer wrong-token" }, 401);
+  await expectStatus("缺少鉴权信息", "/report", {}, 401);
+
+  // HMAC签名：签名覆盖路径与查询串，时间戳超出MAX_CLOCK_SKEW视为重放
+  await expectStatus("管理员签名", "/?test=runStrategy", await signed("ops", "admin-token", "/?test=runStrategy"), 200);
+  await expectStatus("签名路径不符", "/?test=resetHoldings", await signed("ops", "admin-token", "/?test=runStrategy"), 401);
+  await expectStatus("密钥错误的签名", "/?test=runStrategy", await signed("ops", "read-token", "/?test=runStrategy"), 401);
+  const stale = await expectStatus("过期时间戳", "/?test=runStrategy", await signed("ops", "admin-token", "/?test=runStrategy", Date.now() - CONFIG.AUTH.MAX_CLOCK_SKEW - 1000), 401);
+  if (!stale.reason.includes("时间戳")) check.fail(`过期时间戳应提示时间戳超出范围：${stale.reason}`);
+
+  // ?token=仅限看板
+  await expectStatus("看板查询令牌", "/dashboard?token=read-token", {}, 200);
+  await expectStatus("其他操作查询令牌", "/?test=ledger&token=read-token", {}, 401);
+
+  // 仅已识别身份的请求写入审计日志（含权限不足被拒绝的），最新在前
+  const log = await getAuditLog();
+  const audit = log.slice(0, log.length - auditBefore);
+  const summary = audit.map(e => `${e.principal}:${e.operation}:${e.allowed}`).reverse().join(",");
+  if (summary !== "viewer:api:/pool:true,viewer:test:runStrategy:false,ops:test:runStrategy:true,viewer:dashboard:true") {
+    check.fail(`审计日志不符合预期：${summary}`);
+  }
+
+  check.assertAll();
+  console.log("测试接口鉴权：令牌、签名、时间戳、权限等级与审计日志均符合预期");
+}
+
+/**
+ * 测试持仓退出规则（构造单只宽基ETF的日线与持仓，逐条验证触发条件与优先级，离线可运行）
+ */
+export async function testExitRules() {
+  const check = createChecker("退出规则");
+  const dateOf = i => new Date(Date.UTC(2024, 0, 1) + i * 86400000).toISOString().slice(0, 10);
+  const barOf = (i, close) => ({ date: dateOf(i), open: close, high: close, low: close, close, volume: 1000000, turnover: close * 1000000 });
+
+  // 前days日收盘价为base，持仓按成本价base建仓（layers为各层份额），highest为持仓以来最高收盘价及其所在日
+  const createScenario = ({ days = 40, base = 10, layers = [500], highest = base, highDay = days - 1 }) => {
+    const history = createHistoryStore();
+    for (let i = 0; i < days; i++) history.record("510300", barOf(i, base));
+    const ledgers = createLedgers();
+    const totalShares = layers.reduce((sum, shares) => sum + shares, 0);
+    applyFill(ledgers["稳健型"], { date: dateOf(0), operation: "买入", code: "510300", shares: totalShares, price: base, amount: base * totalShares });
+    const holdings = createHoldings();
+    holdings["稳健型"].push({
+      position: { code: "510300", name: "沪深300ETF", type: "宽基" },
+      buySteps: layers.length,
+      totalShares,
+      layers: [...layers],
+      highestClose: highest,
+      highDate: dateOf(highDay),
+      takeProfits: 0
+    });
+    const context = { holdings, ledgers, signalStates: createSignalStates(), history, recordTrade: (trade, ledger) => applyFill(ledger, trade) };
+    let day = days;
+    const run = async close => {
+      const bar = barOf(day, close);
+      const pool = [{ code: "510300", name: "沪深300ETF", type: "宽基", score: 80, price: close, volume: bar.volume, turnover: bar.turnover, bar }];
+      const suggestions = await quietly(() => runStrategyOnPool(pool, { ...context, date: dateOf(day++) }));
+      const sells = suggestions.filter(s => s.code === "510300" && s.operation === "卖出");
+      return { sells, holding: holdings["稳健型"][0] };
+    };
+    return run;
+  };
+  const expectSell = (label, { sells }, rule, partial) => {
+    if (sells.length !== 1 || sells[0].exitRule !== rule || sells[0].partial !== partial) {
+      check.fail(`${label}：期望${rule}${partial ? "（分批）" : "（清仓）"}，实际${JSON.stringify(sells.map(s => [s.exitRule, s.partial]))}`);
+    }
+  };
+
+  // 回撤未达TRAILING_STOP不卖出，达到后清仓
+  const trailing = createScenario({ highest: 12 });
+  if ((await trailing(10.9)).sells.length !== 0) check.fail("自最高收盘价回撤9.2%不应触发移动止损");
+  const trailed = await trailing(10.7);
+  expectSell("回撤10.8%", trailed, EXIT_RULES.TRAILING_STOP, false);
+  if (trailed.holding) check.fail("移动止损后应清空持仓");
+
+  // 连续MAX_HOLD_DAYS个交易日未创新高
+  const days = CONFIG.POSITION.MAX_HOLD_DAYS;
+  expectSell(`${days}日未创新高`, await createScenario({ days: days + 20, highest: 10.5, highDay: 19 })(10), EXIT_RULES.TIME_STOP, false);
+
+  // 分批止盈卖出最近一层，加仓档位随之回退；下一档止盈需较成本再上涨TAKE_PROFIT
+  const takeProfit = createScenario({ layers: [500, 300], highest: 12.5 });
+  const partial = await takeProfit(12.4);
+  expectSell("较成本上涨24%", partial, EXIT_RULES.TAKE_PROFIT, true);
+  if (partial.sells[0]?.shares !== 300) check.fail(`分批止盈应卖出最近一层300份（实际${partial.sells[0]?.shares}）`);
+  const { holding } = partial;
+  if (holding?.totalShares !== 500 || holding.layers.length !== 1 || holding.buySteps !== 1 || holding.takeProfits !== 1) {
+    check.fail(`分批止盈后持仓状态不符合预期：${JSON.stringify(holding && { totalShares: holding.totalShares, layers: holding.layers, buySteps: holding.buySteps, takeProfits: holding.takeProfits })}`);
+  }
+  if ((await takeProfit(12.6)).sells.length !== 0) check.fail("仅剩首仓时不应再分批止盈");
+
+  // 均线止损优先于移动止损：卖出信号确认当日回撤同时超限，按均线止损记录
+  const priority = createScenario({ highest: 10 });
+  if ((await priority(9.7)).sells.length !== 0) check.fail("卖出信号待确认时不应卖出");
+  expectSell("卖出信号确认且回撤11%", await priority(8.9), EXIT_RULES.SIGNAL, false);
+
+  check.assertAll();
+  console.log("测试退出规则：均线止损、移动止损、时间止损与分批止盈的触发条件及优先级均符合预期");
+}
+
+/**
+ * 测试调仓：仓位已满时评分明显更高的候选换出最弱持仓；换入买不进一手时不卖出最弱持仓
+ */
+export async function testRotation() {
+  const check = createChecker("调仓");
+  const profile = resolveProfile(DEFAULT_PROFILE, { ...CONFIG, FISH_BOWL: { ...CONFIG.FISH_BOWL, CONFIRM_DAYS: 1 } });
+  const days = 70;
+  const dateOf = i => new Date(Date.UTC(2024, 0, 1) + i * 86400000).toISOString().slice(0, 10);
+  const barOf = (i, close, volume = 1000000) => ({ date: dateOf(i), open: close, high: close, low: close, close, volume, turnover: close * volume });
+  const held = [
+    { code: "510300", name: "沪深300ETF", type: "宽基", score: 90 },
+    { code: "510500", name: "中证500ETF", type: "宽基", score: 50 }
+  ];
+
+  // 两只持仓（各300份）与候选均逐日上涨；候选当日放量，确认天数为1时当日确认买入信号
+  const run = candidateBase => {
+    const history = createHistoryStore();
+    const closeOf = (code, i) => (code === "159915" ? candidateBase : 10) * (1 + 0.005 * i);
+    for (let i = 0; i < days; i++) {
+      [...held.map(etf => etf.code), "159915"].forEach(code => history.record(code, barOf(i, closeOf(code, i))));
+    }
+    const ledgers = createLedgers();
+    const holdings = createHoldings();
+    for (const etf of held) {
+      const price = closeOf(etf.code, days - 1);
+      applyFill(ledgers["稳健型"], { date: dateOf(days - 1), operation: "买入", code: etf.code, shares: 300, price, amount: price * 300 });
+      holdings["稳健型"].push({ position: { ...etf, price }, buySteps: 1, totalShares: 300, layers: [300], highestClose: price, highDate: dateOf(days - 1), takeProfits: 0 });
+    }
+    const pool = [{ code: "159915", name: "创业板ETF", type: "宽基", score: 95 }, ...held].map(etf => {
+      const bar = barOf(days, closeOf(etf.code, days), etf.code === "159915" ? 2500000 : 1000000);
+      return { ...etf, price: bar.close, volume: bar.volume, turnover: bar.turnover, bar };
+    });
+    const context = { profile, holdings, ledgers, signalStates: createSignalStates(), history, date: dateOf(days), recordTrade: (trade, ledger) => applyFill(ledger, trade) };
+    const suggestions = runStrategyOnPool(pool, context);
+    return {
+      trades: JSON.stringify(suggestions.map(s => [s.operation, s.code, s.exitRule || ""])),
+      held: holdings["稳健型"].map(h => h.position.code).sort().join(",")
+    };
+  };
+
+  const rotated = await quietly(() => run(10));
+  check.expectEqual("调仓建议", rotated.trades, JSON.stringify([["卖出", "510500", EXIT_RULES.ROTATION], ["买入", "159915", ""]]));
+  check.expectEqual("调仓后持仓", rotated.held, "159915,510300");
+
+  // 候选一手（100份×约200元）超过卖出后的可用现金：放弃调仓，最弱持仓保留
+  const blocked = await quietly(() => run(200));
+  check.expectEqual("买不进时的建议", blocked.trades, "[]");
+  check.expectEqual("买不进时的持仓", blocked.held, "510300,510500");
+
+  check.assertAll();
+  console.log("测试调仓：换入可成交时先卖后买，买不进一手时保留最弱持仓");
+}
+
+/**
+ * 测试交易日历（内置休市表中的节假日、调休周末与节前最后交易日，离线可运行）
+ */
+export async function testTradingCalendar() {
+  const check = createChecker("交易日历");
+
+  check.expectEqual("国庆节休市", isTradingDay("2024-10-07"), false);
+  check.expectEqual("调休上班的周六不开市", isTradingDay("2024-10-12"), false);
+  check.expectEqual("节后首个交易日", isTradingDay("2024-10-08"), true);
+  check.expectEqual("节前下一个交易日", getNextTradingDay("2024-09-30"), "2024-10-08");
+  check.expectEqual("节后上一个交易日", getPreviousTradingDay("2024-10-08"), "2024-09-30");
+  check.expectEqual("跨周末上一个交易日", getPreviousTradingDay("2024-01-08"), "2024-01-05");
+
+  // 本周最后一个交易日：周五休市时为周四
+  check.expectEqual("普通周五", isLastTradingDayOfWeek("2024-09-27"), true);
+  check.expectEqual("普通周四", isLastTradingDayOfWeek("2024-09-26"), false);
+  check.expectEqual("中秋周五休市前的周四", isLastTradingDayOfWeek("2026-09-24"), true);
+  check.expectEqual("休市日", isLastTradingDayOfWeek("2026-09-25"), false);
+
+  // 注册内置表以外的年份
+  registerHolidays(2030, ["2030-01-01"]);
+  check.expectEqual("注册的休市日", isTradingDay("2030-01-01"), false);
+  check.expectEqual("注册年份的工作日", isTradingDay("2030-01-02"), true);
+
+  check.assertAll();
+  console.log("测试交易日历：节假日、调休周末、前后交易日与周末最后交易日均符合预期");
+}
+
+/**
+ * 测试市场状态判断（基准与股票池日线按趋势构造，验证评分阈值与仓位系数，离线可运行）
+ */
+export async function testRegime() {
+  const check = createChecker("市场状态");
+  const benchmark = CONFIG.REGIME.BENCHMARK;
+  const pool = [{ code: "512480" }, { code: "512880" }];
+  // 收盘价按日涨跌step（0为横盘），共days根
+  const historyOf = (benchmarkStep, poolStep, days = CONFIG.REGIME.LONG_MA + 5) => {
+    const history = createHistoryStore();
+    for (let i = 0; i < days; i++) {
+      const date = new Date(Date.UTC(2024, 0, 1) + i * 86400000).toISOString().slice(0, 10);
+      history.record(benchmark, { date, close: 10 + benchmarkStep * i });
+      pool.forEach(etf => history.record(etf.code, { date, close: 10 + poolStep * i }));
+    }
+    return history;
+  };
+  const expectLabel = (label, regime, expected) => {
+    if (regime?.label !== expected) check.fail(`${label}：期望${expected}，实际${regime?.label}（趋势${regime?.trend}，宽度${regime?.breadth}）`);
+  };
+
+  expectLabel("趋势向上且宽度强势", classifyRegime(pool, historyOf(0.05, 0.05)), "risk-on");
+  expectLabel("趋势向下且宽度弱势", classifyRegime(pool, historyOf(-0.05, -0.05)), "risk-off");
+  expectLabel("趋势向上但宽度弱势", classifyRegime(pool, historyOf(0.05, -0.05)), "neutral");
+
+  // 趋势中性、宽度弱势：合计-1，默认防守优先；RISK_OFF_SCORE改为-2时为中性
+  const weakBreadth = historyOf(0, -0.05);
+  expectLabel("合计-1（默认阈值）", classifyRegime(pool, weakBreadth), "risk-off");
+  const symmetric = { ...CONFIG, REGIME: { ...CONFIG.REGIME, RISK_OFF_SCORE: -2 } };
+  expectLabel("合计-1（对称阈值）", classifyRegime(pool, weakBreadth, symmetric), "neutral");
+
+  // 基准日线不足：趋势项记0，由调用方按benchmark.longMA为null提示
+  const short = classifyRegime(pool, historyOf(0.05, 0.05, CONFIG.REGIME.LONG_MA - 1));
+  if (short.trend !== 0 || short.benchmark.longMA !== null) check.fail(`基准日线不足时趋势应记0：${JSON.stringify(short)}`);
+
+  // 仓位系数仅作用于APPLY_TO中的资金桶
+  const riskOff = { label: "risk-off" };
+  CONFIG.REGIME.APPLY_TO.forEach(type => {
+    if (getRegimeScale(riskOff, type) !== CONFIG.REGIME.SCALES["risk-off"]) check.fail(`${type}防守状态仓位系数应为${CONFIG.REGIME.SCALES["risk-off"]}`);
+  });
+  ["稳健型", "激进型"].filter(type => !CONFIG.REGIME.APPLY_TO.includes(type)).forEach(type => {
+    if (getRegimeScale(riskOff, type) !== 1) check.fail(`${type}不受市场状态限制，仓位系数应为1`);
+  });
+  if (getRegimeScale(null, "激进型") !== 1) check.fail("未启用市场状态时仓位系数应为1");
+
+  check.assertAll();
+  console.log("测试市场状态：进攻/中性/防守判定、评分阈值与仓位系数均符合预期");
+}
+
+/**
+ * 测试模拟账本：费后平均成本、先进先出批次、已实现/未实现盈亏、累计费用与滑点，以及现金或持仓不足时拒绝入账
+ */
+export async function testLedger() {
+  const check = createChecker("模拟账本");
+  const ledger = createLedger(10000);
+  const fill = (operation, date, shares, price, amount, extra = {}) => applyFill(ledger, { date, operation, code: "510300", shares, price, amount, fees: 5, slippage: 0.5, ...extra });
+
+  fill("买入", "2024-01-02", 100, 10, 1005);
+  fill("加仓", "2024-01-03", 200, 11, 2205, { fillPrice: 11.01 });
+  check.expectClose("费后平均成本", getAverageCost(ledger, "510300"), 3210 / 300, 1e-9);
+  check.expectClose("买入后现金", ledger.cash, 6790, 1e-9);
+  check.expectEqual("批次（成交价优先）", JSON.stringify(ledger.positions["510300"].lots.map(lot => [lot.shares, lot.price])), JSON.stringify([[100, 10], [200, 11.01]]));
+
+  const partial = fill("卖出", "2024-01-04", 150, 12, 1795);
+  check.expectClose("部分卖出已实现盈亏", partial.realizedPnL, 1795 - 150 * 3210 / 300, 1e-9);
+  check.expectEqual("先进先出扣减批次", JSON.stringify(ledger.positions["510300"].lots.map(lot => lot.shares)), JSON.stringify([150]));
+  check.expectClose("部分卖出后平均成本不变", getAverageCost(ledger, "510300"), 3210 / 300, 1e-9);
+
+  const valuation = markToMarket(ledger, () => 12);
+  check.expectClose("未实现盈亏", valuation.unrealizedPnL, 150 * 12 - 150 * 3210 / 300, 1e-9);
+  check.expectClose("权益", valuation.equity, ledger.cash + 150 * 12, 1e-9);
+  check.expectClose("累计费用与滑点", valuation.totalCosts, 3 * 5.5, 1e-9);
+
+  fill("卖出", "2024-01-05", 150, 9, 1345);
+  check.expectEqual("清仓后删除持仓", getAverageCost(ledger, "510300"), null);
+  check.expectClose("清仓后累计已实现盈亏", ledger.realizedPnL, 1795 + 1345 - 3210, 1e-9);
+  check.expectClose("清仓后现金", ledger.cash, 10000 - 3210 + 1795 + 1345, 1e-9);
+
+  const rejects = (label, fn) => {
+    const before = JSON.stringify(ledger);
+    try {
+      fn();
+      check.fail(`${label}：应抛出错误`);
+    } catch (e) {
+      if (JSON.stringify(ledger) !== before) check.fail(`${label}：拒绝入账时账本不应变化`);
+    }
+  };
+  rejects("持仓不足", () => fill("卖出", "2024-01-08", 100, 10, 995));
+  rejects("现金不足", () => fill("买入", "2024-01-08", 10000, 10, 100005));
+
+  check.assertAll();
+  console.log("测试模拟账本：平均成本、批次、盈亏与费用统计均符合预期");
+}
+
+/**
+ * 测试持久化存储：schema逐版本迁移、无法迁移时回退默认值、本地文件存储读写，以及v1持仓与账本升级到当前结构
+ */
+export async function testStorage() {
+  const check = createChecker("持久化存储");
+  initStorage({});
+  const migrate = (data, fromVersion) => ({ ...data, steps: [...(data.steps || []), fromVersion] });
+  await saveState("old", { value: 1 }, 1);
+  const migrated = await quietly(() => loadState("old", null, { version: 3, migrate }));
+  check.expectEqual("逐版本迁移", JSON.stringify(migrated), JSON.stringify({ value: 1, steps: [1, 2] }));
+  await saveState("newer", { value: 1 }, 5);
+  check.expectEqual("存储版本高于代码", await quietly(() => loadState("newer", "默认值", { version: 2, migrate })), "默认值");
+  check.expectEqual("缺少迁移函数", await quietly(() => loadState("old", "默认值", { version: 2 })), "默认值");
+  check.expectEqual("无记录", await loadState("missing", "默认值"), "默认值");
+
+  // 本地文件存储：写入后由新的存储实例读取（模拟进程重启）
+  const file = join(tmpdir(), `fishbowl-storage-${process.pid}.json`);
+  try {
+    initStorage({ STORAGE_FILE: file });
+    await saveState("pool", { codes: ["510300"] }, 2);
+    initStorage({});
+    initStorage({ STORAGE_FILE: file });
+    check.expectEqual("文件存储读写", JSON.stringify(await loadState("pool", null, { version: 2 })), JSON.stringify({ codes: ["510300"] }));
+  } finally {
+    await rm(file, { force: true });
+    initStorage({});
+  }
+
+  // v1持仓（每个资金桶一个持仓对象）与v1账本（无费用字段）升级到当前结构并归入默认配置档
+  const position = { code: "510300", name: "沪深300ETF", type: "宽基", price: 4 };
+  await saveState(STORAGE_KEYS.HOLDINGS, {
+    稳健型: { position, buySteps: 1, totalShares: 500 },
+    激进型: { position: null, buySteps: 0, totalShares: 0 }
+  }, 1);
+  const legacyLedgers = createLedgers();
+  applyFill(legacyLedgers["稳健型"], { date: "2024-01-02", operation: "买入", code: "510300", shares: 500, price: 4, amount: 2000 });
+  Object.values(legacyLedgers).forEach(ledger => {
+    delete ledger.totalFees;
+    delete ledger.totalSlippage;
+  });
+  await saveState(STORAGE_KEYS.LEDGERS, legacyLedgers, 1);
+  const snapshot = await quietly(() => getHoldingsSnapshot());
+  const stable = snapshot.find(s => s.profile === DEFAULT_PROFILE && s.type === "稳健型");
+  const aggressive = snapshot.find(s => s.profile === DEFAULT_PROFILE && s.type === "激进型");
+  check.expectEqual("迁移后稳健型持仓", JSON.stringify(stable?.positions.map(p => [p.code, p.totalShares, p.layers])), JSON.stringify([["510300", 500, [500]]]));
+  check.expectEqual("迁移后激进型持仓数", aggressive?.positions.length, 0);
+  check.expectEqual("迁移后账本现金", stable?.ledger.cash, legacyLedgers["稳健型"].cash);
+  check.expectEqual("迁移后累计费用", stable?.ledger.totalFees, 0);
+
+  check.assertAll();
+  console.log("测试持久化存储：schema迁移、文件存储与旧版持仓/账本升级均符合预期");
+}
+
+/**
+ * 测试股票池因子评分：各因子按上限折算后乘以权重，日线不足的因子记0分（流动性退回当日成交额），权重可由配置覆盖
+ */
+export async function testPoolScoring() {
+  const check = createChecker("股票池评分");
+  // 日线（最新在前）：自10元起按逐日涨跌幅序列生成，每日成交额turnover元
+  const barsOf = (returns, turnover) => {
+    const bars = [];
+    let close = 10;
+    returns.forEach((r, i) => {
+      close *= 1 + r;
+      bars.unshift({ date: new Date(Date.UTC(2024, 0, 1) + i * 86400000).toISOString().slice(0, 10), close, turnover });
+    });
+    return bars;
+  };
+  const alternate = step => Array.from({ length: 81 }, (_, i) => (i % 2 === 1 ? step : 0));
+  // [名称, ETF, 日线, 期望各因子得分, 期望总分]
+  // 交替涨跌1%：日收益率均值0.5%、年化波动约8.0%，60日夏普远超上限；动量为5/20/60日涨幅均值约15.75%
+  const cases = [
+    ["平稳横盘", {}, barsOf(Array(81).fill(0), 2e8), { sharpe: 0, momentum: 0, volatility: 10, drawdown: 10, liquidity: 25 }, 45],
+    ["交替上涨", {}, barsOf(alternate(0.01), 2e8), { sharpe: 30, momentum: 25, volatility: 8, drawdown: 10, liquidity: 25 }, 98],
+    ["交替下跌（回撤约26%）", {}, barsOf(alternate(-0.01), 5e7), { sharpe: 0, momentum: 0, volatility: 8, drawdown: 0, liquidity: 12.5 }, 21],
+    ["日线不足", { turnover: 2000 }, barsOf(Array(10).fill(0), 2e8), { sharpe: 0, momentum: 0, volatility: 0, drawdown: 0, liquidity: 5 }, 5],
+    ["无日线", { turnover: 5000 }, [], { sharpe: 0, momentum: 0, volatility: 0, drawdown: 0, liquidity: 12.5 }, 13]
+  ];
+  for (const [label, etf, bars, breakdown, score] of cases) {
+    const result = scoreETF(etf, bars);
+    check.expectEqual(`${label}：各因子得分`, JSON.stringify(result.breakdown), JSON.stringify(breakdown));
+    check.expectEqual(`${label}：总分`, result.score, score);
+  }
+
+  check.expectEqual("所需日线数", requiredBars(), CONFIG.POOL.SCORING.LOOKBACK_DAYS + 1);
+  check.expectEqual("得分明细", formatBreakdown(scoreETF({}, cases[0][2]).breakdown), "夏普0·动量0·波动10·回撤10·流动性25");
+  const liquidityOnly = {
+    ...CONFIG,
+    POOL: { ...CONFIG.POOL, SCORING: { ...CONFIG.POOL.SCORING, WEIGHTS: { SHARPE: 0, MOMENTUM: 0, VOLATILITY: 0, DRAWDOWN: 0, LIQUIDITY: 100 } } }
+  };
+  check.expectEqual("权重覆盖", scoreETF({}, cases[0][2], liquidityOnly).score, 100);
+
+  check.assertAll();
+  console.log(`测试股票池评分：${cases.length}组日线的因子得分与总分、权重覆盖均符合预期`);
+}
+
+/**
+ * 测试ETF分类：映射表优先，表外按名称关键词推断（跨境、主题先于行业与宽基），均未匹配时归入行业
+ */
+export async function testTaxonomy() {
+  const check = createChecker("ETF分类");
+  // [代码, 名称, 类别, 资金桶, 判定来源]
+  const cases = [
+    ["510300", "沪深300ETF", "broad", "宽基", "table"],
+    ["512480", "半导体ETF", "sector", "行业", "table"],
+    ["510300", "随便什么名称", "broad", "宽基", "table"], // 映射表优先于名称
+    ["900001", "某某货币ETF", "money-market", "宽基", "name"],
+    ["900002", "某某30年国债ETF", "bond", "宽基", "name"],
+    ["900003", "某某黄金ETF", "commodity", "行业", "name"],
+    ["900004", "某某恒生医疗ETF", "cross-border", "行业", "name"], // 跨境先于行业
+    ["900005", "某某中证红利ETF", "smart-beta", "宽基", "name"],
+    ["900006", "某某光伏ETF", "thematic", "行业", "name"],
+    ["900007", "某某中证全指半导体ETF", "sector", "行业", "name"], // 行业先于宽基（全指）
+    ["900008", "某某中证1000ETF", "broad", "宽基", "name"],
+    ["900009", "某某无法识别ETF", "sector", "行业", "name"],
+    ["900010", "", "sector", "行业", "name"]
+  ];
+  for (const [code, name, category, type, matchedBy] of cases) {
+    const result = classifyETF(code, name);
+    const actual = `${result.category}/${result.type}/${result.matchedBy}`;
+    check.expectEqual(`${code} ${name || "（无名称）"}`, actual, `${category}/${type}/${matchedBy}`);
+  }
+
+  check.assertAll();
+  console.log(`测试ETF分类：${cases.length}个用例的类别、资金桶与判定来源均符合预期`);
+}
+
+/**
+ * 测试同指数去重的两项依据：跟踪指数分组键indexKey与日收益率相关系数calculateReturnCorrelation
+ */
+export async function testIndexDedup() {
+  const check = createChecker("同指数去重");
+  // [ETF, 期望分组键]
+  const keyCases = [
+    [{ code: "510300", name: "沪深300ETF" }, "沪深300"],
+    [{ code: "159919", name: "嘉实沪深300ETF" }, "沪深300"],
+    [{ code: "900001", name: "华夏沪深300ETF联接" }, "沪深300"],
+    [{ code: "900002", index: "中证500指数" }, "中证500"],
+    [{ code: "900003", index: "中证 500（全收益）" }, "中证500"],
+    [{ code: "900004", name: "ETF" }, "ETF"], // 无法推断时退回名称
+    // 基金公司简称按指数系列前缀或类别关键词通用去除（不依赖基金公司列表），指数简称统一为映射表中的规范名称
+    [{ code: "900005", name: "某某基金中证500ETF" }, "中证500"],
+    [{ code: "900006", name: "某某券商ETF" }, "券商"],
+    [{ code: "900007", name: "天弘300ETF" }, "沪深300"],
+    [{ code: "900008", name: "500ETF" }, "中证500"],
+    [{ code: "900009", name: "浙商创业板ETF" }, "创业板指"],
+    [{ code: "900010", name: "某某科创板50ETF" }, "科创50"],
+    [{ code: "900011", index: "300" }, "沪深300"]
+  ];
+  for (const [etf, expected] of keyCases) {
+    check.expectEqual(`indexKey ${etf.code} ${etf.name || etf.index}`, indexKey(etf), expected);
+  }
+  check.expectEqual("名称推断与映射表同组", indexKey({ code: "900009", name: "浙商创业板ETF" }), indexKey({ code: "159915", name: "创业板ETF" }));
+
+  // 日线（最新在前）：收盘价由逐日收益率序列生成
+  const barsOf = (returns, { base = 10, skip = [] } = {}) => {
+    const bars = [];
+    let close = base;
+    returns.forEach((r, i) => {
+      close *= 1 + r;
+      bars.unshift({ date: new Date(Date.UTC(2024, 0, 1) + i * 86400000).toISOString().slice(0, 10), close });
+    });
+    return bars.filter((bar, i) => !skip.includes(i));
+  };
+  const wave = Array.from({ length: 30 }, (_, i) => (i % 3 === 0 ? 0.01 : -0.004) + i * 0.0001);
+  // [名称, A, B, period, 期望（null表示无法计算）]
+  const correlationCases = [
+    ["同一序列", barsOf(wave), barsOf(wave), 20, 1],
+    ["价格水平不同、收益率相同", barsOf(wave), barsOf(wave, { base: 3 }), 20, 1],
+    ["收益率相反", barsOf(wave), barsOf(wave.map(r => -r)), 20, -1],
+    ["缺失交易日按日期对齐", barsOf(wave), barsOf(wave, { skip: [2, 5] }), 20, 1],
+    ["共同交易日不足", barsOf(wave), barsOf(wave).slice(0, 20), 20, null],
+    ["收益率无波动", barsOf(wave), barsOf(wave.map(() => 0)), 20, null]
+  ];
+  for (const [label, barsA, barsB, period, expected] of correlationCases) {
+    const actual = calculateReturnCorrelation(barsA, barsB, period);
+    if (expected === null) {
+      check.expectEqual(`相关系数：${label}`, actual, null);
+    } else {
+      check.expectClose(`相关系数：${label}`, actual, expected, 1e-9);
+    }
+  }
+
+  check.assertAll();
+  console.log(`测试同指数去重：${keyCases.length}个分组键用例与${correlationCases.length}个相关系数用例均符合预期`);
+}
+
+/**
+ * 测试防守仓位：空仓时停泊在趋势最强的防守ETF、出现权益买入信号时释放、防守ETF均无趋势时保留现金
+ * 防守参数取自配置档（全局CONFIG.DEFENSIVE保持关闭），确认天数为1以便单日触发买入
+ */
+export async function testDefensive() {
+  const check = createChecker("防守仓位");
+  const config = {
+    ...CONFIG,
+    FISH_BOWL: { ...CONFIG.FISH_BOWL, CONFIRM_DAYS: 1 },
+    DEFENSIVE: { ...CONFIG.DEFENSIVE, ENABLED: true }
+  };
+  const profile = resolveProfile(DEFAULT_PROFILE, config);
+  const [money, bond, gold] = config.DEFENSIVE.ETFS.map(etf => etf.code);
+  const days = 70;
+  const dateOf = i => new Date(Date.UTC(2024, 0, 1) + i * 86400000).toISOString().slice(0, 10);
+  const barOf = (i, close, volume = 1000000) => ({ date: dateOf(i), open: close, high: close, low: close, close, volume, turnover: close * volume });
+
+  // 防守ETF日线：每日涨跌step；权益ETF（兼作基准）逐日上涨、成交量平稳
+  const createScenario = (steps, scenarioProfile = profile) => {
+    const history = createHistoryStore();
+    for (let i = 0; i < days; i++) {
+      history.record("510300", barOf(i, 10 + 0.05 * i));
+      [money, bond, gold].forEach((code, k) => history.record(code, barOf(i, 100 + steps[k] * i)));
+    }
+    const context = { profile: scenarioProfile, holdings: createHoldings(), ledgers: createLedgers(), signalStates: createSignalStates(), history, recordTrade: (trade, ledger) => applyFill(ledger, trade) };
+    let day = days;
+    return volume => {
+      const bar = barOf(day, 10 + 0.05 * day, volume);
+      [money, bond, gold].forEach((code, k) => history.record(code, barOf(day, 100 + steps[k] * day)));
+      const pool = [{ code: "510300", name: "沪深300ETF", type: "宽基", score: 80, price: bar.close, volume: bar.volume, turnover: bar.turnover, bar }];
+      const suggestions = runStrategyOnPool(pool, { ...context, date: dateOf(day++) });
+      return { suggestions, ledger: context.ledgers["稳健型"], holdings: context.holdings["稳健型"] };
+    };
+  };
+  const describe = suggestions => JSON.stringify(suggestions.filter(s => s.type === "稳健型").map(s => [s.operation, s.code, s.sleeve || "", s.exitRule || ""]));
+
+  // 货币ETF涨幅最大：稳健型空仓且无买入信号（成交量未放大）时停泊于货币ETF
+  const run = createScenario([0.02, 0.01, -0.02]);
+  const parked = await quietly(() => run(1000000));
+  check.expectEqual("停泊", describe(parked.suggestions), JSON.stringify([["买入", money, "defensive", ""]]));
+  if (!parked.ledger.positions[money]) check.fail("停泊后账本应持有货币ETF");
+
+  // 次日放量出现买入信号：先释放停泊资金再建仓
+  const released = await quietly(() => run(2500000));
+  check.expectEqual("释放", describe(released.suggestions), JSON.stringify([["卖出", money, "defensive", EXIT_RULES.DEFENSIVE_RELEASE], ["买入", "510300", "", ""]]));
+  if (released.ledger.positions[money]) check.fail("释放后账本不应再持有货币ETF");
+  check.expectEqual("释放后权益持仓数", released.holdings.length, 1);
+
+  // 防守ETF均跌破均线：保留现金
+  const cash = await quietly(() => createScenario([-0.02, -0.01, -0.03])(1000000));
+  check.expectEqual("无趋势时保留现金", describe(cash.suggestions), "[]");
+  check.expectEqual("保留现金时账本持仓数", Object.keys(cash.ledger.positions).length, 0);
+
+  // 配置档未启用防守仓位时不停泊
+  const idle = await quietly(() => createScenario([0.02, 0.01, -0.02], resolveProfile(DEFAULT_PROFILE, { ...config, DEFENSIVE: CONFIG.DEFENSIVE }))(1000000));
+  check.expectEqual("未启用时不停泊", describe(idle.suggestions), "[]");
+
+  check.assertAll();
+  console.log("测试防守仓位：停泊、释放与保留现金均符合预期，参数取自配置档");
+}
+
+/**
+ * 测试定时任务补跑：触发时按到期先后补跑错过的任务（股票池任务可跨日补跑，其余仅当日），成功后不再重复；
+ * 策略推送失败后补跑只重试推送，不重复执行策略记账（离线可运行：行情接口与推送均为桩函数）
+ */
+export async function testScheduler() {
+  const check = createChecker("定时任务补跑");
+  initStorage({});
+
+  const sent = async () => ({ success: true, reason: "推送完成" });
+  const stubDeps = {
+    checkStatusAlerts: async () => [],
+    pushStatusAlerts: sent,
+    executeStrategy: async () => [],
+    pushStrategyResults: sent,
+    generateDeviationReport: async () => ({ rows: [] }),
+    pushDeviationReport: sent,
+    getPool: async () => [],
+    getPoolSkipped: () => [],
+    pushPool: sent
+  };
+  const describeRuns = records => JSON.stringify(records.map(r => `${r.name}@${r.dueDate}/${r.trigger}`));
+  // 周二15:30（北京时间）首次触发：当日更早的任务补跑，上周五的股票池任务跨日补跑
+  const tuesday = Date.parse("2024-09-24T07:30:00Z");
+  check.expectEqual("首次触发补跑错过的任务", describeRuns(await quietly(() => runScheduled("30 7 * * 1-5", tuesday, stubDeps))), JSON.stringify([
+    "refreshPool@2024-09-20/catch-up", "pushPool@2024-09-20/catch-up",
+    "checkAlerts@2024-09-24/catch-up", "runStrategy@2024-09-24/catch-up", "dailyReport@2024-09-24/cron"
+  ]));
+  check.expectEqual("已成功的任务不再重复", describeRuns(await quietly(() => runScheduled("30 7 * * 1-5", tuesday, stubDeps))), "[]");
+  // 周六：周五的行情任务不跨日补跑，本周的股票池任务（周五为最后一个交易日）补跑
+  const saturday = Date.parse("2024-09-28T03:00:00Z");
+  check.expectEqual("休市日仅补跑股票池任务", describeRuns(await quietly(() => runScheduled("0 3 * * 1-5", saturday, stubDeps))), JSON.stringify([
+    "refreshPool@2024-09-27/catch-up", "pushPool@2024-09-27/catch-up"
+  ]));
+
+  const date = "2024-09-26"; // 交易日（周四）
+  const now = Date.parse(`${date}T06:00:00Z`); // 北京时间14:00
+  // 截至date的80个交易日：收盘价逐日上涨、末日放量，确认天数为1时当日即产生买入信号
+  // 此前的日线预先写入存储（部署后由股票池更新回填），行情接口仅返回当日K线
+  const dates = [date];
+  while (dates.length < 80) dates.unshift(getPreviousTradingDay(dates[0]));
+  const bars = dates.map((day, i) => {
+    const close = Number((10 + 0.05 * i).toFixed(3));
+    const volume = i === dates.length - 1 ? 2000000 : 1000000;
+    return { date: day, open: close, high: close, low: close, close, volume, turnover: close * volume };
+  });
+  bars.slice(0, -1).forEach(bar => historyStore.record("510300", bar));
+  await saveHistoryStore();
+  const today = bars[bars.length - 1];
+  const klines = [`${date},${today.open},${today.close},${today.high},${today.low},${today.volume / 100},${today.turnover}`];
+  const pool = [{ code: "510300", name: "沪深300ETF", type: "宽基", score: 80, price: 13.95, volume: 2000000 }];
+  await saveState(STORAGE_KEYS.POOL, { pool, skipped: [], timestamp: now }, 2); // 与poolManager.js的POOL_SCHEMA_VERSION一致
+
+  const saved = { now: Date.now, fetch: globalThis.fetch, confirmDays: CONFIG.FISH_BOWL.CONFIRM_DAYS };
+  Date.now = () => now;
+  globalThis.fetch = async () => new Response(JSON.stringify({ data: { klines } }));
+  CONFIG.FISH_BOWL.CONFIRM_DAYS = 1;
+  try {
+    const pushed = [];
+    const depsOf = delivered => ({
+      executeStrategy,
+      pushStrategyResults: async results => {
+        pushed.push(results);
+        return { success: delivered, reason: delivered ? "推送完成" : "企业微信推送失败" };
+      }
+    });
+
+    const failed = await quietly(() => runJob("runStrategy", depsOf(false), { dueDate: date, trigger: "cron" }));
+    check.expectEqual("推送失败时任务状态", failed?.status, "failed");
+    const trades = (await printTradeHistory()).length;
+    const ledger = JSON.stringify(await quietly(() => getLedgerSummary()));
+    if (trades === 0) check.fail("首次执行应产生交易流水（否则无法验证补跑不重复记账）");
+
+    const retried = await quietly(() => runJob("runStrategy", depsOf(true), { dueDate: date, trigger: "catch-up" }));
+    check.expectEqual("补跑任务状态", retried?.status, "success");
+    check.expectEqual("补跑后交易流水条数", (await printTradeHistory()).length, trades);
+    check.expectEqual("补跑后账本", JSON.stringify(await quietly(() => getLedgerSummary())), ledger);
+    check.expectEqual("补跑推送的建议", JSON.stringify(pushed[1]), JSON.stringify(pushed[0]));
+
+    const skipped = await quietly(() => runJob("runStrategy", depsOf(true), { dueDate: date, trigger: "catch-up" }));
+    check.expectEqual("已成功后再次补跑", skipped, null);
+  } finally {
+    Date.now = saved.now;
+    globalThis.fetch = saved.fetch;
+    CONFIG.FISH_BOWL.CONFIRM_DAYS = saved.confirmDays;
+  }
+
+  check.assertAll();
+  console.log("测试定时任务补跑：错过的任务按到期先后补跑且不重复，推送失败后补跑仅重试推送，交易流水与账本不变");
+}
+
+/**
+ * 测试交易流水：旧版流水迁移至月度分页、完整保留（不截断）与/trades接口分页
+ */
+export async function testTradeHistory() {
+  const check = createChecker("交易流水");
+  initStorage({});
+  const legacy = (id, date, profile) => ({ id, date, profile, operation: "买入", code: "510300", shares: 100, price: 1, amount: 100 });
+  await saveState(STORAGE_KEYS.TRADE_HISTORY, {
+    standard: [legacy(1, "2024-08-30", "standard"), legacy(3, "2024-09-02", "standard")],
+    fast: [legacy(2, "2024-09-02", "fast")]
+  }, 2);
+  const migrated = await quietly(() => printTradeHistory());
+  check.expectEqual("迁移后流水顺序", migrated.map(t => t.id).join(","), "1,2,3");
+
+  // 超过原先每个配置档100条的上限
+  await loadTradeHistory();
+  const ledger = createLedger(100000);
+  for (let i = 0; i < 150; i++) {
+    recordTrade({ date: `2024-10-${String(1 + (i % 28)).padStart(2, "0")}`, operation: "买入", code: "510300", shares: 100, price: 1, amount: 100, profile: "standard" }, ledger);
+  }
+  await saveTradeHistory();
+  check.expectEqual("完整保留的流水条数", (await printTradeHistory("standard")).length, 152);
+  check.expectEqual("按日期范围读取", (await printTradeHistory(undefined, { from: "2024-09-01", to: "2024-09-30" })).length, 2);
+
+  const request = query => new Request(`https://example.com/api/v1/trades?${query}`);
+  const last = await (await handleApiRequest(request("profile=standard&page=8&pageSize=20"), { printTradeHistory })).json();
+  check.expectEqual("末页条数", last.data?.length, 12);
+  check.expectEqual("总条数", last.pagination?.total, 152);
+  check.expectEqual("末页最后一条（最早的流水）", last.data?.[11]?.id, 1);
+  const august = await (await handleApiRequest(request("to=2024-08-31"), { printTradeHistory })).json();
+  check.expectEqual("早于9月的流水", august.data?.map(t => t.id).join(","), "1");
+
+  check.assertAll();
+  console.log("测试交易流水：旧版流水迁移、完整保留与接口分页均符合预期");
+}
+
 /**
  * 测试股票池更新功能
  */
@@ -37,7 +1006,7 @@ export async function testPoolUpdate() {
  */
 export async function testStrategy() {
   try {
-    resetAllHoldings(); // 重置持仓
+    await resetAllHoldings(); // 重置持仓
     const results = await executeStrategy();
     console.log(`测试策略：生成${results.length}条操作建议`);
     return results;
@@ -1,26 +1,136 @@
-// 模拟交易流水记录（实际项目可对接数据库）
-let tradeHistory = [];
+import { loadState, saveState, STORAGE_KEYS } from "./storage.js";
+import { applyFill } from "./ledger.js";
+import { DEFAULT_PROFILE } from "./profiles.js";
+
+const TRADE_HISTORY_SCHEMA_VERSION = 3; // 交易流水索引的schema版本（v2按策略配置档划分，v3全部流水按成交月份分页存储）
+const TRADE_PAGE_SCHEMA_VERSION = 1;    // 月度流水分页的schema版本
+
+// 交易流水索引：{ months: 已有流水的月份（YYYY-MM，升序）, lastId: 最近一笔流水的ID }
+// 各月流水存于`${STORAGE_KEYS.TRADE_HISTORY}:YYYY-MM`（各配置档按成交先后混排，每条含profile），完整保留不截断
+let tradeIndex = createTradeIndex();
+// 尚未写入存储的流水：month -> 流水列表
+let pendingTrades = {};
 
 /**
- * 记录交易流水（在strategy.js的买卖操作中调用）
- * @param {Object} trade - 交易信息
+ * 创建空的交易流水索引
+ * @returns {Object} { months, lastId }
  */
-export function recordTrade(trade) {
-  tradeHistory.push({
-    id: Date.now(), // 唯一ID
+function createTradeIndex() {
+  return { months: [], lastId: 0 };
+}
+
+/**
+ * 月度流水分页的存储键名
+ * @param {string} month - 月份（YYYY-MM）
+ * @returns {string} 存储键名
+ */
+function tradePageKey(month) {
+  return `${STORAGE_KEYS.TRADE_HISTORY}:${month}`;
+}
+
+/**
+ * 流水所属月份（按成交日期；缺少日期的早期流水按ID即记录时间戳）
+ * @param {Object} trade - 交易流水
+ * @returns {string} 月份（YYYY-MM）
+ */
+function tradeMonth(trade) {
+  return (trade.date || new Date(trade.id || 0).toISOString()).slice(0, 7);
+}
+
+/**
+ * 记录交易流水（在strategy.js的买卖操作中调用），同时将成交写入对应资金桶账本
+ * @param {Object} trade - 交易信息（profile为所属策略配置档，省略时记入默认配置档）
+ * @param {Object} ledger - 资金桶账本（ledger.js）
+ */
+export function recordTrade(trade, ledger) {
+  const fill = applyFill(ledger, trade); // 更新现金、持仓批次与已实现盈亏
+  tradeIndex.lastId = nextTradeId();
+  appendTrade({
+    id: tradeIndex.lastId, // 唯一ID（同一毫秒内多笔成交依次递增）
     time: new Date().toLocaleString(), // 时间
-    ...trade // 包含类型、操作、代码、金额等信息
+    ...fill, // 包含类型、操作、代码、金额、已实现盈亏等信息
+    profile: trade.profile || DEFAULT_PROFILE
   });
-  // 保留最近100条记录
-  if (tradeHistory.length > 100) tradeHistory.shift();
 }
 
 /**
- * 打印交易流水
- * @returns {Array} 交易流水列表
+ * 将流水加入所属月份的待写入列表并登记到索引
+ * @param {Object} trade - 交易流水
+ */
+function appendTrade(trade) {
+  const month = tradeMonth(trade);
+  (pendingTrades[month] || (pendingTrades[month] = [])).push(trade);
+  if (!tradeIndex.months.includes(month)) tradeIndex.months = [...tradeIndex.months, month].sort();
+}
+
+/**
+ * 生成交易流水ID：取当前毫秒时间戳，不大于已有最大ID时顺延（保证跨配置档唯一且按成交先后递增）
+ * @returns {number} 流水ID
+ */
+function nextTradeId() {
+  return Math.max(Date.now(), tradeIndex.lastId + 1);
+}
+
+/**
+ * 从持久化存储加载交易流水索引（各月流水在查询时按需读取；未保存的流水被丢弃）
+ */
+export async function loadTradeHistory() {
+  tradeIndex = await loadState(STORAGE_KEYS.TRADE_HISTORY, createTradeIndex(), { version: TRADE_HISTORY_SCHEMA_VERSION, migrate: migrateTradeHistory });
+  pendingTrades = {};
+  if (tradeIndex.legacyTrades) {
+    // v2→v3迁移：原流水写入月度分页后，索引不再保存流水本身
+    const { legacyTrades } = tradeIndex;
+    delete tradeIndex.legacyTrades;
+    legacyTrades.forEach(appendTrade);
+    await saveTradeHistory();
+    console.log(`【loadTradeHistory】已将${legacyTrades.length}条交易流水迁移至按月分页存储`);
+  }
+}
+
+/**
+ * 交易流水schema迁移
+ * @param {*} data - 旧版本流水
+ * @param {number} fromVersion - 旧版本号
+ * @returns {*} 升级一个版本后的流水
+ */
+function migrateTradeHistory(data, fromVersion) {
+  if (fromVersion === 2) {
+    // v2→v3：各配置档的流水合并后暂存于legacyTrades，由loadTradeHistory写入月度分页
+    const legacyTrades = Object.values(data).flat().sort((a, b) => a.id - b.id);
+    return { ...createTradeIndex(), lastId: Math.max(0, ...legacyTrades.map(trade => trade.id || 0)), legacyTrades };
+  }
+  // v1→v2：原流水归入默认配置档
+  if (fromVersion === 1) return { [DEFAULT_PROFILE]: data.map(trade => ({ ...trade, profile: DEFAULT_PROFILE })) };
+  return [];
+}
+
+/**
+ * 将新增的交易流水追加到所属月份的分页，并写入索引
+ */
+export async function saveTradeHistory() {
+  for (const [month, trades] of Object.entries(pendingTrades)) {
+    const stored = await loadState(tradePageKey(month), [], { version: TRADE_PAGE_SCHEMA_VERSION });
+    await saveState(tradePageKey(month), [...stored, ...trades], TRADE_PAGE_SCHEMA_VERSION);
+  }
+  pendingTrades = {};
+  await saveState(STORAGE_KEYS.TRADE_HISTORY, tradeIndex, TRADE_HISTORY_SCHEMA_VERSION);
+}
+
+/**
+ * 打印交易流水（完整流水，仅读取from~to覆盖的月份）
+ * @param {string} profile - 策略配置档（省略时返回全部配置档的流水，按时间合并）
+ * @param {Object} range - { from, to }：成交日期范围（YYYY-MM-DD，含首尾，省略表示不限）
+ * @returns {Promise<Array>} 交易流水列表（时间先后顺序，每条含profile）
  */
-export function printTradeHistory() {
-  return tradeHistory;
+export async function printTradeHistory(profile, { from, to } = {}) {
+  await loadTradeHistory();
+  const months = tradeIndex.months.filter(month => (!from || month >= from.slice(0, 7)) && (!to || month <= to.slice(0, 7)));
+  const trades = [];
+  for (const month of months) {
+    trades.push(...await loadState(tradePageKey(month), [], { version: TRADE_PAGE_SCHEMA_VERSION }));
+  }
+  return trades.filter(trade => (!profile || trade.profile === profile)
+    && (!from || trade.date >= from) && (!to || trade.date <= to));
 }
 
 /**
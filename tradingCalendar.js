@@ -0,0 +1,145 @@
+// 沪深交易所交易日历（周末及法定节假日休市；调休上班的周末交易所同样不开市）
+// 内置2024–2026年休市表，以后年份可通过本地JSON文件加载（格式：{ "2027": ["2027-01-01", ...] }）
+import { getTradeDate } from "./historyStore.js";
+
+// 工作日休市日期（按交易所公告，周末不列出）
+const HOLIDAYS = {
+  2024: [
+    "2024-01-01",                                                             // 元旦
+    "2024-02-09", "2024-02-12", "2024-02-13", "2024-02-14", "2024-02-15", "2024-02-16", // 春节
+    "2024-04-04", "2024-04-05",                                               // 清明节
+    "2024-05-01", "2024-05-02", "2024-05-03",                                 // 劳动节
+    "2024-06-10",                                                             // 端午节
+    "2024-09-16", "2024-09-17",                                               // 中秋节
+    "2024-10-01", "2024-10-02", "2024-10-03", "2024-10-04", "2024-10-07"      // 国庆节
+  ],
+  2025: [
+    "2025-01-01",                                                             // 元旦
+    "2025-01-28", "2025-01-29", "2025-01-30", "2025-01-31", "2025-02-03", "2025-02-04", // 春节
+    "2025-04-04",                                                             // 清明节
+    "2025-05-01", "2025-05-02", "2025-05-05",                                 // 劳动节
+    "2025-06-02",                                                             // 端午节
+    "2025-10-01", "2025-10-02", "2025-10-03", "2025-10-06", "2025-10-07", "2025-10-08" // 国庆节、中秋节
+  ],
+  2026: [
+    "2026-01-01", "2026-01-02",                                               // 元旦
+    "2026-02-16", "2026-02-17", "2026-02-18", "2026-02-19", "2026-02-20", "2026-02-23", // 春节
+    "2026-04-06",                                                             // 清明节
+    "2026-05-01", "2026-05-04", "2026-05-05",                                 // 劳动节
+    "2026-06-19",                                                             // 端午节
+    "2026-09-25",                                                             // 中秋节
+    "2026-10-01", "2026-10-02", "2026-10-05", "2026-10-06", "2026-10-07"      // 国庆节
+  ]
+};
+
+// 年份 -> 休市日期集合
+const holidaySets = new Map(Object.entries(HOLIDAYS).map(([year, dates]) => [Number(year), new Set(dates)]));
+const warnedYears = new Set();
+
+/**
+ * 注册某一年的休市日期（覆盖已有数据）
+ * @param {number} year - 年份
+ * @param {Array<string>} dates - 工作日休市日期（YYYY-MM-DD）
+ */
+export function registerHolidays(year, dates) {
+  holidaySets.set(Number(year), new Set(dates));
+  warnedYears.delete(Number(year));
+}
+
+/**
+ * 从本地JSON文件加载休市表（每年公告发布后追加下一年，无需改代码）
+ * @param {string} filePath - JSON文件路径，格式 { "2027": ["2027-01-01", ...] }
+ * @returns {Promise<Array<number>>} 已加载的年份
+ */
+export async function loadHolidayFile(filePath) {
+  // 按需加载fs，避免Worker打包时引入Node内置模块
+  const { readFile } = await import("fs/promises");
+  let data;
+  try {
+    data = JSON.parse(await readFile(filePath, "utf8"));
+  } catch (e) {
+    throw new Error(`交易日历文件读取失败（${filePath}）：${e.message}`);
+  }
+
+  const years = [];
+  for (const [year, dates] of Object.entries(data)) {
+    if (!/^\d{4}$/.test(year) || !Array.isArray(dates)) {
+      throw new Error(`交易日历文件格式错误：${year}应为年份且对应日期数组`);
+    }
+    registerHolidays(year, dates);
+    years.push(Number(year));
+  }
+  console.log(`【tradingCalendar】已从${filePath}加载${years.join("/")}年休市表`);
+  return years;
+}
+
+/**
+ * 是否已有某年的休市表
+ * @param {number} year - 年份
+ * @returns {boolean} 是否已加载
+ */
+export function hasCalendarYear(year) {
+  return holidaySets.has(Number(year));
+}
+
+/**
+ * 判断是否为交易日
+ * 缺少当年休市表时按工作日处理并告警一次
+ * @param {string} date - 日期（YYYY-MM-DD，默认北京时间今日）
+ * @returns {boolean} 是否开市
+ */
+export function isTradingDay(date = getTradeDate()) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  if (weekday === 0 || weekday === 6) return false;
+
+  const year = Number(date.slice(0, 4));
+  const holidays = holidaySets.get(year);
+  if (!holidays) {
+    if (!warnedYears.has(year)) {
+      warnedYears.add(year);
+      console.warn(`【tradingCalendar】缺少${year}年休市表，暂按周一至周五均开市处理（可通过loadHolidayFile加载）`);
+    }
+    return true;
+  }
+  return !holidays.has(date);
+}
+
+/**
+ * 获取下一个交易日
+ * @param {string} date - 日期（YYYY-MM-DD）
+ * @returns {string} 之后的第一个交易日
+ */
+export function getNextTradingDay(date) {
+  let next = shiftDate(date, 1);
+  while (!isTradingDay(next)) next = shiftDate(next, 1);
+  return next;
+}
+
+/**
+ * 获取上一个交易日
+ * @param {string} date - 日期（YYYY-MM-DD）
+ * @returns {string} 之前的最后一个交易日
+ */
+export function getPreviousTradingDay(date) {
+  let previous = shiftDate(date, -1);
+  while (!isTradingDay(previous)) previous = shiftDate(previous, -1);
+  return previous;
+}
+
+/**
+ * 判断是否为本周最后一个交易日（周五休市时为周四，依此类推）
+ * @param {string} date - 日期（YYYY-MM-DD，默认北京时间今日）
+ * @returns {boolean} 是否为交易日且本周之后再无交易日
+ */
+export function isLastTradingDayOfWeek(date = getTradeDate()) {
+  if (!isTradingDay(date)) return false;
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay(); // 1=周一...5=周五
+  const next = getNextTradingDay(date);
+  return next > shiftDate(date, 7 - weekday); // 下一个交易日在本周日之后
+}
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}